@@ -0,0 +1,250 @@
+/**
+ * Analytics delivery.
+ *
+ * Events are queued rather than posted directly: the queue holds them until
+ * the parent has shown it is listening (its first config), sends them in
+ * batches as `we:game:events`, and only forgets a batch once the parent
+ * acknowledges it with `we:game:events:ack`. Unacknowledged batches are
+ * retried with backoff, and the queue is persisted so events survive a reload
+ * or a lost connection. Noisy events are coalesced by per‑type rules.
+ *
+ * Each event travels in an AnalyticsRecord carrying the page session's id and
+ * a sequence number, so the host can order events and drop the duplicates a
+ * retry may produce.
+ *
+ * Every page session saves its queue under its own key, so tabs open at once
+ * never overwrite each other's events. A session index records when each one
+ * was last active; a page takes over the queues of sessions that closed or
+ * have been quiet for ORPHAN_AFTER. Should it take over one still open, both
+ * send the same records and the host drops the copies.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+/** Delivery rules by event name; events without one are batched as they come. */
+export const EVENT_RULES = {
+    score: { throttle: 1000 },
+    game_over: { immediate: true },
+    details_submitted: { immediate: true },
+    redeem: { immediate: true },
+};
+/** Saved queues, each under `${QUEUE_KEY}:<sessionId>`; the bare key holds one saved before queues were per session. */
+const QUEUE_KEY = "analyticsQueue";
+/** When each session with a saved queue was last active, by session id; 0 once it closed. */
+const SESSIONS_KEY = "analyticsSessions";
+/** Milliseconds of inactivity after which another page takes a session's saved queue over. */
+const ORPHAN_AFTER = 60000;
+/** Session index updates still to land, chained so this page's never overwrite each other. */
+let indexUpdates = Promise.resolve();
+/** Read, change and save the session index after earlier updates; `change` returns false to leave it. */
+function updateSessions(storage, change) {
+    indexUpdates = indexUpdates.then(() => __awaiter(this, void 0, void 0, function* () {
+        const sessions = (yield storage.get(SESSIONS_KEY)) || {};
+        if (change(sessions))
+            yield storage.set(SESSIONS_KEY, sessions);
+    }));
+    return indexUpdates;
+}
+function createSessionId() {
+    const random = () => Math.floor(Math.random() * 0x100000000).toString(36);
+    return `${Date.now().toString(36)}-${random()}${random()}`;
+}
+export class AnalyticsQueue {
+    constructor(options) {
+        this.sessionId = createSessionId();
+        this.queue = [];
+        this.seq = 0;
+        /** The batch awaiting an ack, if any. */
+        this.inFlight = null;
+        this.attempts = 0;
+        this.connected = false;
+        this.closed = false;
+        this.channel = options.channel;
+        this.storage = options.storage;
+        this.rules = options.rules || EVENT_RULES;
+        this.batchSize = options.batchSize || 20;
+        this.batchInterval = options.batchInterval !== undefined ? options.batchInterval : 2000;
+        this.ackTimeout = options.ackTimeout !== undefined ? options.ackTimeout : 5000;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+        this.maxAttempts = options.maxAttempts || 6;
+        this.maxQueue = options.maxQueue || 500;
+        this.now = options.now || Date.now;
+        this.adopt(this.storage);
+    }
+    /** Number of events not yet acknowledged. */
+    get pending() {
+        return this.queue.length;
+    }
+    /** Queue an event for delivery. */
+    track(event) {
+        if (this.closed)
+            return;
+        const rule = this.rules[event.name] || {};
+        const at = this.now();
+        if (rule.throttle) {
+            const previous = this.findUnsent(event.name);
+            if (previous && at - previous.at < rule.throttle) {
+                previous.event = event;
+                this.persist();
+                return;
+            }
+        }
+        this.queue.push({ sessionId: this.sessionId, seq: ++this.seq, at, event });
+        if (this.queue.length > this.maxQueue) {
+            // Keep the batch in flight; drop the oldest of the rest
+            const keep = this.inFlight ? this.inFlight.length : 0;
+            this.queue.splice(keep, this.queue.length - this.maxQueue);
+        }
+        this.persist();
+        this.schedule(!!rule.immediate);
+    }
+    /**
+     * Persist to `storage` from now on, e.g. once the config names the user and
+     * campaign. The queue moves over, and picks up what pages that closed left
+     * in `storage`.
+     */
+    useStorage(storage) {
+        if (storage === this.storage)
+            return;
+        const previous = this.storage;
+        previous.remove(this.queueKey);
+        this.markSession(previous, undefined);
+        this.storage = storage;
+        this.persist();
+        this.adopt(storage);
+    }
+    /** Start delivering: the parent is listening. */
+    connect() {
+        if (this.connected)
+            return;
+        this.connected = true;
+        this.schedule(true);
+    }
+    /** Send whatever is queued now, e.g. before the page is hidden. */
+    flush() {
+        this.schedule(true);
+    }
+    /** Stop sending. Unsent events stay persisted for the next page load to take over. */
+    close() {
+        this.closed = true;
+        if (this.timer !== undefined)
+            clearTimeout(this.timer);
+        this.timer = undefined;
+        this.persist();
+    }
+    get queueKey() {
+        return `${QUEUE_KEY}:${this.sessionId}`;
+    }
+    /** Take over the saved queues of other sessions that closed or went quiet. */
+    adopt(storage) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const sessions = (yield storage.get(SESSIONS_KEY)) || {};
+            const now = this.now();
+            const orphans = Object.keys(sessions).filter((id) => id !== this.sessionId && (sessions[id] === 0 || now - sessions[id] >= ORPHAN_AFTER));
+            const keys = orphans.map((id) => `${QUEUE_KEY}:${id}`).concat(QUEUE_KEY);
+            const found = [];
+            for (const key of keys) {
+                const saved = yield storage.get(key);
+                if (Array.isArray(saved))
+                    found.push(...saved);
+            }
+            if (this.closed || storage !== this.storage)
+                return;
+            for (const key of keys)
+                yield storage.remove(key);
+            if (orphans.length) {
+                yield updateSessions(storage, (current) => {
+                    orphans.forEach((id) => delete current[id]);
+                    return true;
+                });
+            }
+            if (!found.length)
+                return;
+            // Older events go first; the queue's own are kept over adopted ones when full
+            const room = Math.max(this.maxQueue - this.queue.length, 0);
+            const adopted = found.sort((a, b) => a.at - b.at).slice(found.length - room);
+            this.queue = adopted.concat(this.queue);
+            this.persist();
+            this.schedule(false);
+        });
+    }
+    /** Note in the session index when this session was last active, or drop it from the index. */
+    markSession(storage, at) {
+        return updateSessions(storage, (sessions) => {
+            if (at !== undefined) {
+                sessions[this.sessionId] = at;
+                return true;
+            }
+            if (!(this.sessionId in sessions))
+                return false;
+            delete sessions[this.sessionId];
+            return true;
+        });
+    }
+    /** The newest event of a name that is queued but not in flight. */
+    findUnsent(name) {
+        for (let i = this.queue.length - 1; i >= 0; i--) {
+            const record = this.queue[i];
+            if (this.inFlight && this.inFlight.indexOf(record) !== -1)
+                return undefined;
+            if (record.event.name === name)
+                return record;
+        }
+        return undefined;
+    }
+    /** Arrange a send: at once, or after the batch interval unless one is already due. */
+    schedule(immediate, delay = this.batchInterval) {
+        if (!this.connected || this.closed || this.inFlight || !this.queue.length)
+            return;
+        if (this.timer !== undefined) {
+            if (!immediate)
+                return;
+            clearTimeout(this.timer);
+        }
+        this.timer = setTimeout(() => {
+            this.timer = undefined;
+            this.send();
+        }, immediate ? 0 : delay);
+    }
+    send() {
+        if (this.closed || this.inFlight || !this.queue.length)
+            return;
+        const batch = this.queue.slice(0, this.batchSize);
+        this.inFlight = batch;
+        // Retrying keeps the session marked active, so other pages leave its queue alone
+        this.markSession(this.storage, this.now());
+        this.channel.request("we:game:events", { payload: { events: batch } }, this.ackTimeout).then(() => {
+            this.inFlight = null;
+            this.attempts = 0;
+            this.queue = this.queue.filter((record) => batch.indexOf(record) === -1);
+            this.persist();
+            // A full batch suggests more are waiting
+            this.schedule(this.queue.length >= this.batchSize);
+        }, () => {
+            this.inFlight = null;
+            this.attempts++;
+            if (this.attempts >= this.maxAttempts) {
+                this.attempts = 0;
+                this.queue = this.queue.filter((record) => batch.indexOf(record) === -1);
+                this.persist();
+            }
+            this.schedule(false, this.retryDelay * Math.pow(2, Math.max(this.attempts - 1, 0)));
+        });
+    }
+    persist() {
+        if (this.queue.length) {
+            this.storage.set(this.queueKey, this.queue);
+            this.markSession(this.storage, this.closed ? 0 : this.now());
+        }
+        else {
+            this.storage.remove(this.queueKey);
+            this.markSession(this.storage, undefined);
+        }
+    }
+}
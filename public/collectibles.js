@@ -0,0 +1,41 @@
+/**
+ * Collectibles and power‑ups.
+ *
+ * Items spawn in the openings of obstacle columns, so they can always be
+ * reached, and travel with the crowd. Touching one applies its effect: bonus
+ * points, a shield that absorbs one collision, a coupon that slows the crowd
+ * for a while, or an extra life up to a cap. Types and their spawn chances are
+ * data in the simulation config, so campaigns can tune them.
+ *
+ * Like the simulation, this module has no DOM dependencies.
+ */
+export const DEFAULT_COLLECTIBLES = {
+    bag: { effect: "points", sprite: "bag", size: 0.07, chance: 0.2, value: 2 },
+    vip: { effect: "shield", sprite: "vip", size: 0.08, chance: 0.05, duration: 8000 },
+    coupon: { effect: "slow", sprite: "coupon", size: 0.07, chance: 0.06, value: 0.6, duration: 4000 },
+    heart: { effect: "life", sprite: "heart", size: 0.07, chance: 0.03 },
+};
+/**
+ * Roll for an item centred on (`x`, `y`), the middle of a column's opening.
+ * At most one item appears per column; the chances of all types share one
+ * roll. `unit` is the world's smaller side.
+ */
+export function rollCollectible(types, rng, unit, x, y) {
+    let roll = rng();
+    for (const name of Object.keys(types)) {
+        const type = types[name];
+        roll -= type.chance;
+        if (roll < 0) {
+            const size = type.size * unit;
+            return {
+                x: x - size / 2,
+                y: y - size / 2,
+                width: size,
+                height: size,
+                type: name,
+                sprite: type.sprite || name,
+            };
+        }
+    }
+    return null;
+}
@@ -0,0 +1,564 @@
+/**
+ * Game configuration and validation of `we:game:config` payloads.
+ *
+ * The parent page controls campaigns entirely through this object. Payloads
+ * are validated as a whole: a payload with any error is rejected rather than
+ * partly applied, and the errors are reported back to the parent.
+ */
+import { SOUND_CUES } from "./audio.js";
+import { DEFAULT_COLLECTIBLES } from "./collectibles.js";
+import { LOCALE_PATTERN } from "./i18n.js";
+import { LEADERBOARD_WINDOWS } from "./leaderboard.js";
+import { DEFAULT_OBSTACLE_TYPES, DEFAULT_WAVES, } from "./obstacles.js";
+import { parseTime, REFILL_PERIODS } from "./schedule.js";
+import { REFERRAL_TOKEN_PATTERN } from "./share.js";
+import { WORLD_LAYOUTS } from "./simulation.js";
+import { DEFAULT_TEXT } from "./text.js";
+import { THEMES } from "./theme.js";
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+function string(key) {
+    return (value, errors) => {
+        if (typeof value !== "string")
+            errors.push(`${key} must be a string`);
+        return value;
+    };
+}
+function boolean(key) {
+    return (value, errors) => {
+        if (typeof value !== "boolean")
+            errors.push(`${key} must be a boolean`);
+        return value;
+    };
+}
+function nonNegative(key, integer = false) {
+    return (value, errors) => {
+        const valid = typeof value === "number" && isFinite(value) && value >= 0 && (!integer || Number.isInteger(value));
+        if (!valid)
+            errors.push(`${key} must be a non-negative ${integer ? "integer" : "number"}`);
+        return value;
+    };
+}
+function oneOf(key, options) {
+    return (value, errors) => {
+        if (typeof value !== "string" || options.indexOf(value) === -1) {
+            errors.push(`${key} must be one of ${options.join(", ")}`);
+        }
+        return value;
+    };
+}
+function validateRewardTiers(value, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push("rewardTiers must be a non-empty array");
+        return [];
+    }
+    return value.map((raw, i) => {
+        const where = `rewardTiers[${i}]`;
+        if (!isPlainObject(raw)) {
+            errors.push(`${where} must be an object`);
+            return { min: 0, max: 0 };
+        }
+        const tier = {
+            min: raw.min,
+            max: raw.max === undefined || raw.max === null ? Infinity : raw.max,
+        };
+        nonNegative(`${where}.min`, true)(tier.min, errors);
+        if (tier.max !== Infinity)
+            nonNegative(`${where}.max`, true)(tier.max, errors);
+        if (tier.max < tier.min)
+            errors.push(`${where}.max must not be below min`);
+        if (i > 0 && isPlainObject(value[i - 1])) {
+            const previousMax = value[i - 1].max;
+            if (typeof previousMax !== "number" || tier.min !== previousMax + 1) {
+                errors.push(`${where}.min must follow the previous tier's max`);
+            }
+        }
+        if (raw.discount !== undefined) {
+            const discount = raw.discount;
+            if (typeof discount !== "number" || !(discount > 0 && discount <= 100)) {
+                errors.push(`${where}.discount must be a percentage between 0 and 100`);
+            }
+            tier.discount = discount;
+        }
+        if (raw.label !== undefined)
+            tier.label = string(`${where}.label`)(raw.label, errors);
+        if (raw.type !== undefined)
+            tier.type = string(`${where}.type`)(raw.type, errors);
+        if (tier.discount === undefined && !tier.label) {
+            errors.push(`${where} needs a discount or a label`);
+        }
+        return tier;
+    });
+}
+function isStringRecord(value) {
+    return isPlainObject(value) && Object.keys(value).every((k) => typeof value[k] === "string");
+}
+function validateTheme(value, errors) {
+    const packs = Object.keys(THEMES);
+    if (typeof value === "string") {
+        if (!THEMES[value])
+            errors.push(`theme must be one of ${packs.join(", ")} or a theme object`);
+        return value;
+    }
+    if (!isPlainObject(value)) {
+        errors.push("theme must be a string or an object");
+        return "default";
+    }
+    if (value.extends !== undefined)
+        oneOf("theme.extends", packs)(value.extends, errors);
+    for (const key of ["name", "overlayCss"]) {
+        if (value[key] !== undefined)
+            string(`theme.${key}`)(value[key], errors);
+    }
+    for (const key of ["assets", "sprites", "sounds", "colors", "fonts"]) {
+        if (value[key] !== undefined && !isStringRecord(value[key])) {
+            errors.push(`theme.${key} must map names to strings`);
+        }
+    }
+    if (isPlainObject(value.sounds)) {
+        for (const cue of Object.keys(value.sounds)) {
+            if (SOUND_CUES.indexOf(cue) === -1)
+                errors.push(`theme.sounds.${cue} is not a known sound cue`);
+        }
+    }
+    if (value.hitboxes !== undefined) {
+        if (!isPlainObject(value.hitboxes)) {
+            errors.push("theme.hitboxes must be an object");
+        }
+        else {
+            for (const key of Object.keys(value.hitboxes)) {
+                validateHitbox(`theme.hitboxes.${key}`, value.hitboxes[key], errors);
+            }
+        }
+    }
+    if (value.background !== undefined) {
+        if (!Array.isArray(value.background)) {
+            errors.push("theme.background must be an array");
+        }
+        else {
+            value.background.forEach((layer, i) => {
+                const where = `theme.background[${i}]`;
+                if (!isPlainObject(layer)) {
+                    errors.push(`${where} must be an object`);
+                    return;
+                }
+                nonNegative(`${where}.top`)(layer.top, errors);
+                nonNegative(`${where}.height`)(layer.height, errors);
+                if (layer.parallax !== undefined)
+                    nonNegative(`${where}.parallax`)(layer.parallax, errors);
+                if (layer.color !== undefined)
+                    string(`${where}.color`)(layer.color, errors);
+                if (layer.image !== undefined)
+                    string(`${where}.image`)(layer.image, errors);
+            });
+        }
+    }
+    return value;
+}
+const isFraction = (value) => typeof value === "number" && value >= 0 && value <= 1;
+function validateHitbox(where, value, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${where} must be a non-empty array of shapes`);
+        return;
+    }
+    value.forEach((shape, i) => {
+        const at = `${where}[${i}]`;
+        if (!isPlainObject(shape)) {
+            errors.push(`${at} must be an object`);
+            return;
+        }
+        switch (shape.type) {
+            case "box":
+                for (const side of ["top", "right", "bottom", "left"]) {
+                    if (shape[side] !== undefined && !isFraction(shape[side])) {
+                        errors.push(`${at}.${side} must be a fraction between 0 and 1`);
+                    }
+                }
+                break;
+            case "circle":
+                for (const key of ["x", "y", "radius"]) {
+                    if ((key === "radius" || shape[key] !== undefined) && !isFraction(shape[key])) {
+                        errors.push(`${at}.${key} must be a fraction between 0 and 1`);
+                    }
+                }
+                break;
+            case "polygon": {
+                const points = shape.points;
+                const valid = Array.isArray(points) &&
+                    points.length >= 3 &&
+                    points.every((p) => Array.isArray(p) && p.length === 2 && p.every(isFraction));
+                if (!valid)
+                    errors.push(`${at}.points must be at least three [x, y] pairs of fractions`);
+                break;
+            }
+            case "mask": {
+                const rows = shape.rows;
+                const valid = Array.isArray(rows) &&
+                    rows.length > 0 &&
+                    rows.every((r) => typeof r === "string" && r.length === rows[0].length && /^[01]+$/.test(r));
+                if (!valid)
+                    errors.push(`${at}.rows must be equal-length strings of 0 and 1`);
+                break;
+            }
+            case "alpha":
+                if (shape.resolution !== undefined) {
+                    const r = shape.resolution;
+                    if (typeof r !== "number" || !Number.isInteger(r) || r < 1 || r > 64) {
+                        errors.push(`${at}.resolution must be an integer from 1 to 64`);
+                    }
+                }
+                if (shape.threshold !== undefined && !isFraction(shape.threshold)) {
+                    errors.push(`${at}.threshold must be a fraction between 0 and 1`);
+                }
+                break;
+            default:
+                errors.push(`${at}.type must be one of box, circle, polygon, mask, alpha`);
+        }
+    });
+}
+const OBSTACLE_KINDS = ["crowd", "mover", "cart", "gap"];
+function validateObstacleTypes(value, errors) {
+    if (!isPlainObject(value)) {
+        errors.push("obstacleTypes must be an object");
+        return {};
+    }
+    for (const name of Object.keys(value)) {
+        const where = `obstacleTypes.${name}`;
+        const type = value[name];
+        if (!isPlainObject(type)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        oneOf(`${where}.kind`, OBSTACLE_KINDS)(type.kind, errors);
+        if (type.sprite !== undefined)
+            string(`${where}.sprite`)(type.sprite, errors);
+        if (!(typeof type.width === "number" && type.width > 0 && type.width <= 1)) {
+            errors.push(`${where}.width must be a fraction between 0 and 1`);
+        }
+        if (type.kind !== "gap" && !(typeof type.height === "number" && type.height > 0 && type.height <= 1)) {
+            errors.push(`${where}.height must be a fraction between 0 and 1`);
+        }
+        if (type.amplitude !== undefined && !isFraction(type.amplitude)) {
+            errors.push(`${where}.amplitude must be a fraction between 0 and 1`);
+        }
+        if (type.period !== undefined && !(typeof type.period === "number" && type.period > 0)) {
+            errors.push(`${where}.period must be a positive number`);
+        }
+        if (type.speed !== undefined && !(typeof type.speed === "number" && type.speed > 0)) {
+            errors.push(`${where}.speed must be a positive number`);
+        }
+    }
+    return value;
+}
+function validateWaves(value, errors, types) {
+    if (!isPlainObject(value)) {
+        errors.push("waves must be an object");
+        return {};
+    }
+    for (const name of Object.keys(value)) {
+        const where = `waves.${name}`;
+        const wave = value[name];
+        if (!isPlainObject(wave)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        nonNegative(`${where}.duration`)(wave.duration, errors);
+        if (wave.weight !== undefined)
+            nonNegative(`${where}.weight`)(wave.weight, errors);
+        if (!Array.isArray(wave.spawns) || wave.spawns.length === 0) {
+            errors.push(`${where}.spawns must be a non-empty array`);
+            continue;
+        }
+        wave.spawns.forEach((spawn, i) => {
+            const at = `${where}.spawns[${i}]`;
+            if (!isPlainObject(spawn)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+            if (typeof spawn.type !== "string" || types.indexOf(spawn.type) === -1) {
+                errors.push(`${at}.type must name an obstacle type`);
+            }
+            nonNegative(`${at}.at`)(spawn.at, errors);
+            if (spawn.side !== undefined)
+                oneOf(`${at}.side`, ["above", "below"])(spawn.side, errors);
+        });
+    }
+    return value;
+}
+function validateDifficulty(value, errors, waves) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push("difficulty must be a non-empty array");
+        return [];
+    }
+    value.forEach((step, i) => {
+        const where = `difficulty[${i}]`;
+        if (!isPlainObject(step)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        nonNegative(`${where}.score`, true)(step.score, errors);
+        if (i === 0 && step.score !== 0)
+            errors.push(`${where}.score must be 0`);
+        if (i > 0 && isPlainObject(value[i - 1]) && !(step.score > value[i - 1].score)) {
+            errors.push(`${where}.score must be above the previous step's`);
+        }
+        if (!(typeof step.speed === "number" && step.speed > 0))
+            errors.push(`${where}.speed must be a positive number`);
+        nonNegative(`${where}.waveGap`)(step.waveGap, errors);
+        if (!isFraction(step.opening))
+            errors.push(`${where}.opening must be a fraction between 0 and 1`);
+        const valid = Array.isArray(step.waves) &&
+            step.waves.length > 0 &&
+            step.waves.every((w) => typeof w === "string" && waves.indexOf(w) !== -1);
+        if (!valid)
+            errors.push(`${where}.waves must be a non-empty list of wave names`);
+    });
+    return value;
+}
+function validateCollectibles(value, errors) {
+    if (!isPlainObject(value)) {
+        errors.push("collectibles must be an object");
+        return {};
+    }
+    for (const name of Object.keys(value)) {
+        const where = `collectibles.${name}`;
+        const item = value[name];
+        if (!isPlainObject(item)) {
+            errors.push(`${where} must be an object`);
+            continue;
+        }
+        // New types need the fields the built‑ins would otherwise provide
+        const builtIn = !!DEFAULT_COLLECTIBLES[name];
+        if (item.effect !== undefined || !builtIn) {
+            oneOf(`${where}.effect`, ["points", "shield", "slow", "life"])(item.effect, errors);
+        }
+        if (item.size !== undefined || !builtIn) {
+            if (!(typeof item.size === "number" && item.size > 0 && item.size <= 1)) {
+                errors.push(`${where}.size must be a fraction between 0 and 1`);
+            }
+        }
+        if ((item.chance !== undefined || !builtIn) && !isFraction(item.chance)) {
+            errors.push(`${where}.chance must be a fraction between 0 and 1`);
+        }
+        if (item.sprite !== undefined)
+            string(`${where}.sprite`)(item.sprite, errors);
+        if (item.value !== undefined)
+            nonNegative(`${where}.value`)(item.value, errors);
+        if (item.duration !== undefined)
+            nonNegative(`${where}.duration`)(item.duration, errors);
+        if (item.cap !== undefined)
+            nonNegative(`${where}.cap`, true)(item.cap, errors);
+    }
+    return value;
+}
+/** A campaign time, normalised to milliseconds since the epoch. */
+function validateTime(key) {
+    return (value, errors) => {
+        const time = typeof value === "number" || typeof value === "string" ? parseTime(value) : NaN;
+        if (!isFinite(time))
+            errors.push(`${key} must be a timestamp or an ISO 8601 date`);
+        return time;
+    };
+}
+const STREAK_REWARD_KEYS = ["days", "bonusPlays", "rewardMultiplier"];
+function validateStreakRewards(value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push("streakRewards must be an array");
+        return [];
+    }
+    return value.map((raw, i) => {
+        const where = `streakRewards[${i}]`;
+        if (!isPlainObject(raw)) {
+            errors.push(`${where} must be an object`);
+            return { days: 0 };
+        }
+        for (const key of Object.keys(raw)) {
+            if (STREAK_REWARD_KEYS.indexOf(key) === -1)
+                errors.push(`${where}.${key} is not a known streak reward option`);
+        }
+        if (typeof raw.days !== "number" || !Number.isInteger(raw.days) || raw.days < 1) {
+            errors.push(`${where}.days must be a positive integer`);
+        }
+        if (raw.bonusPlays !== undefined)
+            nonNegative(`${where}.bonusPlays`, true)(raw.bonusPlays, errors);
+        if (raw.rewardMultiplier !== undefined) {
+            const multiplier = raw.rewardMultiplier;
+            if (typeof multiplier !== "number" || !(multiplier >= 1 && isFinite(multiplier))) {
+                errors.push(`${where}.rewardMultiplier must be a number of at least 1`);
+            }
+        }
+        return raw;
+    });
+}
+function validatePrizes(value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push("prizes must be an array");
+        return [];
+    }
+    value.forEach((prize, i) => {
+        if (typeof prize === "string")
+            return;
+        if (!isPlainObject(prize) || Object.keys(prize).some((key) => key !== "amount" && key !== "currency")) {
+            errors.push(`prizes[${i}] must be a string or { amount, currency }`);
+            return;
+        }
+        nonNegative(`prizes[${i}].amount`)(prize.amount, errors);
+        if (typeof prize.currency !== "string" || !/^[A-Z]{3}$/.test(prize.currency)) {
+            errors.push(`prizes[${i}].currency must be a three-letter ISO 4217 code`);
+        }
+    });
+    return value;
+}
+const DETAILS_FIELD_KEYS = ["name", "type", "label", "required", "pattern"];
+function validateDetailsFields(value, errors) {
+    if (!Array.isArray(value) || value.length === 0) {
+        errors.push("detailsFields must be a non-empty array");
+        return [];
+    }
+    const names = [];
+    return value.map((raw, i) => {
+        const where = `detailsFields[${i}]`;
+        if (!isPlainObject(raw)) {
+            errors.push(`${where} must be an object`);
+            return { name: "", type: "text" };
+        }
+        for (const key of Object.keys(raw)) {
+            if (DETAILS_FIELD_KEYS.indexOf(key) === -1)
+                errors.push(`${where}.${key} is not a known field option`);
+        }
+        if (typeof raw.name !== "string" || !/^[A-Za-z][\w-]*$/.test(raw.name)) {
+            errors.push(`${where}.name must be a letter followed by letters, digits, _ or -`);
+        }
+        else if (names.indexOf(raw.name) !== -1) {
+            errors.push(`${where}.name repeats "${raw.name}"`);
+        }
+        else {
+            names.push(raw.name);
+        }
+        oneOf(`${where}.type`, ["text", "email", "tel"])(raw.type, errors);
+        if (raw.label !== undefined)
+            string(`${where}.label`)(raw.label, errors);
+        if (raw.required !== undefined)
+            boolean(`${where}.required`)(raw.required, errors);
+        if (raw.pattern !== undefined) {
+            try {
+                new RegExp(raw.pattern);
+                string(`${where}.pattern`)(raw.pattern, errors);
+            }
+            catch (_) {
+                errors.push(`${where}.pattern must be a valid regular expression`);
+            }
+        }
+        return raw;
+    });
+}
+function validateShareUrl(value, errors) {
+    let valid = false;
+    if (typeof value === "string") {
+        try {
+            valid = /^https?:$/.test(new URL(value).protocol);
+        }
+        catch (_) {
+            // Not an absolute URL
+        }
+    }
+    if (!valid)
+        errors.push("shareUrl must be an absolute http(s) URL");
+    return value;
+}
+function validateReferredBy(value, errors) {
+    if (typeof value !== "string" || !REFERRAL_TOKEN_PATTERN.test(value)) {
+        errors.push("referredBy must be a referral token of letters, digits, _ or -");
+    }
+    return value;
+}
+function validateLocale(value, errors) {
+    if (typeof value !== "string" || !LOCALE_PATTERN.test(value)) {
+        errors.push("locale must be a language tag such as \"en\" or \"hi-IN\"");
+    }
+    return value;
+}
+function validateText(value, errors) {
+    if (!isPlainObject(value)) {
+        errors.push("text must be an object");
+        return {};
+    }
+    for (const key of Object.keys(value)) {
+        if (!(key in DEFAULT_TEXT)) {
+            errors.push(`text.${key} is not a known string`);
+        }
+        else if (typeof value[key] !== "string") {
+            errors.push(`text.${key} must be a string`);
+        }
+    }
+    return value;
+}
+const VALIDATORS = {
+    theme: validateTheme,
+    layout: oneOf("layout", Object.keys(WORLD_LAYOUTS)),
+    maxSpins: nonNegative("maxSpins", true),
+    campaignStart: validateTime("campaignStart"),
+    campaignEnd: validateTime("campaignEnd"),
+    refill: oneOf("refill", REFILL_PERIODS),
+    streakRewards: validateStreakRewards,
+    userId: string("userId"),
+    campaignId: string("campaignId"),
+    parentOrigin: string("parentOrigin"),
+    storage: oneOf("storage", ["local", "memory", "parent"]),
+    sharePersonalData: boolean("sharePersonalData"),
+    seed: nonNegative("seed", true),
+    rewardIssuer: oneOf("rewardIssuer", ["local", "parent"]),
+    rewardSecret: string("rewardSecret"),
+    rewardTtl: nonNegative("rewardTtl"),
+    rewardTimeout: nonNegative("rewardTimeout"),
+    rewardTiers: validateRewardTiers,
+    leaderboard: oneOf("leaderboard", ["local", "parent"]),
+    leaderboardSize: nonNegative("leaderboardSize", true),
+    leaderboardWindow: oneOf("leaderboardWindow", LEADERBOARD_WINDOWS),
+    leaderboardTimeout: nonNegative("leaderboardTimeout"),
+    prizes: validatePrizes,
+    detailsFields: validateDetailsFields,
+    shareUrl: validateShareUrl,
+    referredBy: validateReferredBy,
+    // Checked in validateConfig() against each other and the built‑ins
+    obstacleTypes: validateObstacleTypes,
+    waves: (value) => value,
+    difficulty: (value) => value,
+    collectibles: validateCollectibles,
+    countdown: nonNegative("countdown", true),
+    invulnerability: nonNegative("invulnerability"),
+    forceMute: boolean("forceMute"),
+    debugHitboxes: boolean("debugHitboxes"),
+    debug: boolean("debug"),
+    locale: validateLocale,
+    text: validateText,
+};
+/** Validate a `we:game:config` payload. Unknown keys are errors. */
+export function validateConfig(payload) {
+    const errors = [];
+    if (!isPlainObject(payload)) {
+        return { errors: ["config payload must be an object"] };
+    }
+    const config = {};
+    for (const key of Object.keys(payload)) {
+        const validator = VALIDATORS[key];
+        if (!validator) {
+            errors.push(`${key} is not a known config option`);
+        }
+        else if (payload[key] !== undefined) {
+            config[key] = validator(payload[key], errors);
+        }
+    }
+    // Waves refer to obstacle types and the curve to waves, built‑in or supplied
+    const named = (defaults, value) => Object.keys(Object.assign(Object.assign({}, defaults), (isPlainObject(value) ? value : {})));
+    const types = named(DEFAULT_OBSTACLE_TYPES, config.obstacleTypes);
+    if (config.waves !== undefined)
+        config.waves = validateWaves(config.waves, errors, types);
+    const waves = named(DEFAULT_WAVES, config.waves);
+    if (config.difficulty !== undefined)
+        config.difficulty = validateDifficulty(config.difficulty, errors, waves);
+    const { campaignStart, campaignEnd } = config;
+    if (campaignStart !== undefined && campaignEnd !== undefined && campaignEnd <= campaignStart) {
+        errors.push("campaignEnd must be after campaignStart");
+    }
+    return errors.length ? { errors } : { config: config, errors };
+}
@@ -0,0 +1,149 @@
+/**
+ * Reward issuers.
+ *
+ * A RewardIssuer turns an earned reward into a discount code. The local issuer
+ * signs codes with HMAC‑SHA256 so they encode campaign, tier, discount and
+ * expiry and can be checked with validateRewardCode(). Any secret shipped to
+ * the browser can be extracted, so campaigns that need unforgeable codes should
+ * use the remote issuer, which asks the parent page (and through it a backend)
+ * for the code.
+ * There is no built‑in secret: without the campaign's own, no code is issued.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+/** Default lifetime of an issued code: seven days. */
+export const DEFAULT_REWARD_TTL = 7 * 24 * 60 * 60 * 1000;
+/** Bytes of the HMAC kept in the code; enough to make guessing impractical. */
+const SIGNATURE_BYTES = 12;
+function base64UrlEncode(bytes) {
+    let binary = "";
+    bytes.forEach((b) => (binary += String.fromCharCode(b)));
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function base64UrlDecode(text) {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++)
+        bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+/** Compare two strings without leaking the position of the first difference. */
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length)
+        return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++)
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+function sign(secret, data) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const encoder = new TextEncoder();
+        const key = yield crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+        const signature = yield crypto.subtle.sign("HMAC", key, encoder.encode(data));
+        return new Uint8Array(signature).slice(0, SIGNATURE_BYTES);
+    });
+}
+/** Issues HMAC‑signed codes without any network round trip. */
+export class LocalRewardIssuer {
+    constructor(options) {
+        this.secret = options.secret;
+        this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_REWARD_TTL;
+        this.now = options.now || Date.now;
+    }
+    issue(request) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const expiresAt = Math.floor((this.now() + this.ttl) / 1000) * 1000;
+            const payload = {
+                c: request.campaignId || "",
+                t: request.reward.tier,
+                d: request.reward.discount,
+                e: expiresAt / 1000,
+                n: base64UrlEncode(crypto.getRandomValues(new Uint8Array(4))),
+            };
+            const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+            const signature = base64UrlEncode(yield sign(this.secret, body));
+            return { code: `${body}.${signature}`, expiresAt };
+        });
+    }
+}
+/**
+ * Check a code produced by LocalRewardIssuer: signature, expiry and, when
+ * given, the campaign it was issued for. A valid result carries the discount
+ * to apply.
+ */
+export function validateRewardCode(code_1, secret_1) {
+    return __awaiter(this, arguments, void 0, function* (code, secret, options = {}) {
+        const parts = typeof code === "string" ? code.split(".") : [];
+        if (parts.length !== 2) {
+            return { valid: false, reason: "malformed code" };
+        }
+        const [body, signature] = parts;
+        const expected = base64UrlEncode(yield sign(secret, body));
+        if (!constantTimeEqual(expected, signature)) {
+            return { valid: false, reason: "bad signature" };
+        }
+        let payload;
+        try {
+            payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+        }
+        catch (_) {
+            return { valid: false, reason: "malformed code" };
+        }
+        const result = {
+            campaignId: payload.c || undefined,
+            tier: payload.t,
+            discount: payload.d,
+            expiresAt: payload.e * 1000,
+        };
+        if (options.campaignId !== undefined && payload.c !== options.campaignId) {
+            return Object.assign(Object.assign({ valid: false }, result), { reason: "wrong campaign" });
+        }
+        const now = options.now !== undefined ? options.now : Date.now();
+        if (result.expiresAt <= now) {
+            return Object.assign(Object.assign({ valid: false }, result), { reason: "expired" });
+        }
+        return Object.assign({ valid: true }, result);
+    });
+}
+/**
+ * Stands in for the local issuer when the campaign configured no secret; it
+ * issues nothing.
+ */
+export class UnconfiguredRewardIssuer {
+    issue(_request) {
+        return Promise.reject(new Error("No rewardSecret configured for local codes"));
+    }
+}
+/**
+ * Requests codes from the parent over postMessage. The parent receives
+ * `we:game:reward:request` and must reply with `we:game:reward:response`
+ * whose `replyTo` is the request's `id` and whose payload is
+ * `{ code, expiresAt }` (or `{ error }` to refuse). Only a parent that does
+ * not answer in time leaves the code to the fallback; a refusal, such as a
+ * failed replay check, means no code.
+ */
+export class RemoteRewardIssuer {
+    constructor(options) {
+        this.options = options;
+    }
+    issue(request) {
+        const { channel, fallback } = this.options;
+        const timeout = this.options.timeout !== undefined ? this.options.timeout : 5000;
+        return channel.request("we:game:reward:request", { payload: request }, timeout).then((reply) => {
+            const payload = reply.payload || {};
+            if (typeof payload.code === "string" && typeof payload.expiresAt === "number") {
+                return { code: payload.code, expiresAt: payload.expiresAt };
+            }
+            const reason = typeof payload.error === "string" ? payload.error : "malformed reply";
+            throw new Error(`Parent refused the reward: ${reason}`);
+        }, () => fallback.issue(request));
+    }
+}
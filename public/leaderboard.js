@@ -0,0 +1,135 @@
+/**
+ * Leaderboards.
+ *
+ * A LeaderboardProvider records scores and returns ranked entries for a time
+ * window. The parent provider asks the host page (and through it a backend)
+ * so all players of a campaign compete on one board; the local provider keeps
+ * entries in a StorageAdapter and serves as a mock for tests and previews.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+export const LEADERBOARD_WINDOWS = ["daily", "weekly", "all-time"];
+/** Start of the window containing `now` (local time; weeks start on Monday). */
+export function windowStart(window, now) {
+    if (window === "all-time")
+        return 0;
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    if (window === "weekly") {
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    }
+    return date.getTime();
+}
+/** Most entries the local provider keeps before dropping the lowest scores. */
+const LOCAL_ENTRY_LIMIT = 200;
+/**
+ * Keeps every submitted score in a storage adapter (one entry per game). The
+ * most recent submission counts as the current player's entry.
+ */
+export class LocalLeaderboard {
+    constructor(storage, now = Date.now) {
+        this.lastSubmitted = null;
+        this.storage = storage;
+        this.now = now;
+    }
+    submit(submission) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const entry = {
+                displayName: submission.displayName,
+                score: submission.score,
+                userId: submission.userId,
+                at: this.now(),
+            };
+            const entries = (yield this.storage.get("leaderboard")) || [];
+            entries.push(entry);
+            entries.sort((a, b) => b.score - a.score || a.at - b.at);
+            yield this.storage.set("leaderboard", entries.slice(0, LOCAL_ENTRY_LIMIT));
+            this.lastSubmitted = entry;
+        });
+    }
+    fetch(query) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const since = windowStart(query.window, this.now());
+            const stored = (yield this.storage.get("leaderboard")) || [];
+            const ranked = stored
+                .filter((e) => e.at >= since)
+                .sort((a, b) => b.score - a.score || a.at - b.at)
+                .map((e, i) => ({
+                rank: i + 1,
+                displayName: e.displayName,
+                score: e.score,
+                isCurrentPlayer: !!this.lastSubmitted && e.at === this.lastSubmitted.at && e.score === this.lastSubmitted.score,
+            }));
+            return {
+                window: query.window,
+                entries: ranked.slice(0, query.size),
+                player: ranked.find((e) => e.isCurrentPlayer),
+                total: ranked.length,
+            };
+        });
+    }
+}
+/**
+ * Delegates to the host page. The host answers `we:game:leaderboard:submit`
+ * and `we:game:leaderboard:fetch` with `we:game:leaderboard:result`; for a
+ * fetch its payload is a LeaderboardPage, and `{ error }` reports a failure.
+ * Entries without a string name and a finite score are dropped.
+ */
+export class ParentLeaderboard {
+    constructor(channel, timeout = 5000) {
+        this.channel = channel;
+        this.timeout = timeout;
+    }
+    submit(submission) {
+        return this.channel
+            .request("we:game:leaderboard:submit", { payload: submission }, this.timeout)
+            .then((reply) => {
+            checkReply(reply.payload);
+        });
+    }
+    fetch(query) {
+        return this.channel.request("we:game:leaderboard:fetch", { payload: query }, this.timeout).then((reply) => {
+            const page = reply.payload;
+            checkReply(page);
+            if (!page || !Array.isArray(page.entries)) {
+                throw new Error("Malformed leaderboard page");
+            }
+            const entries = [];
+            for (const raw of page.entries) {
+                const entry = toEntry(raw, entries.length + 1);
+                if (entry)
+                    entries.push(entry);
+            }
+            return {
+                window: query.window,
+                entries: entries.slice(0, query.size),
+                player: toEntry(page.player, entries.length + 1) || undefined,
+                total: typeof page.total === "number" ? page.total : entries.length,
+            };
+        });
+    }
+}
+/** A host's entry if it has a name and score to show; `rank` stands in for a missing rank. */
+function toEntry(raw, rank) {
+    if (!raw || typeof raw.displayName !== "string" || typeof raw.score !== "number" || !isFinite(raw.score)) {
+        return null;
+    }
+    return {
+        rank: typeof raw.rank === "number" && isFinite(raw.rank) ? raw.rank : rank,
+        displayName: raw.displayName,
+        score: raw.score,
+        isCurrentPlayer: raw.isCurrentPlayer === true,
+    };
+}
+function checkReply(payload) {
+    if (payload && typeof payload.error === "string") {
+        throw new Error(payload.error);
+    }
+}
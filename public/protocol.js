@@ -0,0 +1,180 @@
+/**
+ * postMessage protocol between the game iframe and its host page.
+ *
+ * Every message is an envelope `{ type, version, id, replyTo?, ... }`:
+ * `version` is PROTOCOL_VERSION, `id` is unique per message and `replyTo`
+ * correlates a response with the request it answers. The session starts with
+ * a handshake:
+ *
+ *   game → parent   we:game:ready   { payload: { version, page } }
+ *   parent → game   we:game:config  { id, payload: GameConfig }
+ *   game → parent   we:game:ack     { replyTo, payload: { ok, errors? } }
+ *
+ * The game repeats `ready` until the first config arrives, so a host that
+ * starts listening late still completes the handshake; `page` is the same in
+ * each repeat and changes when the game reloads.
+ *
+ * Analytics events then flow in acknowledged batches (see analytics.ts):
+ *
+ *   game → parent   we:game:events      { id, payload: { events: AnalyticsRecord[] } }
+ *   parent → game   we:game:events:ack  { replyTo, payload: { ok: true } }
+ *
+ * Incoming messages are only accepted from the parent window and from an
+ * allow‑listed origin, and outgoing messages are addressed to allowed origins,
+ * never "*". With no allowed origin the game neither sends nor accepts
+ * anything. The host side of this protocol is wrapped by sdk.ts.
+ */
+/** Bumped on breaking changes to message shapes. */
+export const PROTOCOL_VERSION = 2;
+/** The conversion funnel, in order; a session may stop at any step. */
+export const FUNNEL_EVENTS = [
+    "impression",
+    "started",
+    "first_jump",
+    "game_over",
+    "details_submitted",
+    "redeem",
+];
+/** Messages the game accepts from the parent. */
+export const PARENT_MESSAGE_TYPES = [
+    "we:game:config",
+    "we:game:reward:response",
+    "we:game:play:state",
+    "we:game:leaderboard:result",
+    "we:game:events:ack",
+    "we:game:referral:result",
+];
+let messageCounter = 0;
+const messagePrefix = Math.floor(Math.random() * 0x100000000).toString(36);
+/** A message id unique within this page. */
+export function createMessageId() {
+    return `${messagePrefix}-${++messageCounter}`;
+}
+/**
+ * Work out which origins may talk to the game: an explicit comma‑separated
+ * `parentOrigin` query parameter on the iframe URL wins, otherwise the
+ * embedding page's origin as reported by the browser. Empty when neither is
+ * known, which shuts the channel; FlappyShopperHost.gameUrl() adds the
+ * parameter.
+ */
+export function resolveParentOrigins() {
+    const param = new URLSearchParams(location.search).get("parentOrigin");
+    if (param) {
+        return param
+            .split(",")
+            .map((o) => o.trim())
+            .filter(Boolean);
+    }
+    const ancestors = location.ancestorOrigins;
+    if (ancestors && ancestors.length > 0) {
+        return [ancestors[0]];
+    }
+    try {
+        if (document.referrer)
+            return [new URL(document.referrer).origin];
+    }
+    catch (_) {
+        // fall through
+    }
+    return [];
+}
+/** The game's end of the protocol: origin checks, envelopes and correlation. */
+export class ParentChannel {
+    constructor(options) {
+        this.pending = new Map();
+        this.open = false;
+        /** Sees every message posted and every message from the target window, for the debug log. */
+        this.monitor = null;
+        this.target = options.target;
+        this.origins = options.origins.slice();
+        this.activeOrigin = this.origins.length === 1 ? this.origins[0] : null;
+        this.onMessage = options.onMessage;
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+    /**
+     * Origins outgoing messages are addressed to: the parent's once known,
+     * until then each allowed one (the browser delivers to the one that matches).
+     */
+    get targetOrigins() {
+        return this.activeOrigin ? [this.activeOrigin] : this.origins;
+    }
+    /** Start listening for parent messages. */
+    connect() {
+        if (this.open)
+            return;
+        this.open = true;
+        window.addEventListener("message", this.handleMessage);
+    }
+    /** Stop listening and fail any request still awaiting a response. */
+    close() {
+        if (!this.open)
+            return;
+        this.open = false;
+        window.removeEventListener("message", this.handleMessage);
+        this.pending.forEach((request) => {
+            clearTimeout(request.timer);
+            request.reject(new Error("Channel closed"));
+        });
+        this.pending.clear();
+    }
+    /** Post a message to the parent; returns its id. */
+    post(type, body, replyTo) {
+        const id = createMessageId();
+        const envelope = { type, version: PROTOCOL_VERSION, id };
+        if (replyTo !== undefined)
+            envelope.replyTo = replyTo;
+        const message = Object.assign(Object.assign({}, envelope), body);
+        const origins = this.targetOrigins;
+        this.report("out", message, origins.join(", "), origins.length > 0);
+        for (const origin of origins) {
+            try {
+                this.target.postMessage(message, origin);
+            }
+            catch (_) {
+                // no-op
+            }
+        }
+        return id;
+    }
+    /**
+     * Post a message and wait for the parent's reply (a message whose `replyTo`
+     * is this message's id). Rejects after `timeout` milliseconds.
+     */
+    request(type, body, timeout) {
+        return new Promise((resolve, reject) => {
+            const id = this.post(type, body);
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`No reply to ${type} within ${timeout}ms`));
+            }, timeout);
+            this.pending.set(id, { resolve, reject, timer });
+        });
+    }
+    handleMessage(e) {
+        if (e.source !== this.target)
+            return;
+        const data = e.data;
+        if (!data || typeof data.type !== "string" || PARENT_MESSAGE_TYPES.indexOf(data.type) === -1) {
+            this.report("in", data, e.origin, false);
+            return;
+        }
+        if (this.origins.indexOf(e.origin) === -1) {
+            this.report("in", data, e.origin, false);
+            return;
+        }
+        this.report("in", data, e.origin, true);
+        this.activeOrigin = e.origin;
+        if (data.replyTo !== undefined && this.pending.has(data.replyTo)) {
+            const request = this.pending.get(data.replyTo);
+            this.pending.delete(data.replyTo);
+            clearTimeout(request.timer);
+            request.resolve(data);
+            return;
+        }
+        this.onMessage(data, e.origin);
+    }
+    report(direction, message, origin, accepted) {
+        if (this.monitor)
+            this.monitor({ direction, message, origin, accepted, at: Date.now() });
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * Seeded pseudo‑random number generation.
+ *
+ * Gameplay must never call Math.random() directly: every random decision is
+ * drawn from a generator created here so that a run can be reproduced from its
+ * seed alone.
+ */
+/**
+ * Create a mulberry32 generator. Small, fast and good enough for gameplay; the
+ * same seed always yields the same sequence on every JavaScript engine.
+ */
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+/** Pick a fresh 32‑bit seed for a new session. */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,138 @@
+/**
+ * Replay recording and verification.
+ *
+ * A replay is everything needed to re‑run a session: the seed, the simulation
+ * config and the ticks at which the player jumped. Because the Simulation is
+ * deterministic, a backend can import this module under Node (it has no DOM
+ * dependencies), re‑simulate the replay and confirm the claimed score and
+ * reward tier before honouring a discount code. It verifies against the
+ * config simulationConfigFor() builds from the campaign's, the same builder
+ * the game starts every session with.
+ */
+import { resolveHitbox } from "./assets.js";
+import { DEFAULT_COLLECTIBLES } from "./collectibles.js";
+import { DEFAULT_DIFFICULTY, DEFAULT_OBSTACLE_TYPES, DEFAULT_WAVES } from "./obstacles.js";
+import { computeReward, REWARD_THRESHOLDS } from "./rewards.js";
+import { DEFAULT_SIMULATION_CONFIG, Simulation, WORLD_LAYOUTS } from "./simulation.js";
+import { resolveTheme } from "./theme.js";
+/** Format version; bump whenever simulation rules change in a way that alters outcomes. */
+export const REPLAY_VERSION = 4;
+/** Default cap of one hour of play at 60 ticks per second. */
+const DEFAULT_MAX_TICKS = 60 * 60 * 60;
+/**
+ * The simulation config a session of a campaign runs under: its layout,
+ * obstacle types, waves, difficulty, collectibles and invulnerability over
+ * the defaults, and its theme's hitboxes.
+ * @param theme Defaults to the one `config.theme` names.
+ * @param hitboxes Resolved hitboxes; defaults to the theme's, with "alpha"
+ *   entries as the full sprite (see HitShapeSpec).
+ */
+export function simulationConfigFor(config, theme = resolveTheme(config.theme), hitboxes = themeHitboxes(theme)) {
+    const collectibles = Object.assign({}, DEFAULT_COLLECTIBLES);
+    const overrides = config.collectibles || {};
+    for (const name of Object.keys(overrides)) {
+        collectibles[name] = Object.assign(Object.assign({}, collectibles[name]), overrides[name]);
+    }
+    return Object.assign(Object.assign(Object.assign({}, DEFAULT_SIMULATION_CONFIG), WORLD_LAYOUTS[config.layout || "portrait"]), { obstacleTypes: Object.assign(Object.assign({}, DEFAULT_OBSTACLE_TYPES), config.obstacleTypes), waves: Object.assign(Object.assign({}, DEFAULT_WAVES), config.waves), difficulty: config.difficulty || DEFAULT_DIFFICULTY, collectibles,
+        hitboxes, invulnerability: config.invulnerability !== undefined ? config.invulnerability : DEFAULT_SIMULATION_CONFIG.invulnerability });
+}
+/** A theme's hitboxes by sprite, resolved without images. */
+function themeHitboxes(theme) {
+    const hitboxes = {};
+    for (const sprite of Object.keys(theme.hitboxes)) {
+        hitboxes[sprite] = resolveHitbox(theme.hitboxes[sprite], null);
+    }
+    return hitboxes;
+}
+/** Whether two values are alike once serialised, whatever the order of their objects' keys. */
+function sameValue(a, b) {
+    return equalPlain(toPlain(a), toPlain(b));
+}
+/** A value as it comes back from JSON, like the replay's config: Infinity turns to null, say. */
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+function equalPlain(a, b) {
+    if (a === b)
+        return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null)
+        return false;
+    if (Array.isArray(a) !== Array.isArray(b))
+        return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length)
+        return false;
+    return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && equalPlain(a[key], b[key]));
+}
+/** Capture a replay of a finished (or in‑progress) simulation. */
+export function createReplay(simulation) {
+    return {
+        version: REPLAY_VERSION,
+        seed: simulation.seed,
+        config: Object.assign({}, simulation.config),
+        inputs: encodeTicks(simulation.jumpTicks),
+        ticks: simulation.state.tick,
+        score: simulation.state.score,
+    };
+}
+/** Delta‑encode ascending ticks. */
+export function encodeTicks(ticks) {
+    let previous = 0;
+    return ticks.map((tick) => {
+        const delta = tick - previous;
+        previous = tick;
+        return delta;
+    });
+}
+/** Reverse encodeTicks(). */
+export function decodeTicks(deltas) {
+    let tick = 0;
+    return deltas.map((delta) => (tick += delta));
+}
+/**
+ * Re‑simulate a replay under the expected config and check that it ends
+ * exactly where it claims to, with the claimed score.
+ */
+export function verifyReplay(replay, options = {}) {
+    const thresholds = options.thresholds || REWARD_THRESHOLDS;
+    const multiplier = options.rewardMultiplier !== undefined ? options.rewardMultiplier : 1;
+    const reject = (reason, score = 0) => ({
+        valid: false,
+        score,
+        reward: computeReward(score, thresholds, multiplier),
+        reason,
+    });
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        return reject("unsupported replay version");
+    }
+    if (options.seed !== undefined && replay.seed !== options.seed) {
+        return reject("seed mismatch");
+    }
+    const config = Object.assign(Object.assign({}, DEFAULT_SIMULATION_CONFIG), options.config);
+    for (const key of Object.keys(config)) {
+        if (!replay.config || !sameValue(replay.config[key], config[key])) {
+            return reject(`config mismatch: ${key}`);
+        }
+    }
+    const maxTicks = options.maxTicks !== undefined ? options.maxTicks : DEFAULT_MAX_TICKS;
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0 || replay.ticks > maxTicks) {
+        return reject("invalid tick count");
+    }
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every((d) => Number.isInteger(d) && d >= 0)) {
+        return reject("malformed inputs");
+    }
+    const jumpTicks = decodeTicks(replay.inputs);
+    if (jumpTicks.length > 0 && jumpTicks[jumpTicks.length - 1] >= replay.ticks) {
+        return reject("input after end of session");
+    }
+    const simulation = new Simulation(replay.seed, config);
+    simulation.run(jumpTicks, replay.ticks);
+    const state = simulation.state;
+    if (!state.over || state.tick !== replay.ticks) {
+        return reject("session did not end where claimed", state.score);
+    }
+    if (state.score !== replay.score) {
+        return reject("score mismatch", state.score);
+    }
+    return { valid: true, score: state.score, reward: computeReward(state.score, thresholds, multiplier) };
+}
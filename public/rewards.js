@@ -0,0 +1,38 @@
+/**
+ * Reward tiers.
+ *
+ * Shared by the game and the replay verifier so both derive the same reward
+ * from a score. Campaigns may replace the default table through
+ * `GameConfig.rewardTiers`, including with non‑percentage rewards such as free
+ * shipping.
+ */
+/** Mapping from score ranges to reward discounts (percent). */
+export const REWARD_THRESHOLDS = [
+    { min: 0, max: 9, discount: 5 },
+    { min: 10, max: 19, discount: 10 },
+    { min: 20, max: 29, discount: 15 },
+    { min: 30, max: Infinity, discount: 20 },
+];
+function toReward(threshold, tier, multiplier) {
+    const discount = threshold.discount !== undefined ? Math.min(Math.round(threshold.discount * multiplier), 100) : null;
+    return {
+        tier,
+        type: threshold.type || "percent",
+        discount,
+        message: threshold.label || `${discount}% off`,
+    };
+}
+/**
+ * Determine the reward for a final score. Scores outside every range earn the
+ * first tier. A `multiplier` (a streak bonus, say) scales percentage
+ * discounts, up to 100% off.
+ */
+export function computeReward(score, thresholds = REWARD_THRESHOLDS, multiplier = 1) {
+    for (let tier = 0; tier < thresholds.length; tier++) {
+        const r = thresholds[tier];
+        if (score >= r.min && score <= r.max) {
+            return toReward(r, tier, multiplier);
+        }
+    }
+    return toReward(thresholds[0], 0, multiplier);
+}
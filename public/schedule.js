@@ -0,0 +1,67 @@
+/**
+ * Play rules over time.
+ *
+ * A campaign may open and close at set times, refill its plays every day or
+ * hour instead of granting them once, and reward players who come back on
+ * consecutive days. Periods follow the player's local clock: a day starts at
+ * local midnight. The functions take the current time rather than reading the
+ * clock, so the game can re‑evaluate them whenever a countdown runs out.
+ */
+export const REFILL_PERIODS = ["day", "hour"];
+/** A campaign time in milliseconds: a timestamp as given, or an ISO 8601 string parsed. NaN if invalid. */
+export function parseTime(value) {
+    return typeof value === "number" ? value : Date.parse(value);
+}
+export function campaignStatus(now, start, end) {
+    if (start !== undefined && now < parseTime(start))
+        return "upcoming";
+    if (end !== undefined && now >= parseTime(end))
+        return "ended";
+    return "open";
+}
+function pad(n) {
+    return n < 10 ? `0${n}` : String(n);
+}
+/** Identifier of the period containing `now`, e.g. "2026-10-18" or "2026-10-18T14". */
+export function periodId(now, period) {
+    const d = new Date(now);
+    const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    return period === "day" ? day : `${day}T${pad(d.getHours())}`;
+}
+/** When the period after the one containing `now` begins. */
+export function nextPeriodStart(now, period) {
+    const d = new Date(now);
+    d.setMinutes(0, 0, 0);
+    if (period === "day") {
+        d.setHours(0);
+        d.setDate(d.getDate() + 1);
+    }
+    else {
+        d.setHours(d.getHours() + 1);
+    }
+    return d.getTime();
+}
+/** The streak as it stands if the player plays today: kept from yesterday, else begun afresh. */
+export function currentStreak(saved, now) {
+    if (!saved)
+        return 1;
+    if (saved.lastDay === periodId(now, "day"))
+        return saved.days;
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    const yesterday = periodId(midnight.getTime() - 1, "day");
+    return saved.lastDay === yesterday ? saved.days + 1 : 1;
+}
+/** The streak after a play at `now`. */
+export function recordPlay(saved, now) {
+    return { lastDay: periodId(now, "day"), days: currentStreak(saved, now) };
+}
+/** The reward for the longest streak length reached, if any. */
+export function streakReward(streak, rewards) {
+    let best = null;
+    for (const reward of rewards) {
+        if (reward.days <= streak && (!best || reward.days > best.days))
+            best = reward;
+    }
+    return best;
+}
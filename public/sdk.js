@@ -0,0 +1,226 @@
+/**
+ * Host‑page SDK for embedding Flappy Shopper.
+ *
+ * Wraps the postMessage protocol (see protocol.ts) so integrators never deal
+ * with raw messages: it waits for the game's `ready`, sends the config and
+ * resolves once the game acknowledges it, resizes the iframe, acknowledges
+ * and forwards analytics events (once each, in order) and answers
+ * reward‑code, play‑limit, leaderboard and referral requests.
+ *
+ * The game's share button uses the Web Share API only when the iframe has
+ * `allow="web-share"`.
+ *
+ * Include it on the host page as a module:
+ *
+ *   <iframe id="game" allow="web-share"></iframe>
+ *   <script type="module">
+ *     import { FlappyShopperHost } from "https://game.example.com/sdk.js";
+ *     const iframe = document.getElementById("game");
+ *     iframe.src = FlappyShopperHost.gameUrl("https://game.example.com/index.html");
+ *     const host = new FlappyShopperHost(iframe, {
+ *       gameOrigin: "https://game.example.com",
+ *       config: { campaignId: "summer-sale", maxSpins: 3 },
+ *       onEvent: (event) => analytics.track(event.name, event),
+ *     });
+ *   </script>
+ */
+import { createMessageId, PROTOCOL_VERSION } from "./protocol.js";
+/** Error raised when the game rejects a config. */
+export class ConfigRejectedError extends Error {
+    constructor(errors) {
+        super(`Game rejected config: ${errors.join("; ")}`);
+        this.name = "ConfigRejectedError";
+        this.errors = errors;
+    }
+}
+export class FlappyShopperHost {
+    /**
+     * Build the iframe URL, telling the game which origin may configure it.
+     * @param hostOrigin Defaults to the current page's origin.
+     */
+    static gameUrl(url, hostOrigin = location.origin) {
+        const result = new URL(url, location.href);
+        result.searchParams.set("parentOrigin", hostOrigin);
+        return result.toString();
+    }
+    constructor(iframe, options) {
+        this.ready = false;
+        /** Configs sent before the game was ready, flushed on `ready`. */
+        this.queued = [];
+        this.pending = new Map();
+        /** Highest event sequence number delivered per game session, to skip retried duplicates. */
+        this.delivered = new Map();
+        this.iframe = iframe;
+        this.options = options;
+        this.handleMessage = this.handleMessage.bind(this);
+        window.addEventListener("message", this.handleMessage);
+    }
+    /**
+     * Send a config to the game. Resolves when the game acknowledges it and
+     * rejects with ConfigRejectedError if the game finds it invalid.
+     */
+    configure(config) {
+        return new Promise((resolve, reject) => {
+            const send = () => {
+                const id = createMessageId();
+                const timeout = this.options.ackTimeout !== undefined ? this.options.ackTimeout : 5000;
+                const timer = setTimeout(() => {
+                    this.pending.delete(id);
+                    reject(new Error(`Game did not acknowledge config within ${timeout}ms`));
+                }, timeout);
+                this.pending.set(id, { resolve, reject, timer });
+                this.post({ type: "we:game:config", id, payload: config });
+            };
+            if (this.ready) {
+                send();
+            }
+            else {
+                this.queued.push(send);
+            }
+        });
+    }
+    /** Stop listening to the game and fail pending configs. */
+    destroy() {
+        window.removeEventListener("message", this.handleMessage);
+        this.pending.forEach((ack) => {
+            clearTimeout(ack.timer);
+            ack.reject(new Error("Host destroyed"));
+        });
+        this.pending.clear();
+        this.queued = [];
+    }
+    post(message) {
+        const target = this.iframe.contentWindow;
+        if (target) {
+            target.postMessage(Object.assign({ version: PROTOCOL_VERSION, id: createMessageId() }, message), this.options.gameOrigin);
+        }
+    }
+    handleMessage(e) {
+        if (e.source !== this.iframe.contentWindow || e.origin !== this.options.gameOrigin)
+            return;
+        const data = e.data;
+        if (!data || typeof data.type !== "string")
+            return;
+        switch (data.type) {
+            case "we:game:ready":
+                this.handleReady(data.payload);
+                break;
+            case "we:game:ack": {
+                const ack = this.pending.get(data.replyTo);
+                if (!ack)
+                    break;
+                this.pending.delete(data.replyTo);
+                clearTimeout(ack.timer);
+                const payload = data.payload || {};
+                if (payload.ok) {
+                    ack.resolve();
+                }
+                else {
+                    ack.reject(new ConfigRejectedError(payload.errors || []));
+                }
+                break;
+            }
+            case "we:game:height":
+                if (this.options.autoResize !== false && typeof data.px === "number") {
+                    this.iframe.style.height = `${data.px}px`;
+                }
+                break;
+            case "we:game:events":
+                this.handleEvents(data.id, data.payload);
+                break;
+            case "we:game:error":
+                if (this.options.onError)
+                    this.options.onError(data.payload);
+                break;
+            case "we:game:reward:request":
+                this.handleRewardRequest(data.id, data.payload);
+                break;
+            case "we:game:play:status":
+            case "we:game:play:request":
+                this.handlePlayRequest(data.type, data.id, data.payload);
+                break;
+            case "we:game:leaderboard:submit":
+            case "we:game:leaderboard:fetch":
+                this.handleLeaderboardRequest(data.type, data.id, data.payload);
+                break;
+            case "we:game:referral:credit":
+                this.handleReferralCredit(data.id, data.payload);
+                break;
+        }
+    }
+    handleReady(payload) {
+        // The game may reload inside the iframe; a ready from a new page load
+        // restarts the handshake, a repeat from the same one is already answered
+        const page = payload && typeof payload.page === "string" ? payload.page : undefined;
+        if (page !== undefined && page === this.readyPage)
+            return;
+        this.readyPage = page;
+        this.ready = true;
+        if (this.options.onReady)
+            this.options.onReady();
+        if (this.options.config) {
+            this.configure(this.options.config).catch((error) => {
+                if (this.options.onError) {
+                    this.options.onError({
+                        code: "config_failed",
+                        message: error.message,
+                        errors: error instanceof ConfigRejectedError ? error.errors : undefined,
+                    });
+                }
+            });
+        }
+        const queued = this.queued;
+        this.queued = [];
+        queued.forEach((send) => send());
+    }
+    handleEvents(id, payload) {
+        const records = payload && Array.isArray(payload.events) ? payload.events : [];
+        for (const record of records) {
+            const last = this.delivered.get(record.sessionId) || 0;
+            if (record.seq <= last)
+                continue;
+            this.delivered.set(record.sessionId, record.seq);
+            if (this.options.onEvent)
+                this.options.onEvent(record.event, record);
+        }
+        this.post({ type: "we:game:events:ack", replyTo: id, payload: { ok: true } });
+    }
+    handlePlayRequest(type, id, request) {
+        const respond = (payload) => this.post({ type: "we:game:play:state", replyTo: id, payload });
+        const limits = this.options.playLimits;
+        if (!limits) {
+            respond({ granted: false, reason: "no play limits configured" });
+            return;
+        }
+        const checked = Object.assign(Object.assign({}, request), { maxPlays: limits.maxPlays });
+        const answer = type === "we:game:play:request" ? limits.request(checked) : limits.status(checked);
+        answer.then(respond, (error) => respond({ granted: false, reason: error && error.message ? error.message : "refused" }));
+    }
+    handleReferralCredit(id, request) {
+        const respond = (payload) => this.post({ type: "we:game:referral:result", replyTo: id, payload });
+        const referrals = this.options.referrals;
+        if (!referrals) {
+            respond({ credited: false, reason: "no referrals configured" });
+            return;
+        }
+        referrals.credit(request).then((credited) => respond({ credited: credited === true }), (error) => respond({ credited: false, reason: error && error.message ? error.message : "refused" }));
+    }
+    handleLeaderboardRequest(type, id, payload) {
+        const respond = (result) => this.post({ type: "we:game:leaderboard:result", replyTo: id, payload: result });
+        const leaderboard = this.options.leaderboard;
+        if (!leaderboard) {
+            respond({ error: "no leaderboard configured" });
+            return;
+        }
+        const answer = type === "we:game:leaderboard:fetch" ? leaderboard.fetch(payload) : leaderboard.submit(payload);
+        answer.then((page) => respond(page || { ok: true }), (error) => respond({ error: error && error.message ? error.message : "failed" }));
+    }
+    handleRewardRequest(id, request) {
+        const respond = (payload) => this.post({ type: "we:game:reward:response", replyTo: id, payload });
+        if (!this.options.issueReward) {
+            respond({ error: "no reward issuer configured" });
+            return;
+        }
+        this.options.issueReward(request).then((issued) => respond({ code: issued.code, expiresAt: issued.expiresAt }), (error) => respond({ error: error && error.message ? error.message : "refused" }));
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Sharing results.
+ *
+ * A share card is an image of the player's result drawn on an offscreen
+ * canvas in the theme's artwork and colours. It goes out through the Web
+ * Share API where the browser has it (an embedding iframe needs
+ * `allow="web-share"`), else it is downloaded. The shared link carries the
+ * player's referral token as a `ref` query parameter; the host reads it from
+ * its own URL and passes it to the referred player's game as `referredBy`.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+export const SHARE_CARD_WIDTH = 1200;
+export const SHARE_CARD_HEIGHT = 630;
+/** What a referral token looks like; other values of `referredBy` are rejected. */
+export const REFERRAL_TOKEN_PATTERN = /^[\w-]{1,64}$/;
+/** A new random referral token. */
+export function createReferralToken() {
+    const random = () => Math.floor(Math.random() * 0x100000000).toString(36);
+    return `${random()}${random()}`;
+}
+/** The link to share: `base` with the referral token as its `ref` parameter. */
+export function referralUrl(base, token) {
+    const url = new URL(base, location.href);
+    url.searchParams.set("ref", token);
+    return url.toString();
+}
+/** Draw a share card: the theme's background, the player sprite and the result on a panel. */
+export function renderShareCard(content) {
+    const canvas = document.createElement("canvas");
+    canvas.width = SHARE_CARD_WIDTH;
+    canvas.height = SHARE_CARD_HEIGHT;
+    const ctx = canvas.getContext("2d");
+    if (!ctx)
+        return canvas;
+    const { theme, images } = content;
+    const width = SHARE_CARD_WIDTH;
+    const height = SHARE_CARD_HEIGHT;
+    ctx.fillStyle = theme.colors.letterbox;
+    ctx.fillRect(0, 0, width, height);
+    for (const layer of theme.background) {
+        const top = layer.top * height;
+        const bandHeight = layer.height * height;
+        if (layer.color) {
+            ctx.fillStyle = layer.color;
+            ctx.fillRect(0, top, width, bandHeight);
+        }
+        const img = layer.image ? images[layer.image] : null;
+        if (img && img.naturalHeight > 0) {
+            const tileWidth = (img.naturalWidth / img.naturalHeight) * bandHeight;
+            for (let x = 0; x < width; x += tileWidth) {
+                ctx.drawImage(img, x, top, tileWidth, bandHeight);
+            }
+        }
+    }
+    // The player on one side, the result on a panel on the other
+    const rtl = content.direction === "rtl";
+    const playerSize = height * 0.5;
+    const playerX = rtl ? width - width * 0.1 - playerSize : width * 0.1;
+    const player = images[theme.sprites.player];
+    if (player) {
+        ctx.drawImage(player, playerX, (height - playerSize) / 2, playerSize, playerSize);
+    }
+    else {
+        ctx.fillStyle = theme.colors.player;
+        ctx.fillRect(playerX, (height - playerSize) / 2, playerSize, playerSize);
+    }
+    const panel = { x: rtl ? width * 0.06 : width * 0.46, y: height * 0.1, width: width * 0.48, height: height * 0.8 };
+    ctx.globalAlpha = 0.9;
+    ctx.fillStyle = theme.colors.overlayBackground;
+    ctx.fillRect(panel.x, panel.y, panel.width, panel.height);
+    ctx.globalAlpha = 1;
+    const centre = panel.x + panel.width / 2;
+    const font = theme.fonts.overlay;
+    const maxWidth = panel.width * 0.9;
+    ctx.fillStyle = theme.colors.overlayText;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.font = `bold 52px ${font}`;
+    ctx.fillText(content.title, centre, panel.y + 70, maxWidth);
+    ctx.fillStyle = theme.colors.button;
+    ctx.font = `bold 120px ${font}`;
+    ctx.fillText(content.score, centre, panel.y + 190, maxWidth);
+    ctx.fillStyle = theme.colors.overlayText;
+    ctx.font = `36px ${font}`;
+    content.lines.forEach((line, i) => ctx.fillText(line, centre, panel.y + 290 + i * 50, maxWidth));
+    if (content.footer) {
+        ctx.font = `24px ${font}`;
+        ctx.globalAlpha = 0.7;
+        ctx.fillText(content.footer, centre, panel.y + panel.height - 30, maxWidth);
+    }
+    return canvas;
+}
+/** The canvas as a PNG, or null if it can't be read (cross‑origin artwork taints it). */
+function toBlob(canvas) {
+    return new Promise((resolve) => {
+        try {
+            canvas.toBlob((blob) => resolve(blob), "image/png");
+        }
+        catch (_) {
+            resolve(null);
+        }
+    });
+}
+/**
+ * Share a card through the Web Share API, with the image where the browser
+ * can share files; otherwise download the image.
+ */
+export function shareCard(canvas, data) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const blob = yield toBlob(canvas);
+        const share = navigator.share;
+        if (share) {
+            const payload = {
+                title: data.title,
+                text: data.text,
+                url: data.url,
+            };
+            const canShare = navigator.canShare;
+            if (blob && canShare) {
+                const files = [new File([blob], data.filename, { type: "image/png" })];
+                if (canShare.call(navigator, { files }))
+                    payload.files = files;
+            }
+            try {
+                yield share.call(navigator, payload);
+                return "share";
+            }
+            catch (error) {
+                if (error instanceof Error && error.name === "AbortError")
+                    return "cancelled";
+                // Refused, e.g. by an iframe without permission: download instead
+            }
+        }
+        if (!blob)
+            return "unavailable";
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = data.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+        return "download";
+    });
+}
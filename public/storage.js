@@ -0,0 +1,198 @@
+/**
+ * Persistence and play‑limit enforcement.
+ *
+ * The game keeps its state (leaderboard, play count, user details) behind a
+ * StorageAdapter scoped to one user and campaign, so two campaigns on the same
+ * device never share counts. Adapters also decide whether a play may start:
+ * the local and in‑memory adapters count plays themselves, while the
+ * parent‑authoritative adapter asks the host page, which can enforce limits
+ * server‑side where clearing storage or going incognito does not help.
+ *
+ * Referral credit goes through the adapter too, since only an authoritative
+ * store can reach the referrer; the counting adapters decline it.
+ *
+ * Plays are counted for the campaign's lifetime, or, when a refill `period`
+ * is given (an id such as "2026-10-18"; see schedule.ts), afresh in each
+ * period.
+ */
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : adopt(result.value).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+/**
+ * Namespace for a user and campaign, e.g.
+ * `flappyShopper:summer-sale:user-42`. Missing parts become "default" and
+ * "anonymous".
+ */
+export function storageNamespace(scope) {
+    const campaign = encodeURIComponent(scope.campaignId || "default");
+    const user = encodeURIComponent(scope.userId || "anonymous");
+    return `flappyShopper:${campaign}:${user}`;
+}
+/** Keys used before storage was namespaced, read once for the default scope. */
+const LEGACY_KEYS = {
+    playCount: "flappyShopperPlayCount",
+    details: "flappyShopperDetails",
+};
+/** Play counting shared by adapters that keep the count themselves. */
+class CountingStorage {
+    playState(maxPlays, period) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const playCount = (yield this.get("playCount")) || 0;
+            const used = period === undefined ? playCount : yield this.periodCount(period);
+            return { playCount, remaining: Math.max(maxPlays - used, 0) };
+        });
+    }
+    requestPlay(maxPlays, period) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const state = yield this.playState(maxPlays, period);
+            if (state.remaining <= 0) {
+                return Object.assign(Object.assign({}, state), { granted: false, reason: "limit_reached" });
+            }
+            const playCount = state.playCount + 1;
+            yield this.set("playCount", playCount);
+            if (period !== undefined) {
+                yield this.set("periodPlays", { period, count: (yield this.periodCount(period)) + 1 });
+            }
+            return { granted: true, playCount, remaining: state.remaining - 1 };
+        });
+    }
+    /** A referrer's plays live on their own device, out of reach. */
+    creditReferral(_token) {
+        return __awaiter(this, void 0, void 0, function* () {
+            return { credited: false, reason: "unsupported" };
+        });
+    }
+    /** Plays used in a refill period; a count saved for an earlier period no longer applies. */
+    periodCount(period) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const saved = yield this.get("periodPlays");
+            return saved && saved.period === period ? saved.count : 0;
+        });
+    }
+}
+/** Stores JSON values in localStorage under a namespace. Storage errors are ignored. */
+export class LocalStorageAdapter extends CountingStorage {
+    constructor(scope) {
+        super();
+        this.namespace = storageNamespace(scope);
+        this.legacy = !scope.userId && !scope.campaignId;
+    }
+    get(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                let raw = localStorage.getItem(`${this.namespace}:${key}`);
+                if (raw === null && this.legacy && LEGACY_KEYS[key]) {
+                    raw = localStorage.getItem(LEGACY_KEYS[key]);
+                }
+                return raw === null ? undefined : JSON.parse(raw);
+            }
+            catch (_) {
+                return undefined;
+            }
+        });
+    }
+    set(key, value) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                localStorage.setItem(`${this.namespace}:${key}`, JSON.stringify(value));
+            }
+            catch (_) {
+                /* ignore */
+            }
+        });
+    }
+    remove(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            try {
+                localStorage.removeItem(`${this.namespace}:${key}`);
+                if (this.legacy && LEGACY_KEYS[key])
+                    localStorage.removeItem(LEGACY_KEYS[key]);
+            }
+            catch (_) {
+                /* ignore */
+            }
+        });
+    }
+}
+/** Keeps state for the lifetime of the page only; for tests and previews. */
+export class MemoryStorageAdapter extends CountingStorage {
+    constructor() {
+        super(...arguments);
+        this.values = new Map();
+    }
+    get(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            const raw = this.values.get(key);
+            return raw === undefined ? undefined : JSON.parse(raw);
+        });
+    }
+    set(key, value) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.values.set(key, JSON.stringify(value));
+        });
+    }
+    remove(key) {
+        return __awaiter(this, void 0, void 0, function* () {
+            this.values.delete(key);
+        });
+    }
+}
+/**
+ * Play counts and grants come from the host page; other values are cached in
+ * `cache`. The host answers `we:game:play:status` and `we:game:play:request`
+ * with `we:game:play:state` carrying `{ playCount, remaining }` (plus
+ * `granted`, `grantId` and `reason` for requests). Requests name the refill
+ * `period` when plays refill, for the host to count per period. The host
+ * applies its own limit; the `maxPlays` sent along is only the game's view.
+ * Referral credit is asked for with `we:game:referral:credit` (see
+ * ReferralRequest). A host that does not answer in time is treated as
+ * refusing.
+ */
+export class ParentStorageAdapter {
+    constructor(channel, scope, cache, timeout = 5000) {
+        this.channel = channel;
+        this.scope = scope;
+        this.cache = cache;
+        this.timeout = timeout;
+    }
+    get(key) {
+        return this.cache.get(key);
+    }
+    set(key, value) {
+        return this.cache.set(key, value);
+    }
+    remove(key) {
+        return this.cache.remove(key);
+    }
+    playState(maxPlays, period) {
+        const payload = Object.assign(Object.assign({}, this.scope), { maxPlays, period });
+        return this.channel.request("we:game:play:status", { payload }, this.timeout).then((reply) => toPlayState(reply.payload, maxPlays), 
+        // Without an answer, show the configured allowance; requestPlay() still decides
+        () => ({ playCount: 0, remaining: maxPlays }));
+    }
+    requestPlay(maxPlays, period) {
+        const payload = Object.assign(Object.assign({}, this.scope), { maxPlays, period });
+        return this.channel.request("we:game:play:request", { payload }, this.timeout).then((reply) => {
+            const data = reply.payload || {};
+            return Object.assign(Object.assign({}, toPlayState(data, maxPlays)), { granted: data.granted === true, grantId: typeof data.grantId === "string" ? data.grantId : undefined, reason: typeof data.reason === "string" ? data.reason : undefined });
+        }, () => ({ playCount: 0, remaining: 0, granted: false, reason: "unavailable" }));
+    }
+    creditReferral(token) {
+        const payload = Object.assign(Object.assign({}, this.scope), { token });
+        return this.channel.request("we:game:referral:credit", { payload }, this.timeout).then((reply) => {
+            const data = reply.payload || {};
+            return { credited: data.credited === true, reason: typeof data.reason === "string" ? data.reason : undefined };
+        }, () => ({ credited: false, reason: "unavailable" }));
+    }
+}
+function toPlayState(data, maxPlays) {
+    const playCount = data && typeof data.playCount === "number" ? data.playCount : 0;
+    const remaining = data && typeof data.remaining === "number" ? data.remaining : Math.max(maxPlays - playCount, 0);
+    return { playCount, remaining };
+}
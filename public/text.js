@@ -0,0 +1,256 @@
+/**
+ * User‑facing copy.
+ *
+ * Every overlay and HUD string is a template with `{name}` placeholders so a
+ * campaign can replace any of them through `GameConfig.text`. DEFAULT_TEXT is
+ * the English catalog; translations live in i18n.ts.
+ *
+ * Placeholders follow a small subset of ICU message syntax, formatted for the
+ * locale the template is filled in:
+ *
+ * - `{n}` or `{n, number}`: the value, with numbers grouped the locale's way
+ * - `{n, percent}`: a number of percent, e.g. 15 → "15%"
+ * - `{price, currency}`: a Money value, e.g. "$10,000"
+ * - `{n, plural, one {# play} other {# plays}}`: the branch for the number's
+ *   plural category (or an exact `=0` branch), with `#` standing for the number
+ */
+export const DEFAULT_TEXT = {
+    loading: "Loading… {percent, percent}",
+    startTitle: "Flappy Shopper",
+    startBody: "Navigate through the crowds and rack up points! You have {plays, plural, one {# play} other {# plays}} remaining.",
+    startButton: "Start Game",
+    noPlaysTitle: "No more plays",
+    pausedTitle: "Paused",
+    resumeButton: "Resume",
+    noPlaysBody: "You've reached the maximum number of plays for this promotion. Thank you for participating!",
+    comingSoonTitle: "Coming soon",
+    comingSoonBody: "The game opens in {countdown}.",
+    endedTitle: "This promotion has ended",
+    endedBody: "Thank you for playing! Keep an eye out for our next game.",
+    nextPlayIn: "Your next free play is in {countdown}.",
+    timeLeft: "{days, plural, =0 {{time}} one {# day {time}} other {# days {time}}}",
+    streakBody: "{days, plural, one {# day} other {# days}} in a row. Keep it up!",
+    streakMultiplier: "Streak bonus: rewards ×{multiplier} today!",
+    gameOverTitle: "Game Over",
+    preparingReward: "Preparing your reward…",
+    yourScore: "Your score: {score}",
+    yourReward: "Your reward: {reward} (Code: {code})",
+    percentOff: "{discount, percent} off",
+    codeWithExpiry: "{code}, valid until {expiry}",
+    codeUnavailable: "unavailable",
+    topScores: "Top Scores",
+    leaderboardDaily: "Today",
+    leaderboardWeekly: "This week",
+    leaderboardAllTime: "All time",
+    leaderboardUnavailable: "The leaderboard is unavailable right now.",
+    playerRank: "You are #{rank} of {total}",
+    rankHeader: "#",
+    nameHeader: "Name",
+    scoreHeader: "Score",
+    prizeHeader: "Prize",
+    prizeWorth: "Shopping worth {amount, currency}",
+    redeemButton: "Redeem Reward",
+    playAgainButton: "Play Again",
+    shareButton: "Share my score",
+    shareText: "I scored {score} on Flappy Shopper! Can you beat me?",
+    shareCardReward: "I won {reward}!",
+    shareUnavailable: "Sharing isn't available on this device.",
+    redeemedTitle: "Reward Redeemed!",
+    redeemedBody: "Thank you, {name}! Your discount code {code} has been recorded. Enjoy your shopping!",
+    defaultName: "shopper",
+    detailsTitle: "Tell us about you",
+    detailsBody: "We need your details to process the reward.",
+    nameLabel: "Name",
+    emailLabel: "Email",
+    phoneLabel: "Phone",
+    submitButton: "Submit",
+    missingFields: "Please correct the highlighted fields.",
+    fieldRequired: "{field} is required.",
+    invalidEmail: "Enter a valid email address.",
+    invalidPhone: "Enter a valid phone number.",
+    invalidField: "{field} is not valid.",
+    consentLabel: "I agree to my details being stored and used to process my reward and to contact me about this promotion.",
+    consentRequired: "Please agree to continue.",
+    canvasLabel: "Flappy Shopper. Press Space or tap to jump, P to pause, M to mute.",
+    muteButton: "Mute sound",
+    hudScore: "Score: {score}",
+    hudLives: "Lives: {lives}",
+    countdownReady: "Get ready",
+    countdownGo: "Go!",
+};
+const PluralRules = Intl.PluralRules;
+const formatters = {};
+/** A cached number formatter; an unsupported locale falls back to the runtime's default. */
+function numberFormat(locale, options = {}) {
+    const key = `${locale}|${JSON.stringify(options)}`;
+    if (!formatters[key]) {
+        try {
+            formatters[key] = new Intl.NumberFormat(locale, options);
+        }
+        catch (_) {
+            formatters[key] = new Intl.NumberFormat(undefined, options);
+        }
+    }
+    return formatters[key];
+}
+/** Format a number with the locale's digits and grouping. */
+export function formatNumber(value, locale = "en") {
+    return numberFormat(locale).format(value);
+}
+/** Format a number of percent, e.g. 15 → "15%". */
+export function formatPercent(value, locale = "en") {
+    return numberFormat(locale, { style: "percent", maximumFractionDigits: 2 }).format(value / 100);
+}
+/** Format money, dropping the minor unit for whole amounts. */
+export function formatMoney(money, locale = "en") {
+    const whole = Math.round(money.amount) === money.amount;
+    const options = { style: "currency", currency: money.currency };
+    if (whole)
+        options.minimumFractionDigits = options.maximumFractionDigits = 0;
+    return numberFormat(locale, options).format(money.amount);
+}
+/** Format a date (milliseconds since the epoch) the locale's short way. */
+export function formatDate(time, locale = "en") {
+    try {
+        return new Date(time).toLocaleDateString(locale);
+    }
+    catch (_) {
+        return new Date(time).toLocaleDateString();
+    }
+}
+/** Format a duration under a day as a clock, e.g. "3:04:05", in the locale's digits. */
+export function formatClock(ms, locale = "en") {
+    const seconds = Math.max(Math.ceil(ms / 1000), 0);
+    const two = numberFormat(locale, { minimumIntegerDigits: 2, useGrouping: false });
+    const hours = formatNumber(Math.floor(seconds / 3600), locale);
+    return `${hours}:${two.format(Math.floor(seconds / 60) % 60)}:${two.format(seconds % 60)}`;
+}
+/** The locale's plural category for a number: "one", "few", "other" and so on. */
+export function pluralCategory(value, locale = "en") {
+    if (PluralRules) {
+        try {
+            return new PluralRules(locale).select(value);
+        }
+        catch (_) {
+            // Unsupported locale: fall through to the English rule
+        }
+    }
+    return value === 1 ? "one" : "other";
+}
+function isMoney(value) {
+    return typeof value === "object" && value !== null && typeof value.amount === "number";
+}
+function formatValue(value, locale) {
+    if (typeof value === "number")
+        return formatNumber(value, locale);
+    if (isMoney(value))
+        return formatMoney(value, locale);
+    return value;
+}
+/** Index of the brace closing the one at `start`, or -1. */
+function closingBrace(template, start) {
+    let depth = 0;
+    for (let i = start; i < template.length; i++) {
+        if (template[i] === "{")
+            depth++;
+        else if (template[i] === "}" && --depth === 0)
+            return i;
+    }
+    return -1;
+}
+/** Parse `one {…} other {…}` into branches by selector. */
+function pluralBranches(spec) {
+    const branches = {};
+    let i = 0;
+    while (i < spec.length) {
+        const match = /^\s*(=\d+|zero|one|two|few|many|other)\s*\{/.exec(spec.slice(i));
+        if (!match)
+            return /^\s*$/.test(spec.slice(i)) ? branches : null;
+        const open = i + match[0].length - 1;
+        const close = closingBrace(spec, open);
+        if (close < 0)
+            return null;
+        branches[match[1]] = spec.slice(open + 1, close);
+        i = close + 1;
+    }
+    return branches;
+}
+/**
+ * Fill a template, passing literal text and formatted values through
+ * `output`. Placeholders that are malformed or lack a value are kept as
+ * written.
+ */
+function render(template, values, locale, output) {
+    let result = "";
+    let literal = "";
+    let i = 0;
+    while (i < template.length) {
+        const close = template[i] === "{" ? closingBrace(template, i) : -1;
+        const body = close < 0 ? null : renderPlaceholder(template.slice(i + 1, close), values, locale, output);
+        if (body === null) {
+            literal += template[i];
+            i++;
+            continue;
+        }
+        result += output.literal(literal) + body;
+        literal = "";
+        i = close + 1;
+    }
+    return result + output.literal(literal);
+}
+function renderPlaceholder(spec, values, locale, output) {
+    const match = /^\s*(\w+|#)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/.exec(spec);
+    if (!match)
+        return null;
+    const [, name, type, rest] = match;
+    const value = values[name];
+    if (value === undefined)
+        return null;
+    switch (type) {
+        case undefined:
+        case "number":
+            return rest === undefined ? output.value(formatValue(value, locale)) : null;
+        case "percent":
+            return typeof value === "number" && rest === undefined ? output.value(formatPercent(value, locale)) : null;
+        case "currency":
+            return isMoney(value) && rest === undefined ? output.value(formatMoney(value, locale)) : null;
+        case "plural": {
+            if (typeof value !== "number" || rest === undefined)
+                return null;
+            const branches = pluralBranches(rest);
+            if (!branches)
+                return null;
+            const branch = branches[`=${value}`] || branches[pluralCategory(value, locale)] || branches.other;
+            if (branch === undefined)
+                return null;
+            return render(branch.replace(/#/g, "{#}"), Object.assign(Object.assign({}, values), { "#": value }), locale, output);
+        }
+        default:
+            return null;
+    }
+}
+const PLAIN = { literal: (text) => text, value: (text) => text };
+const HTML = {
+    literal: escapeHtml,
+    value: (text) => `<strong>${escapeHtml(text)}</strong>`,
+};
+/** Escape text for safe interpolation into HTML. */
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+/** Substitute placeholders, producing plain text (for the canvas or screen readers). */
+export function fillText(template, values = {}, locale = "en") {
+    return render(template, values, locale, PLAIN);
+}
+/**
+ * Substitute placeholders, producing HTML: the template is escaped and each
+ * value is escaped and emphasised, matching the overlay's look.
+ */
+export function formatHtml(template, values = {}, locale = "en") {
+    return render(template, values, locale, HTML);
+}
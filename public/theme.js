@@ -0,0 +1,289 @@
+/**
+ * Theme packs.
+ *
+ * A theme decides everything seen and heard: the asset manifest (every file to
+ * preload), which assets are used as sprites and sounds, the background
+ * layers, colours, fonts and extra CSS for the overlay. The parent picks a
+ * pack by name or sends a custom theme inline, which extends a pack.
+ */
+const SYSTEM_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif";
+/**
+ * Masks of the collectible artwork in assets/, as alphaMask() draws them (16
+ * cells across, solid from half opacity). They are shipped rather than
+ * generated so the shapes don't depend on an image loading or on how a
+ * browser renders it, and a replay verifier under Node sees the same ones.
+ */
+const ARTWORK_MASKS = {
+    bag: [
+        {
+            type: "mask",
+            rows: [
+                "0000000000000000",
+                "0000000110000000",
+                "0000001001000000",
+                "0000010000100000",
+                "0000010000100000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111111000",
+                "0001111111110000",
+                "0000111111110000",
+                "0000000000000000",
+            ],
+        },
+    ],
+    vip: [
+        {
+            type: "mask",
+            rows: [
+                "0000000000000000",
+                "0000001111000000",
+                "0001111111111000",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0011111111111100",
+                "0001111111111000",
+                "0000111111110000",
+                "0000011111100000",
+                "0000001111000000",
+                "0000000000000000",
+            ],
+        },
+    ],
+    coupon: [
+        {
+            type: "mask",
+            rows: [
+                "0000000000000000",
+                "0000000000000000",
+                "0000000000000000",
+                "0000000000000000",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0000000000000000",
+                "0000000000000000",
+                "0000000000000000",
+                "0000000000000000",
+            ],
+        },
+    ],
+    heart: [
+        {
+            type: "mask",
+            rows: [
+                "0000000000000000",
+                "0000110000110000",
+                "0011111001111100",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0111111111111110",
+                "0011111111111100",
+                "0011111111111100",
+                "0001111111111000",
+                "0001111111111000",
+                "0000011111100000",
+                "0000011111100000",
+                "0000000110000000",
+                "0000000000000000",
+                "0000000000000000",
+            ],
+        },
+    ],
+};
+/** Built‑in theme packs by name. */
+export const THEMES = {
+    default: {
+        name: "default",
+        assets: {
+            shopper: "./assets/shopper.png",
+            obstacle: "./assets/obstacle.png",
+            bag: "./assets/bag.svg",
+            vip: "./assets/vip.svg",
+            coupon: "./assets/coupon.svg",
+            heart: "./assets/heart.svg",
+            jump: "./assets/jump.wav",
+            score: "./assets/score.wav",
+            hit: "./assets/hit.wav",
+            powerUp: "./assets/powerup.wav",
+            gameOver: "./assets/gameover.wav",
+            music: "./assets/music.wav",
+        },
+        // Stand‑ins until the pack has dedicated mover and cart artwork
+        sprites: {
+            player: "shopper",
+            obstacle: "obstacle",
+            mover: "shopper",
+            cart: "obstacle",
+            bag: "bag",
+            vip: "vip",
+            coupon: "coupon",
+            heart: "heart",
+        },
+        // Trimmed to the figures so empty sprite corners don't count as hits
+        hitboxes: {
+            player: [{ type: "circle", radius: 0.4 }],
+            obstacle: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+            mover: [{ type: "circle", radius: 0.4 }],
+            cart: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+            bag: ARTWORK_MASKS.bag,
+            vip: ARTWORK_MASKS.vip,
+            coupon: ARTWORK_MASKS.coupon,
+            heart: ARTWORK_MASKS.heart,
+        },
+        sounds: {
+            jump: "jump",
+            score: "score",
+            hit: "hit",
+            powerUp: "powerUp",
+            gameOver: "gameOver",
+            music: "music",
+        },
+        // Simple coloured rectangles to evoke a busy mall
+        background: [
+            { color: "#ffe08a", top: 0, height: 1 },
+            { color: "#ffd36b", top: 0.7, height: 0.3 },
+        ],
+        colors: {
+            hud: "#000",
+            player: "#ff6a00",
+            obstacle: "#8a5a00",
+            collectible: "#1fa35c",
+            letterbox: "#f2c75c",
+            overlayBackground: "rgba(0, 0, 0, 0.8)",
+            overlayText: "#ffffff",
+            button: "#ff6a00",
+            buttonText: "#ffffff",
+        },
+        fonts: { hud: "sans-serif", overlay: SYSTEM_FONT },
+    },
+    midnight: {
+        name: "midnight",
+        assets: {
+            shopper: "./assets/shopper.png",
+            obstacle: "./assets/obstacle.png",
+            bag: "./assets/bag.svg",
+            vip: "./assets/vip.svg",
+            coupon: "./assets/coupon.svg",
+            heart: "./assets/heart.svg",
+            jump: "./assets/jump.wav",
+            score: "./assets/score.wav",
+            hit: "./assets/hit.wav",
+            powerUp: "./assets/powerup.wav",
+            gameOver: "./assets/gameover.wav",
+            music: "./assets/music.wav",
+        },
+        sprites: {
+            player: "shopper",
+            obstacle: "obstacle",
+            mover: "shopper",
+            cart: "obstacle",
+            bag: "bag",
+            vip: "vip",
+            coupon: "coupon",
+            heart: "heart",
+        },
+        // Same artwork as the default pack, so the same shapes
+        hitboxes: {
+            player: [{ type: "circle", radius: 0.4 }],
+            obstacle: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+            mover: [{ type: "circle", radius: 0.4 }],
+            cart: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+            bag: ARTWORK_MASKS.bag,
+            vip: ARTWORK_MASKS.vip,
+            coupon: ARTWORK_MASKS.coupon,
+            heart: ARTWORK_MASKS.heart,
+        },
+        sounds: {
+            jump: "jump",
+            score: "score",
+            hit: "hit",
+            powerUp: "powerUp",
+            gameOver: "gameOver",
+            music: "music",
+        },
+        background: [
+            { color: "#1b1d3a", top: 0, height: 1 },
+            { color: "#2c2f5c", top: 0.55, height: 0.45 },
+            { color: "#3b3f7a", top: 0.8, height: 0.2 },
+        ],
+        colors: {
+            hud: "#ffffff",
+            player: "#f7c548",
+            obstacle: "#9fa4ff",
+            collectible: "#5ff2c0",
+            letterbox: "#0e0f24",
+            overlayBackground: "rgba(12, 13, 32, 0.9)",
+            overlayText: "#f0f0ff",
+            button: "#7b61ff",
+            buttonText: "#ffffff",
+        },
+        fonts: { hud: "sans-serif", overlay: SYSTEM_FONT },
+    },
+};
+/**
+ * Resolve a theme name or inline theme to a complete Theme. Unknown names fall
+ * back to the default pack.
+ */
+export function resolveTheme(theme) {
+    if (typeof theme !== "object" || theme === null) {
+        return THEMES[theme || "default"] || THEMES.default;
+    }
+    const base = THEMES[theme.extends || "default"] || THEMES.default;
+    return {
+        name: theme.name || `${base.name}+custom`,
+        assets: Object.assign(Object.assign({}, base.assets), theme.assets),
+        sprites: Object.assign(Object.assign({}, base.sprites), theme.sprites),
+        hitboxes: Object.assign(Object.assign({}, base.hitboxes), theme.hitboxes),
+        sounds: Object.assign(Object.assign({}, base.sounds), theme.sounds),
+        background: theme.background || base.background,
+        colors: Object.assign(Object.assign({}, base.colors), theme.colors),
+        fonts: Object.assign(Object.assign({}, base.fonts), theme.fonts),
+        overlayCss: theme.overlayCss !== undefined ? theme.overlayCss : base.overlayCss,
+    };
+}
+/**
+ * Fallback URLs for a theme's assets: the same key in the default pack, so a
+ * broken custom sprite degrades to the stock artwork before a plain shape.
+ */
+export function assetFallbacks(theme) {
+    const fallbacks = {};
+    for (const key of Object.keys(theme.assets)) {
+        const stock = THEMES.default.assets[key];
+        if (stock && stock !== theme.assets[key])
+            fallbacks[key] = stock;
+    }
+    return fallbacks;
+}
+/** URLs that point at audio rather than images. */
+const AUDIO_URL = /^data:audio\/|\.(mp3|ogg|oga|opus|wav|m4a|aac)([?#]|$)/i;
+/**
+ * Split a theme's manifest into images and sounds: the assets its cues name,
+ * plus any other audio files (left over from a pack a custom theme extends).
+ */
+export function splitAssets(theme) {
+    const soundKeys = Object.keys(theme.sounds).map((cue) => theme.sounds[cue]);
+    const images = {};
+    const sounds = {};
+    for (const key of Object.keys(theme.assets)) {
+        const url = theme.assets[key];
+        (soundKeys.indexOf(key) !== -1 || AUDIO_URL.test(url) ? sounds : images)[key] = url;
+    }
+    return { images, sounds };
+}
@@ -0,0 +1,182 @@
+/**
+ * Overlay UI components.
+ *
+ * Screens are HTML strings whose interpolated values have already been
+ * escaped (see formatHtml() and escapeHtml() in text.ts). This module gives
+ * them dialog semantics and a focus trap, announces game state to screen
+ * readers through live regions, and renders and validates the lead form.
+ */
+import { escapeHtml } from "./text.js";
+const FOCUSABLE = 'button:not([disabled]), input:not([disabled]), select, textarea, a[href], [tabindex]:not([tabindex="-1"])';
+/**
+ * A modal overlay. While visible it is a labelled dialog that keeps keyboard
+ * focus inside itself; hiding it returns focus to `returnFocus`.
+ */
+export class OverlayView {
+    constructor(element, returnFocus) {
+        this.element = element;
+        this.returnFocus = returnFocus;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        element.setAttribute("role", "dialog");
+        element.setAttribute("aria-modal", "true");
+        element.setAttribute("aria-hidden", "true");
+        element.addEventListener("keydown", this.handleKeyDown);
+    }
+    get visible() {
+        return this.element.classList.contains("visible");
+    }
+    /**
+     * Replace the overlay's content and show it. Focus moves to the element
+     * marked `data-autofocus`, else the first control, else the overlay itself.
+     * The first heading labels the dialog.
+     */
+    show(html) {
+        this.element.innerHTML = html;
+        this.element.classList.add("visible");
+        this.element.setAttribute("aria-hidden", "false");
+        const heading = this.element.querySelector("h1, h2, h3");
+        if (heading) {
+            heading.id = heading.id || "overlay-title";
+            this.element.setAttribute("aria-labelledby", heading.id);
+        }
+        else {
+            this.element.removeAttribute("aria-labelledby");
+        }
+        const target = this.element.querySelector("[data-autofocus]") ||
+            this.element.querySelector(FOCUSABLE);
+        if (target) {
+            target.focus();
+        }
+        else {
+            this.element.setAttribute("tabindex", "-1");
+            this.element.focus();
+        }
+    }
+    hide() {
+        const hadFocus = this.element.contains(document.activeElement);
+        this.element.innerHTML = "";
+        this.element.classList.remove("visible");
+        this.element.setAttribute("aria-hidden", "true");
+        this.element.removeAttribute("aria-labelledby");
+        if (hadFocus)
+            this.returnFocus.focus();
+    }
+    /** Find an element inside the overlay. */
+    find(selector) {
+        return this.element.querySelector(selector);
+    }
+    /** Attach a click handler to the element with `id`, if present. */
+    onClick(id, handler) {
+        const el = this.find(`#${id}`);
+        if (el)
+            el.addEventListener("click", handler);
+    }
+    /** Whether a key event came from a control inside the overlay. */
+    contains(target) {
+        return target instanceof Node && this.element.contains(target);
+    }
+    destroy() {
+        this.element.removeEventListener("keydown", this.handleKeyDown);
+        this.hide();
+    }
+    /** Cycle Tab and Shift+Tab through the overlay's controls. */
+    handleKeyDown(e) {
+        if (e.key !== "Tab")
+            return;
+        const focusable = Array.prototype.slice.call(this.element.querySelectorAll(FOCUSABLE));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && (document.activeElement === first || document.activeElement === this.element)) {
+            e.preventDefault();
+            last.focus();
+        }
+        else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+/**
+ * Visually hidden live regions that read game state aloud: a polite one for
+ * score and lives, an assertive one for events that interrupt, such as game
+ * over.
+ */
+export class Announcer {
+    constructor(container) {
+        this.polite = createRegion(container, "polite");
+        this.assertive = createRegion(container, "assertive");
+    }
+    announce(message, assertive = false) {
+        const region = assertive ? this.assertive : this.polite;
+        // Clearing first makes a repeated message count as a change
+        region.textContent = "";
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+    destroy() {
+        this.polite.remove();
+        this.assertive.remove();
+    }
+}
+function createRegion(container, politeness) {
+    const region = document.createElement("div");
+    region.className = "sr-only";
+    region.setAttribute("aria-live", politeness);
+    region.setAttribute("aria-atomic", "true");
+    region.setAttribute("role", politeness === "assertive" ? "alert" : "status");
+    container.appendChild(region);
+    return region;
+}
+export const DEFAULT_DETAILS_FIELDS = [
+    { name: "name", type: "text" },
+    { name: "email", type: "email" },
+    { name: "phone", type: "tel" },
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+/** Check a trimmed value against a field's rules. */
+export function validateField(field, value) {
+    if (!value) {
+        return field.required === false ? null : "required";
+    }
+    if (field.type === "email" && !EMAIL_PATTERN.test(value))
+        return "email";
+    if (field.type === "tel") {
+        const digits = value.replace(/\D/g, "").length;
+        if (!PHONE_PATTERN.test(value) || digits < 7 || digits > 15)
+            return "phone";
+    }
+    if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value))
+        return "pattern";
+    return null;
+}
+const AUTOCOMPLETE = { name: "name", email: "email", phone: "tel" };
+/** Render a labelled input with a slot for its validation message. */
+export function fieldHtml(field, label, value = "") {
+    const id = `field-${field.name}`;
+    const required = field.required === false ? "" : ` required aria-required="true"`;
+    const autocomplete = AUTOCOMPLETE[field.name] ? ` autocomplete="${AUTOCOMPLETE[field.name]}"` : "";
+    return `
+    <div class="input-group">
+      <label for="${id}">${escapeHtml(label)}</label>
+      <input id="${id}" name="${escapeHtml(field.name)}" type="${field.type}" value="${escapeHtml(value)}"${required}${autocomplete} aria-describedby="${id}-error" />
+      <span class="field-error" id="${id}-error"></span>
+    </div>`;
+}
+/** Show or clear the message under a rendered field. */
+export function setFieldError(input, message) {
+    const slot = document.getElementById(`${input.id}-error`);
+    if (slot)
+        slot.textContent = message || "";
+    if (message) {
+        input.setAttribute("aria-invalid", "true");
+    }
+    else {
+        input.removeAttribute("aria-invalid");
+    }
+}
@@ -0,0 +1,305 @@
+/**
+ * Analytics delivery.
+ *
+ * Events are queued rather than posted directly: the queue holds them until
+ * the parent has shown it is listening (its first config), sends them in
+ * batches as `we:game:events`, and only forgets a batch once the parent
+ * acknowledges it with `we:game:events:ack`. Unacknowledged batches are
+ * retried with backoff, and the queue is persisted so events survive a reload
+ * or a lost connection. Noisy events are coalesced by per‑type rules.
+ *
+ * Each event travels in an AnalyticsRecord carrying the page session's id and
+ * a sequence number, so the host can order events and drop the duplicates a
+ * retry may produce.
+ *
+ * Every page session saves its queue under its own key, so tabs open at once
+ * never overwrite each other's events. A session index records when each one
+ * was last active; a page takes over the queues of sessions that closed or
+ * have been quiet for ORPHAN_AFTER. Should it take over one still open, both
+ * send the same records and the host drops the copies.
+ */
+
+import { GameEvent, GameEventName, ParentChannel } from "./protocol.js";
+import { StorageAdapter } from "./storage.js";
+
+export interface AnalyticsRecord {
+  /** Random id of the page load that produced the event. */
+  sessionId: string;
+  /** Position of the event in its session, counting from 1. */
+  seq: number;
+  /** When the event happened, in milliseconds since the epoch. */
+  at: number;
+  event: GameEvent;
+}
+
+export interface EventRule {
+  /** Send at once rather than with the next batch. */
+  immediate?: boolean;
+  /**
+   * Coalesce: an event queued within this many milliseconds of an unsent one
+   * of the same name replaces it, keeping its sequence number.
+   */
+  throttle?: number;
+}
+
+/** Delivery rules by event name; events without one are batched as they come. */
+export const EVENT_RULES: Partial<Record<GameEventName, EventRule>> = {
+  score: { throttle: 1000 },
+  game_over: { immediate: true },
+  details_submitted: { immediate: true },
+  redeem: { immediate: true },
+};
+
+export interface AnalyticsOptions {
+  channel: ParentChannel;
+  /** Where the queue is persisted between page loads; see useStorage(). */
+  storage: StorageAdapter;
+  rules?: Partial<Record<GameEventName, EventRule>>;
+  /** Most events per batch. */
+  batchSize?: number;
+  /** Milliseconds to gather events before sending a batch. */
+  batchInterval?: number;
+  /** Milliseconds to wait for the parent's ack. */
+  ackTimeout?: number;
+  /** Delay before the first retry in milliseconds; it doubles per attempt. */
+  retryDelay?: number;
+  /** Attempts at a batch before it is dropped, so a host that never acks can't stall the queue. */
+  maxAttempts?: number;
+  /** Most events kept; the oldest are dropped beyond it. */
+  maxQueue?: number;
+  now?: () => number;
+}
+
+/** Saved queues, each under `${QUEUE_KEY}:<sessionId>`; the bare key holds one saved before queues were per session. */
+const QUEUE_KEY = "analyticsQueue";
+/** When each session with a saved queue was last active, by session id; 0 once it closed. */
+const SESSIONS_KEY = "analyticsSessions";
+/** Milliseconds of inactivity after which another page takes a session's saved queue over. */
+const ORPHAN_AFTER = 60000;
+
+/** Session index updates still to land, chained so this page's never overwrite each other. */
+let indexUpdates: Promise<void> = Promise.resolve();
+
+/** Read, change and save the session index after earlier updates; `change` returns false to leave it. */
+function updateSessions(
+  storage: StorageAdapter,
+  change: (sessions: Record<string, number>) => boolean
+): Promise<void> {
+  indexUpdates = indexUpdates.then(async () => {
+    const sessions = (await storage.get<Record<string, number>>(SESSIONS_KEY)) || {};
+    if (change(sessions)) await storage.set(SESSIONS_KEY, sessions);
+  });
+  return indexUpdates;
+}
+
+function createSessionId(): string {
+  const random = () => Math.floor(Math.random() * 0x100000000).toString(36);
+  return `${Date.now().toString(36)}-${random()}${random()}`;
+}
+
+export class AnalyticsQueue {
+  readonly sessionId: string = createSessionId();
+  private channel: ParentChannel;
+  private storage: StorageAdapter;
+  private rules: Partial<Record<GameEventName, EventRule>>;
+  private batchSize: number;
+  private batchInterval: number;
+  private ackTimeout: number;
+  private retryDelay: number;
+  private maxAttempts: number;
+  private maxQueue: number;
+  private now: () => number;
+  private queue: AnalyticsRecord[] = [];
+  private seq: number = 0;
+  /** The batch awaiting an ack, if any. */
+  private inFlight: AnalyticsRecord[] | null = null;
+  private attempts: number = 0;
+  private timer: ReturnType<typeof setTimeout> | undefined;
+  private connected: boolean = false;
+  private closed: boolean = false;
+
+  constructor(options: AnalyticsOptions) {
+    this.channel = options.channel;
+    this.storage = options.storage;
+    this.rules = options.rules || EVENT_RULES;
+    this.batchSize = options.batchSize || 20;
+    this.batchInterval = options.batchInterval !== undefined ? options.batchInterval : 2000;
+    this.ackTimeout = options.ackTimeout !== undefined ? options.ackTimeout : 5000;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.maxQueue = options.maxQueue || 500;
+    this.now = options.now || Date.now;
+    this.adopt(this.storage);
+  }
+
+  /** Number of events not yet acknowledged. */
+  get pending(): number {
+    return this.queue.length;
+  }
+
+  /** Queue an event for delivery. */
+  track(event: GameEvent): void {
+    if (this.closed) return;
+    const rule = this.rules[event.name] || {};
+    const at = this.now();
+    if (rule.throttle) {
+      const previous = this.findUnsent(event.name);
+      if (previous && at - previous.at < rule.throttle) {
+        previous.event = event;
+        this.persist();
+        return;
+      }
+    }
+    this.queue.push({ sessionId: this.sessionId, seq: ++this.seq, at, event });
+    if (this.queue.length > this.maxQueue) {
+      // Keep the batch in flight; drop the oldest of the rest
+      const keep = this.inFlight ? this.inFlight.length : 0;
+      this.queue.splice(keep, this.queue.length - this.maxQueue);
+    }
+    this.persist();
+    this.schedule(!!rule.immediate);
+  }
+
+  /**
+   * Persist to `storage` from now on, e.g. once the config names the user and
+   * campaign. The queue moves over, and picks up what pages that closed left
+   * in `storage`.
+   */
+  useStorage(storage: StorageAdapter): void {
+    if (storage === this.storage) return;
+    const previous = this.storage;
+    previous.remove(this.queueKey);
+    this.markSession(previous, undefined);
+    this.storage = storage;
+    this.persist();
+    this.adopt(storage);
+  }
+
+  /** Start delivering: the parent is listening. */
+  connect(): void {
+    if (this.connected) return;
+    this.connected = true;
+    this.schedule(true);
+  }
+
+  /** Send whatever is queued now, e.g. before the page is hidden. */
+  flush(): void {
+    this.schedule(true);
+  }
+
+  /** Stop sending. Unsent events stay persisted for the next page load to take over. */
+  close(): void {
+    this.closed = true;
+    if (this.timer !== undefined) clearTimeout(this.timer);
+    this.timer = undefined;
+    this.persist();
+  }
+
+  private get queueKey(): string {
+    return `${QUEUE_KEY}:${this.sessionId}`;
+  }
+
+  /** Take over the saved queues of other sessions that closed or went quiet. */
+  private async adopt(storage: StorageAdapter): Promise<void> {
+    const sessions = (await storage.get<Record<string, number>>(SESSIONS_KEY)) || {};
+    const now = this.now();
+    const orphans = Object.keys(sessions).filter(
+      (id) => id !== this.sessionId && (sessions[id] === 0 || now - sessions[id] >= ORPHAN_AFTER)
+    );
+    const keys = orphans.map((id) => `${QUEUE_KEY}:${id}`).concat(QUEUE_KEY);
+    const found: AnalyticsRecord[] = [];
+    for (const key of keys) {
+      const saved = await storage.get<AnalyticsRecord[]>(key);
+      if (Array.isArray(saved)) found.push(...saved);
+    }
+    if (this.closed || storage !== this.storage) return;
+    for (const key of keys) await storage.remove(key);
+    if (orphans.length) {
+      await updateSessions(storage, (current) => {
+        orphans.forEach((id) => delete current[id]);
+        return true;
+      });
+    }
+    if (!found.length) return;
+    // Older events go first; the queue's own are kept over adopted ones when full
+    const room = Math.max(this.maxQueue - this.queue.length, 0);
+    const adopted = found.sort((a, b) => a.at - b.at).slice(found.length - room);
+    this.queue = adopted.concat(this.queue);
+    this.persist();
+    this.schedule(false);
+  }
+
+  /** Note in the session index when this session was last active, or drop it from the index. */
+  private markSession(storage: StorageAdapter, at: number | undefined): Promise<void> {
+    return updateSessions(storage, (sessions) => {
+      if (at !== undefined) {
+        sessions[this.sessionId] = at;
+        return true;
+      }
+      if (!(this.sessionId in sessions)) return false;
+      delete sessions[this.sessionId];
+      return true;
+    });
+  }
+
+  /** The newest event of a name that is queued but not in flight. */
+  private findUnsent(name: GameEventName): AnalyticsRecord | undefined {
+    for (let i = this.queue.length - 1; i >= 0; i--) {
+      const record = this.queue[i];
+      if (this.inFlight && this.inFlight.indexOf(record) !== -1) return undefined;
+      if (record.event.name === name) return record;
+    }
+    return undefined;
+  }
+
+  /** Arrange a send: at once, or after the batch interval unless one is already due. */
+  private schedule(immediate: boolean, delay: number = this.batchInterval): void {
+    if (!this.connected || this.closed || this.inFlight || !this.queue.length) return;
+    if (this.timer !== undefined) {
+      if (!immediate) return;
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.send();
+    }, immediate ? 0 : delay);
+  }
+
+  private send(): void {
+    if (this.closed || this.inFlight || !this.queue.length) return;
+    const batch = this.queue.slice(0, this.batchSize);
+    this.inFlight = batch;
+    // Retrying keeps the session marked active, so other pages leave its queue alone
+    this.markSession(this.storage, this.now());
+    this.channel.request("we:game:events", { payload: { events: batch } }, this.ackTimeout).then(
+      () => {
+        this.inFlight = null;
+        this.attempts = 0;
+        this.queue = this.queue.filter((record) => batch.indexOf(record) === -1);
+        this.persist();
+        // A full batch suggests more are waiting
+        this.schedule(this.queue.length >= this.batchSize);
+      },
+      () => {
+        this.inFlight = null;
+        this.attempts++;
+        if (this.attempts >= this.maxAttempts) {
+          this.attempts = 0;
+          this.queue = this.queue.filter((record) => batch.indexOf(record) === -1);
+          this.persist();
+        }
+        this.schedule(false, this.retryDelay * Math.pow(2, Math.max(this.attempts - 1, 0)));
+      }
+    );
+  }
+
+  private persist(): void {
+    if (this.queue.length) {
+      this.storage.set(this.queueKey, this.queue);
+      this.markSession(this.storage, this.closed ? 0 : this.now());
+    } else {
+      this.storage.remove(this.queueKey);
+      this.markSession(this.storage, undefined);
+    }
+  }
+}
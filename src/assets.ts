@@ -0,0 +1,116 @@
+/**
+ * Asset preloading.
+ *
+ * Loads every image in a theme's manifest, reporting progress as each settles.
+ * A failed image is retried from its fallback URL; if that fails too the key
+ * maps to null and the renderer draws a plain shape instead, so a broken asset
+ * never blocks the game.
+ */
+
+import { FULL_HITBOX, Hitbox } from "./hitbox.js";
+import { HitShapeSpec } from "./theme.js";
+
+export type LoadedImages = Record<string, HTMLImageElement | null>;
+
+export interface AssetLoadResult {
+  images: LoadedImages;
+  /** Keys that could not be loaded from any URL. */
+  failed: string[];
+}
+
+/** Give up on an image that neither loads nor errors within this many milliseconds. */
+const IMAGE_TIMEOUT = 10000;
+
+function loadImage(url: string): Promise<HTMLImageElement | null> {
+  return new Promise((resolve) => {
+    const img = new Image();
+    const timer = setTimeout(() => done(null), IMAGE_TIMEOUT);
+    const done = (result: HTMLImageElement | null) => {
+      clearTimeout(timer);
+      img.onload = img.onerror = null;
+      resolve(result);
+    };
+    img.onload = () => done(img);
+    img.onerror = () => done(null);
+    img.src = url;
+  });
+}
+
+/**
+ * Preload a manifest of key → URL. `onProgress` receives the number of settled
+ * assets and the total after each one.
+ */
+export function loadImages(
+  manifest: Record<string, string>,
+  fallbacks: Record<string, string> = {},
+  onProgress?: (loaded: number, total: number) => void
+): Promise<AssetLoadResult> {
+  const keys = Object.keys(manifest);
+  const images: LoadedImages = {};
+  const failed: string[] = [];
+  let settled = 0;
+  if (onProgress) onProgress(0, keys.length);
+  return Promise.all(
+    keys.map(async (key) => {
+      let img = await loadImage(manifest[key]);
+      if (!img && fallbacks[key]) {
+        img = await loadImage(fallbacks[key]);
+      }
+      if (!img) failed.push(key);
+      images[key] = img;
+      settled++;
+      if (onProgress) onProgress(settled, keys.length);
+    })
+  ).then(() => ({ images, failed }));
+}
+
+/**
+ * Build a mask hitbox from an image's alpha channel: the image is scaled to a
+ * grid `resolution` cells wide, and a cell is solid when its average opacity
+ * reaches `threshold`. Returns null when the pixels can't be read (for example
+ * a cross‑origin image without CORS headers).
+ */
+export function alphaMask(img: HTMLImageElement, resolution: number = 16, threshold: number = 0.5): string[] | null {
+  if (!img.naturalWidth || !img.naturalHeight) return null;
+  const columns = Math.max(1, Math.round(resolution));
+  const rows = Math.max(1, Math.round((columns * img.naturalHeight) / img.naturalWidth));
+  const canvas = document.createElement("canvas");
+  canvas.width = columns;
+  canvas.height = rows;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  try {
+    ctx.drawImage(img, 0, 0, columns, rows);
+    const data = ctx.getImageData(0, 0, columns, rows).data;
+    const mask: string[] = [];
+    for (let r = 0; r < rows; r++) {
+      let row = "";
+      for (let c = 0; c < columns; c++) {
+        row += data[(r * columns + c) * 4 + 3] >= threshold * 255 ? "1" : "0";
+      }
+      mask.push(row);
+    }
+    return mask;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Turn a theme's hitbox spec into a Hitbox, generating masks for "alpha"
+ * entries from the loaded sprite. Without a readable image an alpha entry
+ * falls back to the full sprite rectangle, so the hitbox then differs from
+ * the one a server rebuilds; see HitShapeSpec.
+ */
+export function resolveHitbox(spec: HitShapeSpec[], img: HTMLImageElement | null): Hitbox {
+  const hitbox: Hitbox = [];
+  for (const shape of spec) {
+    if (shape.type !== "alpha") {
+      hitbox.push(shape);
+      continue;
+    }
+    const rows = img ? alphaMask(img, shape.resolution, shape.threshold) : null;
+    hitbox.push(rows ? { type: "mask", rows } : { type: "box" });
+  }
+  return hitbox.length ? hitbox : FULL_HITBOX;
+}
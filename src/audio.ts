@@ -0,0 +1,227 @@
+/**
+ * Sound effects and music.
+ *
+ * Cues play through Web Audio. Browsers only let a page start audio after a
+ * user gesture, so the manager fetches its files up front but creates (or
+ * resumes) its AudioContext in unlock(), which the game calls from its input
+ * handlers; cues played before that are dropped. A cue whose file failed to
+ * load plays a short synthesised tone instead, so a broken asset never leaves
+ * the game silent.
+ */
+
+export type SoundCue = "jump" | "score" | "hit" | "powerUp" | "gameOver" | "music";
+
+export const SOUND_CUES: SoundCue[] = ["jump", "score", "hit", "powerUp", "gameOver", "music"];
+
+/** A one‑shot cue, as opposed to the looping music. */
+export type EffectCue = Exclude<SoundCue, "music">;
+
+/** Tones for cues without a file: one note per `step` seconds. */
+const FALLBACK_TONES: Record<EffectCue, { notes: number[]; step: number; wave: OscillatorType }> = {
+  jump: { notes: [520, 700, 880], step: 0.03, wave: "square" },
+  score: { notes: [988, 1319], step: 0.07, wave: "sine" },
+  hit: { notes: [180, 90], step: 0.1, wave: "sawtooth" },
+  powerUp: { notes: [523, 659, 784, 1047], step: 0.06, wave: "triangle" },
+  gameOver: { notes: [392, 330, 262, 196], step: 0.16, wave: "triangle" },
+};
+
+const EFFECTS_VOLUME = 0.8;
+const MUSIC_VOLUME = 0.35;
+
+/** Give up on a file that has not arrived within this many milliseconds. */
+const AUDIO_TIMEOUT = 10000;
+
+function fetchAudio(url: string): Promise<ArrayBuffer | null> {
+  const timeout = new Promise<null>((resolve) => setTimeout(() => resolve(null), AUDIO_TIMEOUT));
+  const download = fetch(url)
+    .then((response) => (response.ok ? response.arrayBuffer() : null))
+    .catch(() => null);
+  return Promise.race([download, timeout]);
+}
+
+export class AudioManager {
+  private context: AudioContext | null = null;
+  private master: GainNode | null = null;
+  /** Fetched files waiting for a context to decode them. */
+  private files: Partial<Record<SoundCue, ArrayBuffer>> = {};
+  private buffers: Partial<Record<SoundCue, AudioBuffer>> = {};
+  private music: AudioBufferSourceNode | null = null;
+  /** Whether music should be playing once it can. */
+  private musicWanted: boolean = false;
+  /** Incremented per load so files from a superseded theme are ignored. */
+  private loadId: number = 0;
+  private userMuted: boolean = false;
+  private hostMuted: boolean = false;
+
+  /** The player's mute toggle. */
+  get muted(): boolean {
+    return this.userMuted;
+  }
+
+  set muted(value: boolean) {
+    this.userMuted = value;
+    this.applyVolume();
+  }
+
+  /** Silence set by the host page, overriding the player's toggle. */
+  get forceMuted(): boolean {
+    return this.hostMuted;
+  }
+
+  set forceMuted(value: boolean) {
+    this.hostMuted = value;
+    this.applyVolume();
+  }
+
+  /**
+   * Fetch the file of each cue. `cues` maps a cue to an asset key of
+   * `manifest`; a failed URL is retried from `fallbacks`. Resolves to the asset
+   * keys that could not be loaded from any URL.
+   */
+  load(
+    cues: Partial<Record<SoundCue, string>>,
+    manifest: Record<string, string>,
+    fallbacks: Record<string, string> = {}
+  ): Promise<string[]> {
+    const load = ++this.loadId;
+    this.files = {};
+    this.buffers = {};
+    this.stopSource();
+    const keys = SOUND_CUES.map((cue) => cues[cue]).filter(
+      (key, i, all): key is string => !!key && manifest[key] !== undefined && all.indexOf(key) === i
+    );
+    const failed: string[] = [];
+    return Promise.all(
+      keys.map(async (key) => {
+        let data = await fetchAudio(manifest[key]);
+        if (!data && fallbacks[key]) {
+          data = await fetchAudio(fallbacks[key]);
+        }
+        if (!data) {
+          failed.push(key);
+          return;
+        }
+        if (load !== this.loadId) return;
+        for (const cue of SOUND_CUES) {
+          if (cues[cue] === key) this.files[cue] = data;
+        }
+      })
+    ).then(() => {
+      if (load === this.loadId) this.decode();
+      return failed;
+    });
+  }
+
+  /** Create or resume the audio context; call from a user gesture handler. */
+  unlock(): void {
+    if (!this.context) {
+      const Context: typeof AudioContext | undefined = window.AudioContext || (window as any).webkitAudioContext;
+      if (!Context) return;
+      this.context = new Context();
+      this.master = this.context.createGain();
+      this.master.connect(this.context.destination);
+      this.applyVolume();
+      this.decode();
+    }
+    if (this.context.state === "suspended") {
+      this.context.resume().catch(() => undefined);
+    }
+  }
+
+  /** Play a one‑shot cue. */
+  play(cue: EffectCue): void {
+    const context = this.context;
+    if (!context || !this.master || context.state !== "running" || this.userMuted || this.hostMuted) return;
+    const gain = context.createGain();
+    gain.connect(this.master);
+    const buffer = this.buffers[cue];
+    if (buffer) {
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      gain.gain.value = EFFECTS_VOLUME;
+      source.connect(gain);
+      source.start();
+      return;
+    }
+    const { notes, step, wave } = FALLBACK_TONES[cue];
+    const oscillator = context.createOscillator();
+    const start = context.currentTime;
+    const end = start + notes.length * step;
+    oscillator.type = wave;
+    notes.forEach((note, i) => oscillator.frequency.setValueAtTime(note, start + i * step));
+    gain.gain.setValueAtTime(0.2 * EFFECTS_VOLUME, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, end);
+    oscillator.connect(gain);
+    oscillator.start(start);
+    oscillator.stop(end);
+  }
+
+  /** Start the looping music, as soon as the context is unlocked and the file decoded. */
+  startMusic(): void {
+    this.musicWanted = true;
+    this.updateMusic();
+  }
+
+  stopMusic(): void {
+    this.musicWanted = false;
+    this.updateMusic();
+  }
+
+  /** Stop all sound and release the audio context. */
+  destroy(): void {
+    this.loadId++;
+    this.stopMusic();
+    if (this.context) this.context.close().catch(() => undefined);
+    this.context = null;
+    this.master = null;
+  }
+
+  /** Decode fetched files once a context exists. */
+  private decode(): void {
+    const context = this.context;
+    if (!context) return;
+    const load = this.loadId;
+    for (const cue of Object.keys(this.files) as SoundCue[]) {
+      // Cues sharing a file each decode their own copy, as decoding detaches the data
+      const data = this.files[cue]!.slice(0);
+      delete this.files[cue];
+      context.decodeAudioData(data).then(
+        (buffer) => {
+          if (load !== this.loadId) return;
+          this.buffers[cue] = buffer;
+          if (cue === "music") this.updateMusic();
+        },
+        () => undefined
+      );
+    }
+  }
+
+  private updateMusic(): void {
+    const context = this.context;
+    const buffer = this.buffers.music;
+    if (this.musicWanted && !this.music && context && this.master && buffer) {
+      const source = context.createBufferSource();
+      const gain = context.createGain();
+      source.buffer = buffer;
+      source.loop = true;
+      gain.gain.value = MUSIC_VOLUME;
+      source.connect(gain);
+      gain.connect(this.master);
+      source.start();
+      this.music = source;
+    } else if (!this.musicWanted) {
+      this.stopSource();
+    }
+  }
+
+  private stopSource(): void {
+    if (!this.music) return;
+    this.music.stop();
+    this.music.disconnect();
+    this.music = null;
+  }
+
+  private applyVolume(): void {
+    if (this.master) this.master.gain.value = this.userMuted || this.hostMuted ? 0 : 1;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Collectibles and power‑ups.
+ *
+ * Items spawn in the openings of obstacle columns, so they can always be
+ * reached, and travel with the crowd. Touching one applies its effect: bonus
+ * points, a shield that absorbs one collision, a coupon that slows the crowd
+ * for a while, or an extra life up to a cap. Types and their spawn chances are
+ * data in the simulation config, so campaigns can tune them.
+ *
+ * Like the simulation, this module has no DOM dependencies.
+ */
+
+import { Rng } from "./random.js";
+
+export type CollectibleEffect = "points" | "shield" | "slow" | "life";
+
+export interface CollectibleType {
+  effect: CollectibleEffect;
+  /** Theme sprite drawn for it; the type's name when omitted. */
+  sprite?: string;
+  /** Size as a fraction of the world's smaller side. */
+  size: number;
+  /** Chance (0..1) of appearing in any one obstacle column. */
+  chance: number;
+  /** "points": points awarded. "slow": crowd speed multiplier while active. */
+  value?: number;
+  /** "shield" and "slow": milliseconds the effect lasts. */
+  duration?: number;
+  /** "life": most lives the player can hold; the starting lives when omitted. */
+  cap?: number;
+}
+
+export const DEFAULT_COLLECTIBLES: Record<string, CollectibleType> = {
+  bag: { effect: "points", sprite: "bag", size: 0.07, chance: 0.2, value: 2 },
+  vip: { effect: "shield", sprite: "vip", size: 0.08, chance: 0.05, duration: 8000 },
+  coupon: { effect: "slow", sprite: "coupon", size: 0.07, chance: 0.06, value: 0.6, duration: 4000 },
+  heart: { effect: "life", sprite: "heart", size: 0.07, chance: 0.03 },
+};
+
+export interface Collectible {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  /** Name of its collectible type. */
+  type: string;
+  sprite: string;
+}
+
+/** A timed effect in progress. */
+export interface PowerUp {
+  /** Name of the collectible type that granted it. */
+  type: string;
+  effect: "shield" | "slow";
+  /** Milliseconds left. */
+  remaining: number;
+  /** Full length in milliseconds, for HUD timers. */
+  duration: number;
+}
+
+/**
+ * Roll for an item centred on (`x`, `y`), the middle of a column's opening.
+ * At most one item appears per column; the chances of all types share one
+ * roll. `unit` is the world's smaller side.
+ */
+export function rollCollectible(
+  types: Record<string, CollectibleType>,
+  rng: Rng,
+  unit: number,
+  x: number,
+  y: number
+): Collectible | null {
+  let roll = rng();
+  for (const name of Object.keys(types)) {
+    const type = types[name];
+    roll -= type.chance;
+    if (roll < 0) {
+      const size = type.size * unit;
+      return {
+        x: x - size / 2,
+        y: y - size / 2,
+        width: size,
+        height: size,
+        type: name,
+        sprite: type.sprite || name,
+      };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,317 @@
+/**
+ * Debug and QA panel.
+ *
+ * Turned on by the host's `debug` config option or a `?debug` query parameter
+ * on the game's URL, it lays a panel over the page for reaching states that
+ * would otherwise take minutes of play: live tuning of physics and difficulty,
+ * god mode, setting the score and lives, clearing stored plays and details, a
+ * log of every message to and from the parent, and a frame‑time graph.
+ *
+ * Only the QA build (`npm run build:qa`, into qa/) compiles this module; the
+ * production build into public/ excludes it, and the game loads it on demand,
+ * so a deployed public/ has no panel whatever the config or URL says.
+ * Spawning is paced by the difficulty curve's wave gaps (see obstacles.ts),
+ * so speed and spawn rate are tuned as factors applied to every step of it.
+ * A run the panel has changed won't verify as a replay.
+ */
+
+import { DebugHost, QaPanel } from "./game.js";
+import { DifficultyStep } from "./obstacles.js";
+import { ChannelTraffic } from "./protocol.js";
+import { Simulation, SimulationConfig } from "./simulation.js";
+
+/** Live changes applied to every session; unset values keep the session's own. */
+interface Tuning {
+  gravity?: number;
+  jumpVelocity?: number;
+  /** Factor applied to crowd speed at every difficulty step. */
+  speed?: number;
+  /** Factor applied to the gap between waves at every difficulty step. */
+  waveGap?: number;
+  godMode: boolean;
+}
+
+/** The settings of a session that tuning replaces. */
+type BaseSettings = Pick<SimulationConfig, "gravity" | "jumpVelocity" | "difficulty">;
+
+/** Messages kept in the log; older ones are dropped. */
+const LOG_LIMIT = 200;
+
+/** Frames shown in the graph. */
+const GRAPH_FRAMES = 120;
+
+/** Frame time at the top of the graph, in milliseconds. */
+const GRAPH_MAX_MS = 50;
+
+/** One frame at 60 fps, drawn as a guide line. */
+const FRAME_BUDGET_MS = 1000 / 60;
+
+const STYLE = `
+#debug-panel {
+  position: fixed; top: 0; right: 0; z-index: 1000; width: 260px; max-height: 100%; overflow: auto;
+  box-sizing: border-box; padding: 6px; background: rgba(0, 0, 0, 0.85); color: #ffffff;
+  font: 11px/1.4 monospace;
+}
+#debug-panel summary { cursor: pointer; font-weight: bold; }
+#debug-panel fieldset { margin: 6px 0 0; padding: 4px 6px; border: 1px solid #555555; }
+#debug-panel label { display: flex; justify-content: space-between; align-items: center; margin: 2px 0; }
+#debug-panel input[type="number"] { width: 70px; font: inherit; }
+#debug-panel button { font: inherit; margin: 2px 2px 0 0; }
+#debug-panel canvas { display: block; width: 100%; background: #222222; }
+#debug-panel .debug-log { max-height: 160px; overflow: auto; word-break: break-all; }
+#debug-panel .debug-log div { border-top: 1px solid #333333; }
+#debug-panel .debug-dropped { color: #ff8080; }
+`;
+
+const PANEL_HTML = `
+<details open>
+  <summary>Debug</summary>
+  <fieldset>
+    <legend>Tuning</legend>
+    <label>Gravity <input type="number" name="gravity" step="0.05" min="0" /></label>
+    <label>Jump <input type="number" name="jumpVelocity" step="0.01" min="0" /></label>
+    <label>Speed &times; <input type="number" name="speed" step="0.1" min="0" value="1" /></label>
+    <label>Wave gap &times; <input type="number" name="waveGap" step="0.1" min="0" value="1" /></label>
+    <label>God mode <input type="checkbox" name="godMode" /></label>
+    <button type="button" data-action="resetTuning">Reset tuning</button>
+  </fieldset>
+  <fieldset>
+    <legend>Run</legend>
+    <label>Score <span><input type="number" name="score" min="0" step="1" value="30" />
+      <button type="button" data-action="setScore">Set</button></span></label>
+    <label>Lives <span><input type="number" name="lives" min="1" step="1" value="1" />
+      <button type="button" data-action="setLives">Set</button></span></label>
+  </fieldset>
+  <fieldset>
+    <legend>Storage</legend>
+    <button type="button" data-action="resetPlays">Reset plays</button>
+    <button type="button" data-action="resetDetails">Reset details</button>
+    <div data-status></div>
+  </fieldset>
+  <fieldset>
+    <legend>Frames</legend>
+    <canvas width="240" height="60"></canvas>
+    <div data-fps></div>
+  </fieldset>
+  <fieldset>
+    <legend>Messages</legend>
+    <button type="button" data-action="clearLog">Clear</button>
+    <div class="debug-log"></div>
+  </fieldset>
+</details>`;
+
+export class DebugPanel implements QaPanel {
+  private host: DebugHost;
+  private root: HTMLElement;
+  private style: HTMLStyleElement;
+  private log: HTMLElement;
+  private graph: HTMLCanvasElement;
+  private fps: HTMLElement;
+  private status: HTMLElement;
+  private tuning: Tuning = { godMode: false };
+  /** The attached session's own settings, which tuning is applied to. */
+  private base: BaseSettings;
+  private simulation: Simulation;
+  /** Recent frame intervals and the time spent in each, in milliseconds. */
+  private intervals: number[] = [];
+  private work: number[] = [];
+
+  /**
+   * @param backlog Messages the channel carried while this module loaded.
+   */
+  constructor(host: DebugHost, backlog: ChannelTraffic[] = []) {
+    this.host = host;
+    this.style = document.createElement("style");
+    this.style.textContent = STYLE;
+    document.head.appendChild(this.style);
+    this.root = document.createElement("div");
+    this.root.id = "debug-panel";
+    // Debug copy is English whatever the game's locale
+    this.root.dir = "ltr";
+    this.root.innerHTML = PANEL_HTML;
+    document.body.appendChild(this.root);
+    this.log = this.root.querySelector(".debug-log") as HTMLElement;
+    this.graph = this.root.querySelector("canvas") as HTMLCanvasElement;
+    this.fps = this.root.querySelector("[data-fps]") as HTMLElement;
+    this.status = this.root.querySelector("[data-status]") as HTMLElement;
+    // Keys pressed in the panel must not reach the game's controls
+    this.root.addEventListener("keydown", (e) => e.stopPropagation());
+    this.root.addEventListener("change", (e) => this.handleChange(e.target as HTMLInputElement));
+    this.root.addEventListener("click", (e) => {
+      const action = (e.target as HTMLElement).getAttribute("data-action");
+      if (action) this.handleAction(action);
+    });
+    backlog.forEach((traffic) => this.logTraffic(traffic));
+    host.channel.monitor = (traffic) => this.logTraffic(traffic);
+    this.simulation = host.simulation();
+    this.base = baseSettings(this.simulation);
+    this.refresh();
+  }
+
+  /** Apply the tuning to a new session's simulation. */
+  attach(simulation: Simulation): void {
+    this.simulation = simulation;
+    this.base = baseSettings(simulation);
+    this.refresh();
+  }
+
+  /**
+   * Record a frame of the game loop: the time since the previous frame and
+   * the time spent on this one.
+   */
+  frame(interval: number, work: number): void {
+    this.intervals.push(interval);
+    this.work.push(work);
+    if (this.intervals.length > GRAPH_FRAMES) {
+      this.intervals.shift();
+      this.work.shift();
+    }
+    this.drawGraph();
+  }
+
+  /** Remove the panel and stop logging. */
+  destroy(): void {
+    this.host.channel.monitor = null;
+    this.root.remove();
+    this.style.remove();
+  }
+
+  private input(name: string): HTMLInputElement {
+    return this.root.querySelector(`input[name="${name}"]`) as HTMLInputElement;
+  }
+
+  /** A number typed into a field, or null if it is empty or not a number. */
+  private numberIn(name: string): number | null {
+    const value = this.input(name).valueAsNumber;
+    return isFinite(value) ? value : null;
+  }
+
+  private handleChange(input: HTMLInputElement): void {
+    switch (input.name) {
+      case "gravity":
+      case "jumpVelocity":
+      case "speed":
+      case "waveGap": {
+        const value = this.numberIn(input.name);
+        if (value === null || value < 0) return;
+        this.tuning[input.name] = value;
+        break;
+      }
+      case "godMode":
+        this.tuning.godMode = input.checked;
+        break;
+      default:
+        return;
+    }
+    this.applyTuning();
+  }
+
+  private handleAction(action: string): void {
+    switch (action) {
+      case "resetTuning":
+        this.tuning = { godMode: false };
+        this.refresh();
+        break;
+      case "setScore": {
+        const score = this.numberIn("score");
+        if (score !== null && score >= 0) this.host.setScore(Math.floor(score));
+        break;
+      }
+      case "setLives": {
+        const lives = this.numberIn("lives");
+        if (lives !== null && lives >= 1) this.host.setLives(Math.floor(lives));
+        break;
+      }
+      case "resetPlays":
+        this.host.resetPlays().then((counted) => {
+          this.status.textContent = counted ? "Plays reset" : "Plays are counted by the parent";
+        });
+        break;
+      case "resetDetails":
+        this.host.resetDetails().then(() => {
+          this.status.textContent = "Details reset";
+        });
+        break;
+      case "clearLog":
+        this.log.textContent = "";
+        break;
+    }
+  }
+
+  /** Apply the tuning and show the settings now in effect. */
+  private refresh(): void {
+    this.applyTuning();
+    const { speed, waveGap, godMode } = this.tuning;
+    this.input("gravity").value = String(this.simulation.config.gravity);
+    this.input("jumpVelocity").value = String(this.simulation.config.jumpVelocity);
+    this.input("speed").value = String(speed !== undefined ? speed : 1);
+    this.input("waveGap").value = String(waveGap !== undefined ? waveGap : 1);
+    this.input("godMode").checked = godMode;
+  }
+
+  /** Apply the tuning over the attached session's own settings. */
+  private applyTuning(): void {
+    const { gravity, jumpVelocity, speed, waveGap, godMode } = this.tuning;
+    const base = this.base;
+    this.simulation.tune({
+      gravity: gravity !== undefined ? gravity : base.gravity,
+      jumpVelocity: jumpVelocity !== undefined ? jumpVelocity : base.jumpVelocity,
+      difficulty: scaleDifficulty(base.difficulty, speed, waveGap),
+    });
+    this.simulation.setGodMode(godMode);
+  }
+
+  private logTraffic(traffic: ChannelTraffic): void {
+    const entry = document.createElement("div");
+    const message = traffic.message as { type?: unknown } | null;
+    const type = message && typeof message.type === "string" ? message.type : "?";
+    const time = new Date(traffic.at).toISOString().slice(11, 23);
+    const arrow = traffic.direction === "out" ? "→" : "←";
+    let body: string;
+    try {
+      body = JSON.stringify(traffic.message);
+    } catch (_) {
+      body = String(traffic.message);
+    }
+    entry.textContent = `${time} ${arrow} ${type} ${traffic.origin}${traffic.accepted ? "" : " (dropped)"} ${body}`;
+    if (!traffic.accepted) entry.className = "debug-dropped";
+    // Keep the view pinned to the newest entry unless it was scrolled up
+    const pinned = this.log.scrollTop + this.log.clientHeight >= this.log.scrollHeight - 4;
+    this.log.appendChild(entry);
+    while (this.log.childElementCount > LOG_LIMIT) this.log.firstElementChild!.remove();
+    if (pinned) this.log.scrollTop = this.log.scrollHeight;
+  }
+
+  /** Bars of frame intervals with the work in each, under a 60 fps guide line. */
+  private drawGraph(): void {
+    const ctx = this.graph.getContext("2d");
+    if (!ctx) return;
+    const { width, height } = this.graph;
+    const barWidth = width / GRAPH_FRAMES;
+    const y = (ms: number) => height - (Math.min(ms, GRAPH_MAX_MS) / GRAPH_MAX_MS) * height;
+    ctx.clearRect(0, 0, width, height);
+    this.intervals.forEach((interval, i) => {
+      const x = i * barWidth;
+      ctx.fillStyle = interval > FRAME_BUDGET_MS * 1.5 ? "#ff5050" : "#50c878";
+      ctx.fillRect(x, y(interval), barWidth, height - y(interval));
+      ctx.fillStyle = "#ffd700";
+      ctx.fillRect(x, y(this.work[i]), barWidth, height - y(this.work[i]));
+    });
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, y(FRAME_BUDGET_MS), width, 1);
+    const total = this.intervals.reduce((sum, ms) => sum + ms, 0);
+    const fps = total > 0 ? (this.intervals.length * 1000) / total : 0;
+    const last = this.work[this.work.length - 1];
+    this.fps.textContent = `${fps.toFixed(0)} fps, ${last.toFixed(1)} ms per frame`;
+  }
+}
+
+function baseSettings(simulation: Simulation): BaseSettings {
+  const { gravity, jumpVelocity, difficulty } = simulation.config;
+  return { gravity, jumpVelocity, difficulty };
+}
+
+/** A copy of a difficulty curve with every step's speed and wave gap scaled. */
+function scaleDifficulty(steps: DifficultyStep[], speed: number = 1, waveGap: number = 1): DifficultyStep[] {
+  return steps.map((step) => ({ ...step, speed: step.speed * speed, waveGap: step.waveGap * waveGap }));
+}
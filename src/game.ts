@@ -5,197 +5,837 @@
  * the player controls a sassy shopper wearing sunglasses. The shopper must
  * navigate through waves of rushing crowds during a sale without colliding.
  * The game awards increasing discounts based on the final score and
- * maintains a local top‑3 scoreboard. After each play, users are prompted
+ * ranks it on a leaderboard (see leaderboard.ts). After each play, users are prompted
  * for their details before redeeming rewards or playing again. A maximum
  * number of plays is enforced. The game communicates with its parent
  * container (for example, a WebEngage in‑app message) via postMessage to
- * resize its iframe and emit analytics events.
+ * resize its iframe and deliver analytics events (see analytics.ts); the
+ * message format, handshake and origin checks are defined in protocol.ts.
+ *
+ * Gameplay itself lives in the headless Simulation (see simulation.ts); this
+ * class only feeds it input and wall‑clock time and draws its state.
  */
 
-interface GameConfig {
-  /**
-   * Visual theme identifier. Currently unused but reserved for future
-   * customisation (e.g. colours or sprite sets).
-   */
-  theme: string;
-  /**
-   * Maximum number of game sessions per user.
-   */
-  maxSpins: number;
-  /** Unique user identifier passed from the parent if available. */
-  userId?: string;
-  /** Campaign identifier passed from the parent if available. */
-  campaignId?: string;
-  /** The parent origin used for secure postMessage communication. */
-  parentOrigin?: string;
+import { AnalyticsQueue } from "./analytics.js";
+import { loadImages, LoadedImages, resolveHitbox } from "./assets.js";
+import { AudioManager } from "./audio.js";
+import { PowerUp } from "./collectibles.js";
+import { GameConfig, validateConfig } from "./config.js";
+import {
+  IssuedReward,
+  LocalRewardIssuer,
+  RemoteRewardIssuer,
+  RewardIssuer,
+  UnconfiguredRewardIssuer,
+} from "./issuer.js";
+import {
+  ChannelTraffic,
+  ConsentRecord,
+  createMessageId,
+  GameEvent,
+  GameEventMap,
+  GameEventName,
+  ParentChannel,
+  ParentMessage,
+  PROTOCOL_VERSION,
+  resolveParentOrigins,
+  UserDetails,
+} from "./protocol.js";
+import { FULL_HITBOX, Hitbox, hitboxParts, Rect } from "./hitbox.js";
+import { browserLocales, CATALOGS, DEFAULT_LOCALE, Locale, resolveLocale } from "./i18n.js";
+import {
+  LeaderboardPage,
+  LeaderboardProvider,
+  LeaderboardWindow,
+  LocalLeaderboard,
+  ParentLeaderboard,
+} from "./leaderboard.js";
+import { randomSeed } from "./random.js";
+import { createReplay, Replay, simulationConfigFor } from "./replay.js";
+import { computeReward, Reward, REWARD_THRESHOLDS } from "./rewards.js";
+import {
+  campaignStatus,
+  CampaignStatus,
+  currentStreak,
+  nextPeriodStart,
+  parseTime,
+  periodId,
+  recordPlay,
+  StreakReward,
+  streakReward,
+  StreakState,
+} from "./schedule.js";
+import { createReferralToken, referralUrl, renderShareCard, shareCard } from "./share.js";
+import { Layout, Simulation, SimulationState, WORLD_LAYOUTS } from "./simulation.js";
+import {
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  ParentStorageAdapter,
+  StorageAdapter,
+  storageNamespace,
+} from "./storage.js";
+import {
+  escapeHtml,
+  fillText,
+  formatClock,
+  formatDate,
+  formatHtml,
+  formatNumber,
+  GameText,
+  Money,
+  TextValues,
+} from "./text.js";
+import { assetFallbacks, resolveTheme, splitAssets, Theme } from "./theme.js";
+import {
+  Announcer,
+  DEFAULT_DETAILS_FIELDS,
+  DetailsField,
+  fieldHtml,
+  FieldError,
+  OverlayView,
+  setFieldError,
+  validateField,
+} from "./ui.js";
+
+/** What the QA panel may reach in the game. */
+export interface DebugHost {
+  channel: ParentChannel;
+  /** The current session's simulation; each session starts a new one, see QaPanel.attach(). */
+  simulation(): Simulation;
+  setScore(score: number): void;
+  setLives(lives: number): void;
+  /** Clear stored play usage and the streak. Resolves to false if the parent keeps the count. */
+  resetPlays(): Promise<boolean>;
+  /** Clear stored details and consent. */
+  resetDetails(): Promise<void>;
 }
 
-/** Mapping from score ranges to reward discounts (percent). */
-const REWARD_THRESHOLDS: Array<{ min: number; max: number; discount: number }> = [
-  { min: 0, max: 9, discount: 5 },
-  { min: 10, max: 19, discount: 10 },
-  { min: 20, max: 29, discount: 15 },
-  { min: 30, max: Infinity, discount: 20 },
+/** The QA panel as the game drives it: DebugPanel in debug.ts. */
+export interface QaPanel {
+  /** Apply the panel's tuning to a new session. */
+  attach(simulation: Simulation): void;
+  /** Record a frame's interval and the time spent drawing it, in milliseconds. */
+  frame(interval: number, work: number): void;
+  destroy(): void;
+}
+
+/**
+ * The QA panel's module. Only QA builds (`npm run build:qa`) contain it; the
+ * specifier is kept out of a literal import so tsc leaves it out of public/.
+ */
+const DEBUG_MODULE = "./debug.js";
+
+/** Prizes for the top scores table when the campaign sets none. */
+const DEFAULT_PRIZES: Money[] = [
+  { amount: 10000, currency: "USD" },
+  { amount: 5000, currency: "USD" },
+  { amount: 2000, currency: "USD" },
 ];
 
+/** Text keys naming each leaderboard window. */
+const WINDOW_TEXT: Record<LeaderboardWindow, keyof GameText> = {
+  daily: "leaderboardDaily",
+  weekly: "leaderboardWeekly",
+  "all-time": "leaderboardAllTime",
+};
+
+/** Overlay screens, tracked so a reconfigure knows whether it may redraw. */
+type Screen =
+  | "none"
+  | "loading"
+  | "start"
+  | "noPlays"
+  | "comingSoon"
+  | "ended"
+  | "game"
+  | "paused"
+  | "gameOver"
+  | "details"
+  | "redeemed";
+
+/** Screens a reconfigure may replace; any other is left for the player to finish. */
+const ENTRY_SCREENS: Screen[] = ["none", "loading", "start", "noPlays", "comingSoon", "ended"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Phases of a session. It counts down before physics starts, then plays; a
+ * hit leaves the player invulnerable for a while, and losing the last life
+ * plays a dying animation before the game over screen. A paused session
+ * resumes through a fresh countdown.
+ */
+type Phase = "idle" | "countdown" | "playing" | "hit" | "paused" | "dying" | "over";
+
+/** Phases each phase may move to; see setPhase(). */
+const TRANSITIONS: Record<Phase, Phase[]> = {
+  idle: ["countdown"],
+  countdown: ["playing", "paused"],
+  playing: ["hit", "dying", "paused"],
+  hit: ["playing", "dying", "paused"],
+  paused: ["countdown"],
+  dying: ["over"],
+  over: ["countdown"],
+};
+
+/** Longest frame delta fed to the simulation, so a stalled tab can't fast‑forward a run. */
+const MAX_FRAME_DELTA = 250;
+
+/** Milliseconds between repeats of `we:game:ready` until the host sends a config. */
+const READY_INTERVAL = 1000;
+
+/** Events that count as a user gesture for unlocking audio. */
+const GESTURE_EVENTS = ["pointerdown", "keydown", "touchend"];
+
+/** Milliseconds "Go!" stays up after a countdown. */
+const GO_MS = 600;
+
+/** Milliseconds the screen flashes when a life is lost. */
+const FLASH_MS = 250;
+
+/** Milliseconds per on/off blink of an invulnerable player. */
+const BLINK_MS = 100;
+
+/** Length of the dying animation in milliseconds. */
+const DYING_MS = 1200;
+
 class FlappyShopperGame {
   private canvas: HTMLCanvasElement;
   private ctx: CanvasRenderingContext2D;
-  private shopperImg: HTMLImageElement;
-  private obstacleImg: HTMLImageElement;
+  private theme: Theme;
+  private images: LoadedImages = {};
+  /** Manifest of the images currently loaded, to skip reloading an unchanged theme. */
+  private loadedManifest: string | null = null;
+  /** Collision shapes for the current theme, resolved once its images load. */
+  private hitboxes: Record<string, Hitbox> = {};
+  /** Incremented per theme load so a superseded load is ignored when it settles. */
+  private themeLoad: number = 0;
   private frameRequest: number | undefined;
   private lastTimestamp: number = 0;
-  private spawnTimer: number = 0;
-  private baseSpawnInterval: number = 2000;
-  private player: { x: number; y: number; width: number; height: number; vy: number };
-  private obstacles: Array<{ x: number; y: number; width: number; height: number; passed: boolean }> = [];
+  private simulation: Simulation;
+  /** Play grant of the current session, when the parent granted it. */
+  private grantId: string | undefined;
   private score: number = 0;
-  private lives: number = 3;
-  private playing: boolean = false;
+  private phase: Phase = "idle";
+  /** Milliseconds spent in the current phase. */
+  private phaseTime: number = 0;
+  /** Milliseconds "Go!" is still shown for. */
+  private goTime: number = 0;
+  /** Milliseconds since a life was last lost, for the hit flash. */
+  private flashTime: number = Infinity;
   private config: GameConfig = { theme: "default", maxSpins: 3 };
   private playCount: number = 0;
   private maxPlays: number = 3;
-  private scoreboard: number[] = [];
-  private overlay: HTMLElement;
+  /** Plays left, as reported by the storage adapter. */
+  private playsRemaining: number = 3;
+  /** The saved streak, and its length counting today. */
+  private streakState: StreakState | undefined;
+  private streak: number = 1;
+  /** Ticks the countdown on an entry screen. */
+  private entryTimer: ReturnType<typeof setInterval> | undefined;
+  private leaderboard: LeaderboardProvider;
+  /** Leaderboard shown on the game over screen; null if it could not be fetched. */
+  private leaderboardPage: LeaderboardPage | null = null;
+  private storage: StorageAdapter;
+  /** Storage kind and namespace in use, to notice when a config changes either. */
+  private storageKey: string = "";
+  /** Set while a play grant is being requested, to ignore repeated start clicks. */
+  private starting: boolean = false;
+  /** Whether a share card is being made or shared. */
+  private sharing: boolean = false;
+  private overlay: OverlayView;
+  private announcer: Announcer;
+  private audio: AudioManager;
+  private analytics: AnalyticsQueue;
+  /** Whether this page load's impression was reported. */
+  private impressionSent: boolean = false;
+  /** Whether the current play's first jump was reported. */
+  private jumped: boolean = false;
+  private muteButton: HTMLButtonElement;
   private detailsCaptured: boolean = false;
-  private parentOrigin: string = "*";
-  private randomCode: string = "";
-
-  constructor(
-    canvas: HTMLCanvasElement,
-    overlay: HTMLElement,
-    shopperImg: HTMLImageElement,
-    obstacleImg: HTMLImageElement
-  ) {
+  private details: UserDetails | null = null;
+  private consent: ConsentRecord | null = null;
+  private channel: ParentChannel;
+  private issuer: RewardIssuer;
+  private issuedReward: IssuedReward | null = null;
+  private text: GameText = CATALOGS.en;
+  private locale: Locale = DEFAULT_LOCALE;
+  /** Repeats `we:game:ready` until the first config arrives. */
+  private readyTimer: ReturnType<typeof setInterval> | undefined;
+  private initialised: boolean = false;
+  private destroyed: boolean = false;
+  /** Config received mid‑session, applied once the session ends. */
+  private pendingConfig: Partial<GameConfig> | null = null;
+  private screen: Screen = "none";
+  /** The QA panel, once loaded; see enableDebug(). */
+  private debug: QaPanel | null = null;
+  private debugRequested: boolean = false;
+
+  /**
+   * @param origins Origins allowed to configure the game; see
+   *   resolveParentOrigins() and ParentChannel.
+   */
+  constructor(canvas: HTMLCanvasElement, overlay: HTMLElement, origins: string[] = []) {
     this.canvas = canvas;
     const ctx = canvas.getContext("2d");
     if (!ctx) throw new Error("Canvas 2D context not available");
     this.ctx = ctx;
-    this.overlay = overlay;
-    this.shopperImg = shopperImg;
-    this.obstacleImg = obstacleImg;
-    // initialise player with dummy values; actual dimensions set in init()
-    this.player = { x: 0, y: 0, width: 40, height: 40, vy: 0 };
+    this.overlay = new OverlayView(overlay, canvas);
+    this.announcer = new Announcer(canvas.parentElement || document.body);
+    this.audio = new AudioManager();
+    this.muteButton = this.createMuteButton(overlay);
+    canvas.tabIndex = 0;
+    this.theme = resolveTheme(this.config.theme);
+    this.channel = new ParentChannel({
+      target: parent,
+      origins,
+      onMessage: (message, origin) => this.handleMessage(message, origin),
+    });
+    // placeholder simulation; a fresh one is created for every session
+    this.simulation = new Simulation(0);
+    this.issuer = this.createIssuer();
+    // The queue outlives user and campaign changes; it moves to their storage once known
+    this.analytics = new AnalyticsQueue({ channel: this.channel, storage: new MemoryStorageAdapter() });
     // Bind event handlers
     this.handleKeyPress = this.handleKeyPress.bind(this);
     this.handleTouch = this.handleTouch.bind(this);
-    // Load persisted values
-    this.loadState();
+    this.handleResize = this.handleResize.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.handleGesture = this.handleGesture.bind(this);
+    // Persisted values are loaded once the config names the user and campaign
+    this.storage = new MemoryStorageAdapter();
+    this.leaderboard = this.createLeaderboard();
+  }
+
+  /** Build the storage adapter selected by the configuration. */
+  private createStorage(): StorageAdapter {
+    const scope = { userId: this.config.userId, campaignId: this.config.campaignId };
+    switch (this.config.storage) {
+      case "memory":
+        return new MemoryStorageAdapter();
+      case "parent":
+        return new ParentStorageAdapter(this.channel, scope, new LocalStorageAdapter(scope));
+      default:
+        return new LocalStorageAdapter(scope);
+    }
   }
 
   /**
-   * Load saved scoreboard, play count and user details from localStorage.
+   * Storage for the analytics queue, following the configured kind. The host
+   * only answers for state and plays, so "parent" keeps the queue locally.
    */
-  private loadState(): void {
-    try {
-      const sb = localStorage.getItem("flappyShopperScoreboard");
-      if (sb) {
-        this.scoreboard = JSON.parse(sb);
-      }
-    } catch (_) {
-      this.scoreboard = [];
+  private createQueueStorage(): StorageAdapter {
+    const scope = { userId: this.config.userId, campaignId: this.config.campaignId };
+    switch (this.config.storage) {
+      case "memory":
+        return new MemoryStorageAdapter();
+      default:
+        return new LocalStorageAdapter(scope);
     }
-    try {
-      const pc = localStorage.getItem("flappyShopperPlayCount");
-      if (pc) {
-        this.playCount = parseInt(pc, 10) || 0;
-      }
-    } catch (_) {
-      this.playCount = 0;
-    }
-    try {
-      const details = localStorage.getItem("flappyShopperDetails");
-      if (details) {
-        this.detailsCaptured = true;
-      }
-    } catch (_) {
-      this.detailsCaptured = false;
+  }
+
+  /** Build the leaderboard provider selected by the configuration. */
+  private createLeaderboard(): LeaderboardProvider {
+    if (this.config.leaderboard === "parent") {
+      const timeout = this.config.leaderboardTimeout !== undefined ? this.config.leaderboardTimeout : 5000;
+      return new ParentLeaderboard(this.channel, timeout);
     }
+    return new LocalLeaderboard(this.storage);
+  }
+
+  /** Load saved play usage and user details from the storage adapter. */
+  private async loadState(): Promise<void> {
+    const storage = this.storage;
+    const [details, consent, muted, streak] = await Promise.all([
+      storage.get<UserDetails>("details"),
+      storage.get<ConsentRecord>("consent"),
+      storage.get<boolean>("muted"),
+      storage.get<StreakState>("streak"),
+    ]);
+    // Ignore the results if the adapter was replaced meanwhile
+    if (storage !== this.storage) return;
+    // The streak decides any bonus plays, so it is read first
+    this.streakState = streak;
+    this.streak = currentStreak(streak, Date.now());
+    const plays = await storage.playState(this.allowance, this.period);
+    if (storage !== this.storage) return;
+    this.audio.muted = !!muted;
+    this.updateMuteButton();
+    this.details = details || null;
+    this.consent = consent || null;
+    this.detailsCaptured = this.hasRequiredDetails();
+    this.playCount = plays.playCount;
+    this.playsRemaining = plays.remaining;
+  }
+
+  /** The streak reward earned today, if any. */
+  private get streakBonus(): StreakReward | null {
+    return streakReward(this.streak, this.config.streakRewards || []);
   }
 
   /**
-   * Persist scoreboard and play count to localStorage.
+   * Plays allowed, per period if plays refill: maxSpins plus any streak bonus.
+   * A parent host grants streak bonus plays itself, so it is told maxSpins.
    */
-  private saveState(): void {
-    try {
-      localStorage.setItem(
-        "flappyShopperScoreboard",
-        JSON.stringify(this.scoreboard)
-      );
-    } catch (_) {
-      /* ignore */
-    }
-    try {
-      localStorage.setItem(
-        "flappyShopperPlayCount",
-        this.playCount.toString()
-      );
-    } catch (_) {
-      /* ignore */
-    }
+  private get allowance(): number {
+    const bonus = this.config.storage === "parent" ? null : this.streakBonus;
+    return this.maxPlays + ((bonus && bonus.bonusPlays) || 0);
+  }
+
+  /** The refill period plays now count towards, if plays refill. */
+  private get period(): string | undefined {
+    return this.config.refill ? periodId(Date.now(), this.config.refill) : undefined;
+  }
+
+  private get campaignStatus(): CampaignStatus {
+    return campaignStatus(Date.now(), this.config.campaignStart, this.config.campaignEnd);
+  }
+
+  /** Shape of the world for new sessions. */
+  private get layout(): Layout {
+    return this.config.layout || "portrait";
   }
 
   /**
-   * Resize the canvas to maintain aspect ratio and full width of its container.
+   * Size the canvas to its container at the device's pixel density. It takes
+   * the container's width and the world's aspect ratio, unless the container
+   * has a height of its own (a fixed banner slot, say); then it fills the
+   * container and draw() letterboxes the world. Game state lives in the fixed
+   * logical world, so a resize never disturbs a run.
    */
   private resizeCanvas(): void {
     const container = this.canvas.parentElement as HTMLElement;
     if (container) {
+      const world = WORLD_LAYOUTS[this.layout];
+      container.classList.toggle("landscape", this.layout === "landscape");
+      // Collapse the canvas to see whether the container sets its own height
+      this.canvas.style.height = "0px";
       const width = container.clientWidth;
-      // Maintain a 9:16 (portrait) ratio commonly used in mobile games.
-      const height = Math.floor((width * 16) / 9);
-      this.canvas.width = width;
-      this.canvas.height = height;
-      // Update player position relative to new dimensions
-      this.player.x = width * 0.2;
-      this.player.y = height * 0.5;
-      this.player.width = width * 0.1;
-      this.player.height = width * 0.1;
-      // Update any existing obstacles sizes proportionally
-      this.obstacles.forEach((o) => {
-        o.width = width * 0.12;
-        o.height = width * 0.18;
-      });
+      const height = container.clientHeight || Math.round((width * world.height) / world.width);
+      const dpr = window.devicePixelRatio || 1;
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(height * dpr);
+      // Resizing clears the canvas, so redraw a session in progress (or just ended)
+      if (this.phase !== "idle") this.draw();
       this.sendHeight();
     }
   }
 
+  /** Window resize handler. */
+  private handleResize(): void {
+    this.resizeCanvas();
+  }
+
   /**
-   * Initialise the game and attach event listeners. Should be called once after
-   * images are loaded.
+   * Initialise the game and attach event listeners, then load the theme's
+   * assets before showing the start screen. Calling it again is the same as
+   * reconfigure(); listeners are only ever attached once.
    */
   public init(config?: Partial<GameConfig>): void {
+    if (this.destroyed) {
+      throw new Error("FlappyShopperGame has been destroyed");
+    }
+    if (this.initialised) {
+      this.reconfigure(config || {});
+      return;
+    }
+    this.initialised = true;
+    window.addEventListener("resize", this.handleResize);
+    this.channel.connect();
+    document.addEventListener("visibilitychange", this.handleVisibility);
+    // input events
+    window.addEventListener("keydown", this.handleKeyPress);
+    this.canvas.addEventListener("click", this.handleTouch);
+    this.canvas.addEventListener("touchstart", this.handleTouch);
+    // Browsers only allow audio to start from a user gesture
+    for (const type of GESTURE_EVENTS) {
+      window.addEventListener(type, this.handleGesture, true);
+    }
+    this.applyConfig(config || {});
+    // Start the handshake: the parent answers with we:game:config. Repeat the
+    // same announcement until it does, for hosts that start listening late
+    const page = createMessageId();
+    const announce = () => this.channel.post("we:game:ready", { payload: { version: PROTOCOL_VERSION, page } });
+    announce();
+    this.readyTimer = setInterval(announce, READY_INTERVAL);
+  }
+
+  private stopReadyTimer(): void {
+    if (this.readyTimer !== undefined) clearInterval(this.readyTimer);
+    this.readyTimer = undefined;
+  }
+
+  /**
+   * Apply new configuration. During a session it is held back and applied
+   * when the session ends, so a config message never disturbs active play.
+   */
+  public reconfigure(config: Partial<GameConfig>): void {
+    if (this.destroyed) return;
+    if (this.inSession) {
+      this.pendingConfig = { ...this.pendingConfig, ...config };
+      return;
+    }
+    this.applyConfig(config);
+  }
+
+  /**
+   * Pause the running session, e.g. when the tab is hidden. A session that is
+   * dying or over has nothing left to pause.
+   */
+  public pause(reason: string = "user"): void {
+    if (this.phase !== "countdown" && this.phase !== "playing" && this.phase !== "hit") return;
+    this.setPhase("paused");
+    if (this.frameRequest !== undefined) cancelAnimationFrame(this.frameRequest);
+    this.frameRequest = undefined;
+    this.audio.stopMusic();
+    this.showPaused();
+    this.emitEvent("paused", { reason });
+  }
+
+  /** Resume a paused session after a countdown. */
+  public resume(): void {
+    if (this.phase !== "paused") return;
+    this.hideOverlay();
+    this.emitEvent("resumed", {});
+    this.startCountdown();
+  }
+
+  /** Whether a session is under way, from its first countdown to its game over screen. */
+  private get inSession(): boolean {
+    return this.phase !== "idle" && this.phase !== "over";
+  }
+
+  /** Move to another phase of the session; see TRANSITIONS. */
+  private setPhase(next: Phase): void {
+    if (TRANSITIONS[this.phase].indexOf(next) === -1) {
+      throw new Error(`Cannot move from ${this.phase} to ${next}`);
+    }
+    this.phase = next;
+    this.phaseTime = 0;
+  }
+
+  /**
+   * Tear the game down: stop the loop, remove every listener, abandon pending
+   * loads and reward requests and clear the overlay. The instance cannot be
+   * used afterwards.
+   */
+  public destroy(): void {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    this.phase = "idle";
+    if (this.frameRequest !== undefined) cancelAnimationFrame(this.frameRequest);
+    this.frameRequest = undefined;
+    window.removeEventListener("resize", this.handleResize);
+    this.stopReadyTimer();
+    this.channel.close();
+    document.removeEventListener("visibilitychange", this.handleVisibility);
+    window.removeEventListener("keydown", this.handleKeyPress);
+    this.canvas.removeEventListener("click", this.handleTouch);
+    this.canvas.removeEventListener("touchstart", this.handleTouch);
+    for (const type of GESTURE_EVENTS) {
+      window.removeEventListener(type, this.handleGesture, true);
+    }
+    this.audio.destroy();
+    this.muteButton.remove();
+    this.analytics.close();
+    // Invalidate any theme load still in flight
+    this.themeLoad++;
+    this.stopEntryTimer();
+    if (this.debug) this.debug.destroy();
+    this.channel.monitor = null;
+    this.overlay.destroy();
+    this.announcer.destroy();
+    this.screen = "none";
+  }
+
+  /** Unlock audio on the first user gesture (and keep it unlocked on later ones). */
+  private handleGesture(): void {
+    this.audio.unlock();
+  }
+
+  /** Add the HUD's mute button just below the overlay, so an open screen covers it. */
+  private createMuteButton(overlay: HTMLElement): HTMLButtonElement {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "hud-button";
+    // Clicking must not take focus from the canvas, or Space would toggle the button
+    button.addEventListener("mousedown", (e) => e.preventDefault());
+    button.addEventListener("click", () => this.toggleMute());
+    overlay.parentElement!.insertBefore(button, overlay);
+    return button;
+  }
+
+  /** Reflect the mute state, and hide the button when the host silences the game. */
+  private updateMuteButton(): void {
+    const button = this.muteButton;
+    button.hidden = this.audio.forceMuted;
+    button.textContent = this.audio.muted ? "\u{1F507}" : "\u{1F50A}";
+    button.setAttribute("aria-label", this.text.muteButton);
+    button.setAttribute("aria-pressed", String(this.audio.muted));
+  }
+
+  /** Toggle and remember the player's mute choice. */
+  private toggleMute(): void {
+    if (this.audio.forceMuted) return;
+    this.audio.muted = !this.audio.muted;
+    this.storage.set("muted", this.audio.muted);
+    this.updateMuteButton();
+  }
+
+  /** Auto‑pause when the page is hidden so a backgrounded tab can't lose the run. */
+  private handleVisibility(): void {
+    if (document.hidden) {
+      this.pause("hidden");
+      // The page may not come back, so deliver what is queued
+      this.analytics.flush();
+    }
+  }
+
+  /**
+   * Handle a message the channel accepted from the parent. Config messages are
+   * validated and acknowledged when they carry an id.
+   */
+  private handleMessage(message: ParentMessage, origin: string): void {
+    if (message.type !== "we:game:config") return;
+    // The host is listening, so the handshake is done whatever it sent
+    this.stopReadyTimer();
+    if (message.version !== undefined && message.version !== PROTOCOL_VERSION) {
+      this.rejectMessage(message, "unsupported_version", `Protocol version ${PROTOCOL_VERSION} required`);
+      return;
+    }
+    const result = validateConfig(message.payload || {});
+    if (result.config && result.config.parentOrigin !== undefined && result.config.parentOrigin !== origin) {
+      result.errors.push("parentOrigin must match the origin sending the config");
+    }
+    if (!result.config || result.errors.length) {
+      this.rejectMessage(message, "invalid_config", "Config rejected", result.errors);
+      return;
+    }
+    if (message.id !== undefined) {
+      this.channel.post("we:game:ack", { payload: { ok: true } }, message.id);
+    }
+    // A parent that configures the game is listening for its events
+    this.analytics.connect();
+    this.reconfigure(result.config);
+  }
+
+  /** Merge configuration and refresh whatever depends on it. */
+  private applyConfig(config: Partial<GameConfig>): void {
     // Merge configuration
     this.config = { ...this.config, ...config };
     if (typeof this.config.maxSpins === "number") {
       this.maxPlays = this.config.maxSpins;
     }
-    if (this.config.parentOrigin) {
-      this.parentOrigin = this.config.parentOrigin;
+    this.issuer = this.createIssuer();
+    this.applyLocale();
+    this.audio.forceMuted = !!this.config.forceMute;
+    this.updateMuteButton();
+    if (this.config.debug || new URLSearchParams(location.search).has("debug")) this.enableDebug();
+    // A changed form may ask for fields the saved details lack
+    this.detailsCaptured = this.hasRequiredDetails();
+    // A different user, campaign or storage kind means different saved state
+    const storageKey = `${this.config.storage || "local"}|${storageNamespace(this.config)}`;
+    let stateLoaded: Promise<void> = Promise.resolve();
+    if (storageKey !== this.storageKey) {
+      this.storageKey = storageKey;
+      this.storage = this.createStorage();
+      this.leaderboard = this.createLeaderboard();
+      this.analytics.useStorage(this.createQueueStorage());
+      stateLoaded = this.loadState();
+    } else {
+      if (config.leaderboard !== undefined || config.leaderboardTimeout !== undefined) {
+        this.leaderboard = this.createLeaderboard();
+      }
+      // The allowance and how plays are counted depend on these
+      if (config.maxSpins !== undefined || config.refill !== undefined || config.streakRewards !== undefined) {
+        stateLoaded = this.loadState();
+      }
     }
-    // initial canvas sizing
     this.resizeCanvas();
-    window.addEventListener("resize", () => this.resizeCanvas());
-    // input events
-    window.addEventListener("keydown", this.handleKeyPress);
-    this.canvas.addEventListener("click", this.handleTouch);
-    this.canvas.addEventListener("touchstart", this.handleTouch);
     // Immediately send a height so the parent can size the iframe correctly.
     this.sendHeight();
-    // If user has remaining plays, show start overlay; otherwise show out-of-plays message.
-    if (this.playCount >= this.maxPlays) {
-      this.showNoPlaysLeft();
-    } else {
-      this.showStartScreen();
+    // Only the entry screens are redrawn; a result or form stays where it is
+    const redraw = ENTRY_SCREENS.indexOf(this.screen) !== -1;
+    Promise.all([this.applyTheme(resolveTheme(this.config.theme), redraw), stateLoaded]).then(([current]) => {
+      if (!current || !redraw || ENTRY_SCREENS.indexOf(this.screen) === -1) return;
+      if (!this.impressionSent) {
+        this.impressionSent = true;
+        this.emitEvent("impression", { playsRemaining: this.playsRemaining });
+      }
+      this.showEntryScreen();
+    });
+  }
+
+  /**
+   * Load the QA panel (see debug.ts) on demand. Messages are logged from now
+   * on, and handed to the panel once it loads; production builds lack the
+   * module, so there the load fails and logging stops.
+   */
+  private enableDebug(): void {
+    if (this.debugRequested) return;
+    this.debugRequested = true;
+    const backlog: ChannelTraffic[] = [];
+    this.channel.monitor = (traffic) => backlog.push(traffic);
+    import(DEBUG_MODULE).then(
+      ({ DebugPanel }) => {
+        if (this.destroyed) return;
+        this.debug = new DebugPanel(this.debugHost(), backlog);
+      },
+      () => {
+        this.channel.monitor = null;
+      }
+    );
+  }
+
+  /** What the QA panel may reach. */
+  private debugHost(): DebugHost {
+    return {
+      channel: this.channel,
+      simulation: () => this.simulation,
+      setScore: (score) => {
+        this.simulation.setScore(score);
+        this.score = score;
+      },
+      setLives: (lives) => this.simulation.setLives(lives),
+      resetPlays: async () => {
+        await this.clearStored(["playCount", "periodPlays", "streak"]);
+        return this.config.storage !== "parent";
+      },
+      resetDetails: () => this.clearStored(["details", "consent"]),
+    };
+  }
+
+  /** Forget stored values and reload the state, redrawing an entry screen. */
+  private async clearStored(keys: string[]): Promise<void> {
+    const storage = this.storage;
+    await Promise.all(keys.map((key) => storage.remove(key)));
+    await this.loadState();
+    if (ENTRY_SCREENS.indexOf(this.screen) !== -1 && this.screen !== "loading") this.showEntryScreen();
+  }
+
+  /**
+   * Pick the locale (see resolveLocale()) and its copy, with the campaign's
+   * overrides on top, and set the page's language and direction so the
+   * overlay lays out right to left where needed.
+   */
+  private applyLocale(): void {
+    this.locale = resolveLocale([this.config.locale].concat(browserLocales()));
+    this.text = { ...CATALOGS[this.locale.language], ...this.config.text };
+    document.documentElement.lang = this.locale.tag;
+    document.documentElement.dir = this.locale.direction;
+    this.canvas.setAttribute("aria-label", this.text.canvasLabel);
+  }
+
+  /**
+   * Switch to a theme: restyle the overlay and preload its asset manifest,
+   * optionally with a progress indicator. Resolves to false if another theme
+   * was applied (or the game destroyed) before this one finished loading.
+   */
+  private applyTheme(theme: Theme, showProgress: boolean): Promise<boolean> {
+    this.theme = theme;
+    const root = document.documentElement.style;
+    root.setProperty("--overlay-bg", theme.colors.overlayBackground);
+    root.setProperty("--overlay-text", theme.colors.overlayText);
+    root.setProperty("--button-bg", theme.colors.button);
+    root.setProperty("--button-text", theme.colors.buttonText);
+    root.setProperty("--overlay-font", theme.fonts.overlay);
+    let style = document.getElementById("theme-style");
+    if (!style) {
+      style = document.createElement("style");
+      style.id = "theme-style";
+      document.head.appendChild(style);
+    }
+    style.textContent = theme.overlayCss || "";
+    const manifest = JSON.stringify([theme.assets, theme.sounds]);
+    const load = ++this.themeLoad;
+    if (manifest === this.loadedManifest) {
+      this.resolveHitboxes();
+      return Promise.resolve(true);
+    }
+    const { images, sounds } = splitAssets(theme);
+    const fallbacks = assetFallbacks(theme);
+    // Sounds load alongside but don't hold up the start screen
+    this.audio.load(theme.sounds, sounds, fallbacks).then((failed) => {
+      if (load !== this.themeLoad) return;
+      for (const key of failed) {
+        this.emitEvent("asset_error", { key, url: theme.assets[key] });
+      }
+    });
+    if (showProgress) this.showLoading(0);
+    return loadImages(images, fallbacks, (loaded, total) => {
+      if (showProgress && load === this.themeLoad) {
+        this.showLoading(total ? Math.round((loaded / total) * 100) : 100);
+      }
+    }).then(({ images, failed }) => {
+      if (load !== this.themeLoad) return false;
+      this.images = images;
+      this.loadedManifest = manifest;
+      this.resolveHitboxes();
+      for (const key of failed) {
+        this.emitEvent("asset_error", { key, url: theme.assets[key] });
+      }
+      return true;
+    });
+  }
+
+  /** Build the sprites' hitboxes from the theme, generating alpha masks from loaded images. */
+  private resolveHitboxes(): void {
+    const { sprites, hitboxes } = this.theme;
+    this.hitboxes = {};
+    for (const sprite of Object.keys(hitboxes)) {
+      this.hitboxes[sprite] = resolveHitbox(hitboxes[sprite], this.images[sprites[sprite]] || null);
+    }
+  }
+
+  /**
+   * Report a rejected parent message: a `we:game:error`, plus a failed ack when
+   * the message asked for one. The previous configuration stays in effect.
+   */
+  private rejectMessage(message: ParentMessage, code: string, text: string, errors?: string[]): void {
+    this.channel.post("we:game:error", { payload: { code, message: text, errors } }, message.id);
+    if (message.id !== undefined) {
+      this.channel.post("we:game:ack", { payload: { ok: false, errors: errors || [text] } }, message.id);
     }
   }
 
+  /**
+   * Build the reward issuer selected by the configuration. Local signing
+   * needs the campaign's own secret; a default one would ship in the game
+   * for anyone to mint codes with.
+   */
+  private createIssuer(): RewardIssuer {
+    const local = this.config.rewardSecret
+      ? new LocalRewardIssuer({ secret: this.config.rewardSecret, ttl: this.config.rewardTtl })
+      : new UnconfiguredRewardIssuer();
+    if (this.config.rewardIssuer === "parent") {
+      return new RemoteRewardIssuer({
+        channel: this.channel,
+        timeout: this.config.rewardTimeout,
+        fallback: local,
+      });
+    }
+    return local;
+  }
+
   /** Handle keyboard controls. */
   private handleKeyPress(e: KeyboardEvent): void {
+    // Keys typed into the overlay's controls or the mute button belong to them,
+    // except the pause and mute toggles
+    const target = e.target as HTMLElement | null;
+    if (target && /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+    const toggle = e.code === "Escape" || e.code === "KeyP" || e.code === "KeyM";
+    if ((this.overlay.contains(e.target) || e.target === this.muteButton) && !toggle) return;
     if (e.code === "Space" || e.code === "ArrowUp") {
       e.preventDefault();
-      if (this.playing) {
-        this.jump();
+      this.jump();
+    } else if (e.code === "KeyM") {
+      this.toggleMute();
+    } else if (e.code === "KeyP" || e.code === "Escape") {
+      if (this.phase === "paused") {
+        this.resume();
+      } else {
+        this.pause();
       }
     }
   }
@@ -203,281 +843,854 @@ class FlappyShopperGame {
   /** Handle click or touch controls. */
   private handleTouch(e: MouseEvent | TouchEvent): void {
     e.preventDefault();
-    if (this.playing) {
-      this.jump();
-    }
+    this.jump();
   }
 
-  /** Apply a jump (upward velocity) to the player. */
+  /** Queue a jump for the simulation's next step; ignored unless physics is running. */
   private jump(): void {
-    // only apply jump if still alive
-    this.player.vy = -0.35 * this.canvas.height; // proportional to canvas height
+    if (this.phase === "playing" || this.phase === "hit") {
+      this.simulation.jump();
+      this.audio.play("jump");
+      if (!this.jumped) {
+        this.jumped = true;
+        const afterMs = Math.round(this.simulation.state.tick * this.simulation.config.timestep);
+        this.emitEvent("first_jump", { play: this.playCount, afterMs });
+      }
+    }
   }
 
   /**
-   * Begin a new game session. Resets lives, score, obstacles and starts the
-   * animation loop. Increments the play counter.
+   * Ask the storage adapter for a play and, if granted, begin a session;
+   * otherwise show the out‑of‑plays screen.
    */
   private startGame(): void {
+    if (this.starting || this.inSession) return;
+    if (this.campaignStatus !== "open") {
+      this.showEntryScreen();
+      return;
+    }
+    this.starting = true;
+    const storage = this.storage;
+    const period = this.period;
+    storage.requestPlay(this.allowance, period).then((grant) => {
+      this.starting = false;
+      if (this.destroyed) return;
+      this.playCount = grant.playCount;
+      this.playsRemaining = grant.remaining;
+      if (grant.granted) {
+        this.streakState = recordPlay(this.streakState, Date.now());
+        this.streak = this.streakState.days;
+        storage.set("streak", this.streakState);
+        this.beginSession(grant.grantId, period);
+      } else {
+        this.showEntryScreen();
+      }
+    });
+  }
+
+  /**
+   * Begin a granted game session. Creates a fresh simulation in the layout's
+   * world and starts the animation loop with a countdown.
+   */
+  private beginSession(grantId?: string, period?: string): void {
+    this.grantId = grantId;
+    const seed = this.config.seed !== undefined ? this.config.seed : randomSeed();
+    this.simulation = new Simulation(seed, simulationConfigFor(this.config, this.theme, this.hitboxes));
+    if (this.debug) this.debug.attach(this.simulation);
     this.score = 0;
-    this.lives = 3;
-    this.obstacles = [];
-    this.player.vy = 0;
-    // Place player in vertical centre
-    this.player.y = this.canvas.height * 0.5;
-    this.spawnTimer = 0;
-    this.lastTimestamp = performance.now();
-    this.playing = true;
-    // increment play count
-    this.playCount++;
-    this.saveState();
+    this.jumped = false;
+    this.goTime = 0;
+    this.flashTime = Infinity;
     // hide any overlay
     this.hideOverlay();
     // send event to parent
-    this.emitEvent("started", { userId: this.config.userId, play: this.playCount });
-    // start loop
+    this.emitEvent("started", {
+      userId: this.config.userId,
+      play: this.playCount,
+      seed,
+      grantId,
+      remaining: this.playsRemaining,
+      period,
+      streak: this.streak,
+    });
+    this.startCountdown();
+  }
+
+  /** Length of the countdown before play starts or resumes, in milliseconds. */
+  private get countdownMs(): number {
+    return (this.config.countdown !== undefined ? this.config.countdown : 3) * 1000;
+  }
+
+  /** Enter the countdown phase and (re)start the animation loop. */
+  private startCountdown(): void {
+    this.setPhase("countdown");
+    if (this.countdownMs > 0) this.announcer.announce(this.text.countdownReady);
+    // Restart the clock so time spent paused or on other screens is not counted
+    this.lastTimestamp = performance.now();
     this.frameRequest = requestAnimationFrame((t) => this.gameLoop(t));
   }
 
   /**
-   * Main game loop. Calculates delta time, updates logic and renders the frame.
+   * Main game loop. Runs the countdown, feeds elapsed time to the simulation
+   * while playing, times the dying animation and renders the frame.
    */
   private gameLoop(timestamp: number): void {
-    const dt = timestamp - this.lastTimestamp;
+    this.frameRequest = undefined;
+    const interval = timestamp - this.lastTimestamp;
+    const dt = Math.max(0, Math.min(interval, MAX_FRAME_DELTA));
     this.lastTimestamp = timestamp;
-    if (this.playing) {
-      this.update(dt);
-      this.draw();
-      this.frameRequest = requestAnimationFrame((t) => this.gameLoop(t));
+    this.phaseTime += dt;
+    this.goTime = Math.max(this.goTime - dt, 0);
+    this.flashTime += dt;
+    switch (this.phase) {
+      case "countdown":
+        // Physics starts on the frame after the countdown ends
+        if (this.phaseTime >= this.countdownMs) {
+          this.setPhase("playing");
+          this.audio.startMusic();
+          if (this.countdownMs > 0) {
+            this.goTime = GO_MS;
+            this.announcer.announce(this.text.countdownGo);
+          }
+        }
+        break;
+      case "playing":
+      case "hit":
+        this.update(dt);
+        break;
+      case "dying":
+        if (this.phaseTime >= DYING_MS) {
+          this.setPhase("over");
+          this.endGame();
+          return;
+        }
+        break;
+      default:
+        return;
     }
+    this.draw();
+    if (this.debug) this.debug.frame(interval, performance.now() - timestamp);
+    this.frameRequest = requestAnimationFrame((t) => this.gameLoop(t));
   }
 
-  /** Update game state. */
+  /** Advance the simulation and forward its events. */
   private update(dt: number): void {
-    const dtSeconds = dt / 1000;
-    const gravity = 1.2 * this.canvas.height; // gravitational acceleration relative to canvas
-    // Apply gravity to player
-    this.player.vy += gravity * dtSeconds;
-    this.player.y += this.player.vy * dtSeconds;
-    // Prevent player from leaving the top or bottom
-    if (this.player.y < 0) {
-      this.player.y = 0;
-      this.player.vy = 0;
-    }
-    if (this.player.y + this.player.height > this.canvas.height) {
-      this.player.y = this.canvas.height - this.player.height;
-      this.player.vy = 0;
-    }
-    // Update obstacles
-    const speed = (this.canvas.width * 0.3) + (this.score * this.canvas.width * 0.01);
-    this.obstacles.forEach((obs) => {
-      obs.x -= speed * dtSeconds;
-      // Mark score when passed
-      if (!obs.passed && obs.x + obs.width < this.player.x) {
-        obs.passed = true;
-        this.score++;
-        this.emitEvent("score", { score: this.score });
-      }
-    });
-    // Remove off‑screen obstacles
-    this.obstacles = this.obstacles.filter((obs) => obs.x + obs.width > 0);
-    // Spawn new obstacles
-    this.spawnTimer += dt;
-    // spawn interval decreases as score increases to raise difficulty
-    const interval = Math.max(
-      this.baseSpawnInterval - this.score * 50,
-      900
-    );
-    if (this.spawnTimer >= interval) {
-      this.spawnTimer = 0;
-      this.spawnObstacle();
-    }
-    // Collision detection
-    for (const obs of this.obstacles) {
-      if (this.checkCollision(obs)) {
-        // Collided: lose a life and reset position
-        this.lives--;
-        this.emitEvent("collision", { remainingLives: this.lives });
-        if (this.lives > 0) {
-          // Reset player position
-          this.player.y = this.canvas.height * 0.5;
-          this.player.vy = 0;
-          // Remove collided obstacle to avoid repeated collisions
-          obs.x = -obs.width;
-        } else {
-          // Game over
-          this.playing = false;
-          cancelAnimationFrame(this.frameRequest!);
-          this.endGame();
-          return;
+    for (const event of this.simulation.advance(dt)) {
+      switch (event.type) {
+        case "score":
+          this.score = event.score;
+          this.audio.play("score");
+          this.announcer.announce(this.plain("hudScore", { score: event.score }));
+          this.emitEvent("score", { score: event.score });
+          break;
+        case "collision":
+          this.flashTime = 0;
+          this.audio.play("hit");
+          this.announcer.announce(this.plain("hudLives", { lives: event.remainingLives }));
+          this.emitEvent("collision", { remainingLives: event.remainingLives });
+          break;
+        case "collect": {
+          this.audio.play("powerUp");
+          const state = this.simulation.state;
+          this.emitEvent("collect", { item: event.item, effect: event.effect, score: state.score, lives: state.lives });
+          break;
         }
+        case "shield_used":
+          this.audio.play("hit");
+          this.emitEvent("shield_used", { item: event.item });
+          break;
+        case "power_up_ended":
+          this.emitEvent("power_up_ended", { item: event.item });
+          break;
+        case "game_over":
+          this.setPhase("dying");
+          this.audio.stopMusic();
+          this.audio.play("gameOver");
+          return;
       }
     }
+    // The simulation decides how long invulnerability lasts
+    const invulnerable = this.simulation.state.invulnerable > 0;
+    if (this.phase === "playing" && invulnerable) {
+      this.setPhase("hit");
+    } else if (this.phase === "hit" && !invulnerable) {
+      this.setPhase("playing");
+    }
   }
 
-  /** Draw the current frame. */
+  /**
+   * Draw the current frame. Everything, HUD included, is drawn in world units,
+   * scaled uniformly to fit the canvas and centred between letterbox bars.
+   */
   private draw(): void {
     const ctx = this.ctx;
-    const w = this.canvas.width;
-    const h = this.canvas.height;
-    // Clear canvas
-    ctx.clearRect(0, 0, w, h);
-    // Background (simple coloured rectangles to evoke a busy mall)
-    ctx.fillStyle = "#ffe08a";
-    ctx.fillRect(0, 0, w, h);
-    ctx.fillStyle = "#ffd36b";
-    ctx.fillRect(0, h * 0.7, w, h * 0.3);
+    const { width, height } = this.simulation.config;
+    const unit = Math.min(width, height);
+    const state = this.simulation.state;
+    const colors = this.theme.colors;
+    const scale = Math.min(this.canvas.width / width, this.canvas.height / height);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = colors.letterbox;
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(
+      scale,
+      0,
+      0,
+      scale,
+      (this.canvas.width - width * scale) / 2,
+      (this.canvas.height - height * scale) / 2
+    );
+    // Keep sprites entering or leaving the world off the bars
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, width, height);
+    ctx.clip();
+    this.drawBackground(state.distance);
     // Draw obstacles (crowds)
-    for (const obs of this.obstacles) {
-      ctx.drawImage(
-        this.obstacleImg,
-        obs.x,
-        obs.y,
-        obs.width,
-        obs.height
-      );
+    for (const obs of state.obstacles) {
+      this.drawSprite(this.theme.sprites[obs.sprite] || this.theme.sprites.obstacle, colors.obstacle, obs);
     }
-    // Draw player (shopper)
-    ctx.drawImage(
-      this.shopperImg,
-      this.player.x,
-      this.player.y,
-      this.player.width,
-      this.player.height
-    );
-    // Draw score and lives
-    ctx.fillStyle = "#000";
-    ctx.font = `${Math.floor(w * 0.05)}px sans-serif`;
-    ctx.fillText(`Score: ${this.score}`, 10, 30);
-    ctx.fillText(`Lives: ${this.lives}`, 10, 30 + w * 0.06);
-  }
-
-  /** Spawn a new obstacle at a random vertical position. */
-  private spawnObstacle(): void {
-    const w = this.canvas.width;
-    const h = this.canvas.height;
-    const obsWidth = w * 0.12;
-    const obsHeight = w * 0.18;
-    const y = Math.random() * (h - obsHeight);
-    this.obstacles.push({
-      x: w,
-      y,
-      width: obsWidth,
-      height: obsHeight,
-      passed: false,
+    for (const item of state.collectibles) {
+      this.drawItem(item.sprite, item);
+    }
+    this.drawPlayer(state);
+    if (this.config.debugHitboxes) {
+      const { hitboxes } = this.simulation.config;
+      for (const obs of state.obstacles) {
+        this.drawHitbox(hitboxes[obs.sprite] || FULL_HITBOX, obs);
+      }
+      for (const item of state.collectibles) {
+        this.drawHitbox(hitboxes[item.sprite] || FULL_HITBOX, item);
+      }
+      this.drawHitbox(hitboxes.player || FULL_HITBOX, state.player);
+    }
+    if (this.flashTime < FLASH_MS) {
+      ctx.save();
+      ctx.globalAlpha = 0.6 * (1 - this.flashTime / FLASH_MS);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    }
+    // Draw score and lives, from the right edge in right‑to‑left locales
+    ctx.fillStyle = colors.hud;
+    ctx.font = `${Math.floor(unit * 0.05)}px ${this.theme.fonts.hud}`;
+    ctx.textAlign = this.rtl ? "right" : "left";
+    ctx.fillText(this.plain("hudScore", { score: state.score }), this.rtl ? width - 10 : 10, 30);
+    this.drawLives(state.lives, 30 + unit * 0.02);
+    this.drawPowerUpTimers(state.powerUps);
+    this.drawCountdown();
+    ctx.restore();
+  }
+
+  /** Whether the HUD is mirrored for a right‑to‑left locale. */
+  private get rtl(): boolean {
+    return this.locale.direction === "rtl";
+  }
+
+  /** The world's smaller side, which HUD elements are sized by. */
+  private get hudUnit(): number {
+    return Math.min(this.simulation.config.width, this.simulation.config.height);
+  }
+
+  /**
+   * Draw the player in world units: blinking while invulnerable, and hopping
+   * then tumbling out of the world while dying.
+   */
+  private drawPlayer(state: SimulationState): void {
+    const ctx = this.ctx;
+    const { player } = state;
+    const sprite = this.theme.sprites.player;
+    const color = this.theme.colors.player;
+    if (this.phase === "dying") {
+      const t = this.phaseTime / 1000;
+      const fall = this.simulation.config.height * (1.5 * t * t - 0.4 * t);
+      ctx.save();
+      ctx.translate(player.x + player.width / 2, player.y + player.height / 2 + fall);
+      ctx.rotate(t * Math.PI * 2);
+      this.drawSprite(sprite, color, {
+        x: -player.width / 2,
+        y: -player.height / 2,
+        width: player.width,
+        height: player.height,
+      });
+      ctx.restore();
+      return;
+    }
+    ctx.save();
+    if (state.invulnerable > 0 && Math.floor(state.invulnerable / BLINK_MS) % 2 === 0) {
+      ctx.globalAlpha = 0.3;
+    }
+    this.drawSprite(sprite, color, player);
+    ctx.restore();
+  }
+
+  /** Draw a heart per life under the score, with faded hearts for lives lost. */
+  private drawLives(lives: number, top: number): void {
+    const ctx = this.ctx;
+    const size = Math.floor(this.hudUnit * 0.06);
+    const slots = Math.max(lives, this.simulation.config.lives);
+    for (let i = 0; i < slots; i++) {
+      ctx.save();
+      if (i >= lives) ctx.globalAlpha = 0.25;
+      const offset = 10 + i * (size + 4);
+      const x = this.rtl ? this.simulation.config.width - offset - size : offset;
+      this.drawHeart({ x, y: top, width: size, height: size });
+      ctx.restore();
+    }
+  }
+
+  /** Draw the theme's heart sprite, or a heart shape in the HUD colour. */
+  private drawHeart(box: Rect): void {
+    const ctx = this.ctx;
+    const img = this.images[this.theme.sprites.heart];
+    if (img) {
+      ctx.drawImage(img, box.x, box.y, box.width, box.height);
+      return;
+    }
+    const { x, y, width: w, height: h } = box;
+    ctx.fillStyle = this.theme.colors.hud;
+    ctx.beginPath();
+    ctx.moveTo(x + w / 2, y + h * 0.9);
+    ctx.bezierCurveTo(x - w * 0.1, y + h * 0.45, x + w * 0.15, y - h * 0.05, x + w / 2, y + h * 0.3);
+    ctx.bezierCurveTo(x + w * 0.85, y - h * 0.05, x + w * 1.1, y + h * 0.45, x + w / 2, y + h * 0.9);
+    ctx.fill();
+  }
+
+  /** Draw the countdown's seconds, then "Go!", in the middle of the canvas. */
+  private drawCountdown(): void {
+    let label: string;
+    if (this.phase === "countdown") {
+      label = this.number(Math.ceil((this.countdownMs - this.phaseTime) / 1000));
+    } else if (this.goTime > 0) {
+      label = this.text.countdownGo;
+    } else {
+      return;
+    }
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.fillStyle = this.theme.colors.hud;
+    ctx.font = `bold ${Math.floor(this.hudUnit * 0.2)}px ${this.theme.fonts.hud}`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(label, this.simulation.config.width / 2, this.simulation.config.height / 2);
+    ctx.restore();
+  }
+
+  /**
+   * Draw a timer for each active power‑up in the top right (top left in
+   * right‑to‑left locales): its icon and a bar that shrinks as it runs out.
+   */
+  private drawPowerUpTimers(powerUps: ReadonlyArray<Readonly<PowerUp>>): void {
+    const ctx = this.ctx;
+    const size = Math.floor(this.hudUnit * 0.07);
+    const barWidth = size * 2;
+    const width = this.simulation.config.width;
+    const right = width - 10;
+    // Positions are worked out left to right, then mirrored if need be
+    const place = (x: number, w: number) => (this.rtl ? width - x - w : x);
+    powerUps.forEach((powerUp, i) => {
+      const top = 10 + i * (size + 6);
+      const type = this.simulation.config.collectibles[powerUp.type];
+      const sprite = (type && type.sprite) || powerUp.type;
+      this.drawItem(sprite, { x: place(right - barWidth - size - 6, size), y: top, width: size, height: size });
+      const barTop = top + size / 2 - 4;
+      const filled = barWidth * Math.max(powerUp.remaining / powerUp.duration, 0);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.3)";
+      ctx.fillRect(place(right - barWidth, barWidth), barTop, barWidth, 8);
+      ctx.fillStyle = this.theme.colors.collectible;
+      ctx.fillRect(place(right - barWidth, filled), barTop, filled, 8);
     });
   }
 
-  /** Check axis‑aligned bounding box collision between player and obstacle. */
-  private checkCollision(obs: { x: number; y: number; width: number; height: number }): boolean {
-    return (
-      this.player.x < obs.x + obs.width &&
-      this.player.x + this.player.width > obs.x &&
-      this.player.y < obs.y + obs.height &&
-      this.player.y + this.player.height > obs.y
-    );
+  /** Draw a collectible's sprite, or a plain disc if it has no artwork. */
+  private drawItem(sprite: string, box: Rect): void {
+    const key = this.theme.sprites[sprite];
+    if (key && this.images[key]) {
+      this.drawSprite(key, this.theme.colors.collectible, box);
+      return;
+    }
+    const ctx = this.ctx;
+    ctx.fillStyle = this.theme.colors.collectible;
+    ctx.beginPath();
+    ctx.arc(box.x + box.width / 2, box.y + box.height / 2, Math.min(box.width, box.height) / 2, 0, Math.PI * 2);
+    ctx.fill();
   }
 
-  /** End the game: update scoreboard, compute reward and display UI. */
-  private endGame(): void {
-    // Update scoreboard
-    this.scoreboard.push(this.score);
-    this.scoreboard.sort((a, b) => b - a);
-    if (this.scoreboard.length > 3) {
-      this.scoreboard = this.scoreboard.slice(0, 3);
+  /** Draw the theme's background bands in world units, scrolling image bands. */
+  private drawBackground(distance: number): void {
+    const ctx = this.ctx;
+    const { width, height } = this.simulation.config;
+    for (const layer of this.theme.background) {
+      const top = layer.top * height;
+      const bandHeight = layer.height * height;
+      if (layer.color) {
+        ctx.fillStyle = layer.color;
+        ctx.fillRect(0, top, width, bandHeight);
+      }
+      const img = layer.image ? this.images[layer.image] : null;
+      if (img && img.naturalHeight > 0) {
+        const tileWidth = (img.naturalWidth / img.naturalHeight) * bandHeight;
+        const offset = (distance * (layer.parallax || 0)) % tileWidth;
+        for (let x = -offset; x < width; x += tileWidth) {
+          ctx.drawImage(img, x, top, tileWidth, bandHeight);
+        }
+      }
     }
-    this.saveState();
-    // Compute reward
-    const reward = this.computeReward();
-    // Generate random code for discount
-    this.randomCode = Math.random().toString(36).substring(2, 8).toUpperCase();
-    // Display overlay
-    this.showGameOverUI(reward);
-    // Emit game over event
-    this.emitEvent("game_over", { score: this.score, reward: reward.discount });
-  }
-
-  /** Determine discount based on final score. */
-  private computeReward(): { discount: number; message: string } {
-    for (const r of REWARD_THRESHOLDS) {
-      if (this.score >= r.min && this.score <= r.max) {
-        return { discount: r.discount, message: `${r.discount}% off` };
+  }
+
+  /** Outline a sprite's rectangle and the collision parts placed on it. */
+  private drawHitbox(hitbox: Hitbox, rect: Rect): void {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(0, 0, 255, 0.6)";
+    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    ctx.strokeStyle = "#ff0000";
+    ctx.fillStyle = "rgba(255, 0, 0, 0.2)";
+    for (const part of hitboxParts(hitbox, rect)) {
+      ctx.beginPath();
+      if (part.kind === "circle") {
+        ctx.arc(part.x, part.y, part.radius, 0, Math.PI * 2);
+      } else {
+        part.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
       }
+      ctx.fill();
+      ctx.stroke();
     }
-    return { discount: 5, message: "5% off" };
+    ctx.restore();
   }
 
-  /** Show overlay at the start of the game. */
-  private showStartScreen(): void {
+  /** Draw an image asset, or a plain rectangle if it failed to load. */
+  private drawSprite(
+    key: string,
+    fallbackColor: string,
+    box: { x: number; y: number; width: number; height: number }
+  ): void {
+    const img = this.images[key];
+    if (img) {
+      this.ctx.drawImage(img, box.x, box.y, box.width, box.height);
+    } else {
+      this.ctx.fillStyle = fallbackColor;
+      this.ctx.fillRect(box.x, box.y, box.width, box.height);
+    }
+  }
+
+  /**
+   * End the game: submit the score to the leaderboard, compute reward, have
+   * the issuer produce a code and display UI once both arrive.
+   */
+  private endGame(): void {
+    // Compute reward
+    const bonus = this.streakBonus;
+    const multiplier = (bonus && bonus.rewardMultiplier) || 1;
+    const reward = computeReward(this.score, this.config.rewardTiers || REWARD_THRESHOLDS, multiplier);
+    const replay = createReplay(this.simulation);
+    this.announcer.announce(
+      `${this.plain("gameOverTitle")}. ${this.plain("yourScore", { score: this.score })}`,
+      true
+    );
+    // Emit game over event with the replay so the backend can verify the score
+    this.emitEvent("game_over", {
+      score: this.score,
+      reward: reward.discount,
+      rewardTier: reward.tier,
+      rewardType: reward.type,
+      rewardMultiplier: multiplier,
+      streak: this.streak,
+      replay,
+    });
+    this.creditReferral();
+    // Request the discount code, showing a holding screen meanwhile
+    this.issuedReward = null;
+    this.leaderboardPage = null;
+    this.showOverlay(
+      `
+      <h2 style="margin:0 0 8px 0; text-align:center;">${this.t("gameOverTitle")}</h2>
+      <p style="text-align:center; margin:4px 0;">${this.t("preparingReward")}</p>
+    `,
+      "gameOver"
+    );
+    const issued = this.issuer
+      .issue({
+        score: this.score,
+        reward,
+        campaignId: this.config.campaignId,
+        userId: this.config.userId,
+        replay,
+      })
+      .then(
+        (issued) => {
+          this.issuedReward = issued;
+        },
+        (error: Error) => {
+          this.issuedReward = null;
+          // Tell the host, which may have left out the secret or failed to answer
+          this.channel.post("we:game:error", { payload: { code: "reward_unavailable", message: error.message } });
+        }
+      );
+    Promise.all([issued, this.updateLeaderboard(replay)]).then(() => {
+      if (!this.destroyed) this.showGameOverUI(reward);
+    });
+    // The session is over, so config held back during play can now apply
+    if (this.pendingConfig) {
+      const pending = this.pendingConfig;
+      this.pendingConfig = null;
+      this.applyConfig(pending);
+    }
+  }
+
+  /**
+   * Submit the session's score, with its replay and grant for the host to
+   * verify, and fetch the board to show. Failures leave `leaderboardPage`
+   * null so the game over screen can say so.
+   */
+  private updateLeaderboard(replay: Replay): Promise<void> {
+    const leaderboard = this.leaderboard;
+    const scope = { userId: this.config.userId, campaignId: this.config.campaignId };
+    return leaderboard
+      .submit({
+        ...scope,
+        score: this.score,
+        displayName: this.leaderboardName(),
+        replay,
+        grantId: this.grantId,
+      })
+      .then(() =>
+        leaderboard.fetch({
+          ...scope,
+          window: this.config.leaderboardWindow || "all-time",
+          size: this.config.leaderboardSize !== undefined ? this.config.leaderboardSize : this.prizes.length,
+        })
+      )
+      .then(
+        (page) => {
+          this.leaderboardPage = page;
+        },
+        () => {
+          this.leaderboardPage = null;
+        }
+      );
+  }
+
+  /**
+   * Name the player appears under: their first name once captured, otherwise
+   * the default name. Names only leave the device if the parent opted in to
+   * personal data.
+   */
+  private leaderboardName(): string {
+    const name = this.getDetail("name");
+    const shareable = this.config.leaderboard !== "parent" || this.config.sharePersonalData;
+    return name && shareable ? name.split(/\s+/)[0] : this.text.defaultName;
+  }
+
+  /** Prizes for the top scores table, best first. */
+  private get prizes(): Array<string | Money> {
+    return this.config.prizes || DEFAULT_PRIZES;
+  }
+
+  /** Render a prize as HTML: a label as written, an amount in the player's currency format. */
+  private prizeHtml(prize: string | Money): string {
+    return typeof prize === "string" ? formatHtml(prize, {}, this.locale.tag) : this.t("prizeWorth", { amount: prize });
+  }
+
+  /**
+   * The reward as shown to the player: the tier's label, or its discount in
+   * the locale's words. Reward.message stays English for the backend.
+   */
+  private rewardLabel(reward: Reward): string {
+    const tier = (this.config.rewardTiers || REWARD_THRESHOLDS)[reward.tier];
+    if ((tier && tier.label) || reward.discount === null) return reward.message;
+    return this.plain("percentOff", { discount: reward.discount });
+  }
+
+  /** Render a configurable string as HTML; see formatHtml(). */
+  private t(key: keyof GameText, values?: TextValues): string {
+    return formatHtml(this.text[key], values, this.locale.tag);
+  }
+
+  /** Render a configurable string as plain text; see fillText(). */
+  private plain(key: keyof GameText, values?: TextValues): string {
+    return fillText(this.text[key], values, this.locale.tag);
+  }
+
+  /** Format a number in the player's locale. */
+  private number(value: number): string {
+    return formatNumber(value, this.locale.tag);
+  }
+
+  /** Describe the issued code for display, e.g. "ABC.123, valid until 1/2/2025". */
+  private describeCode(): string {
+    if (!this.issuedReward) {
+      return this.text.codeUnavailable;
+    }
+    return this.plain("codeWithExpiry", {
+      code: this.issuedReward.code,
+      expiry: formatDate(this.issuedReward.expiresAt, this.locale.tag),
+    });
+  }
+
+  /** Show asset loading progress. */
+  private showLoading(percent: number): void {
     const html = `
-      <h2 style="margin: 0 0 16px 0; text-align:center;">Flappy Shopper</h2>
-      <p style="text-align:center; margin-bottom:16px;">Navigate through the crowds and rack up points! You have <strong>${this.maxPlays - this.playCount}</strong> play(s) remaining.</p>
-      <button class="button" id="startBtn">Start Game</button>
+      <p style="text-align:center; margin-bottom:8px;">${this.t("loading", { percent })}</p>
+      <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+        <div class="progress-bar" style="width:${percent}%"></div>
+      </div>
     `;
-    this.showOverlay(html);
-    const startBtn = document.getElementById("startBtn");
-    if (startBtn) {
-      startBtn.addEventListener("click", () => {
-        this.startGame();
-      });
+    this.showOverlay(html, "loading");
+  }
+
+  /** Show overlay while a session is paused. */
+  private showPaused(): void {
+    const html = `
+      <h2 style="margin:0 0 16px 0; text-align:center;">${this.t("pausedTitle")}</h2>
+      <button class="button" id="resumeBtn">${this.t("resumeButton")}</button>
+    `;
+    this.showOverlay(html, "paused");
+    this.overlay.onClick("resumeBtn", () => {
+      this.resume();
+    });
+  }
+
+  /**
+   * Show the entry screen the campaign's state calls for: coming soon, ended,
+   * out of plays, or the start screen.
+   */
+  private showEntryScreen(): void {
+    const status = this.campaignStatus;
+    if (status === "upcoming") {
+      this.showComingSoon();
+    } else if (status === "ended") {
+      this.showEnded();
+    } else if (this.playsRemaining <= 0) {
+      this.showNoPlaysLeft();
+    } else {
+      this.showStartScreen();
     }
   }
 
-  /** Show overlay when no plays remain. */
-  private showNoPlaysLeft(): void {
+  /** Show overlay at the start of the game, with the player's streak once it spans days. */
+  private showStartScreen(): void {
+    const bonus = this.streakBonus;
+    const multiplier = (bonus && bonus.rewardMultiplier) || 1;
+    const notes: string[] = [];
+    if (this.streak > 1) notes.push(this.t("streakBody", { days: this.streak }));
+    if (multiplier > 1) notes.push(this.t("streakMultiplier", { multiplier }));
+    const streak = notes.map((note) => `<p style="text-align:center; margin:0 0 8px 0;">${note}</p>`).join("");
     const html = `
-      <h2 style="margin:0 0 16px 0; text-align:center;">No more plays</h2>
-      <p style="text-align:center;">You've reached the maximum number of plays for this promotion. Thank you for participating!</p>
+      <h2 style="margin: 0 0 16px 0; text-align:center;">${this.t("startTitle")}</h2>
+      <p style="text-align:center; margin-bottom:16px;">${this.t("startBody", { plays: this.playsRemaining })}</p>
+      ${streak}
+      <button class="button" id="startBtn">${this.t("startButton")}</button>
     `;
-    this.showOverlay(html);
-  }
-
-  /** Display the game over UI with scoreboard, rewards and actions. */
-  private showGameOverUI(reward: { discount: number; message: string }): void {
-    // Build scoreboard table rows
-    let tableRows = "";
-    const prizes = [
-      "Shopping worth $10K",
-      "Shopping worth $5K",
-      "Shopping worth $2K",
-    ];
-    for (let i = 0; i < 3; i++) {
-      const score = this.scoreboard[i] !== undefined ? this.scoreboard[i] : "-";
-      const prize = prizes[i];
-      tableRows += `<tr><td>${i + 1}</td><td>${score}</td><td>${prize}</td></tr>`;
+    this.showOverlay(html, "start");
+    this.overlay.onClick("startBtn", () => {
+      this.startGame();
+    });
+  }
+
+  /**
+   * Show overlay when no plays remain: with a countdown to the next free play
+   * if plays refill before the campaign ends.
+   */
+  private showNoPlaysLeft(): void {
+    const refill = this.config.refill ? nextPeriodStart(Date.now(), this.config.refill) : Infinity;
+    const end = this.config.campaignEnd !== undefined ? parseTime(this.config.campaignEnd) : Infinity;
+    if (refill < end) {
+      this.showCountdownScreen("noPlays", "noPlaysTitle", "nextPlayIn", refill);
+      return;
     }
     const html = `
-      <h2 style="margin:0 0 8px 0; text-align:center;">Game Over</h2>
-      <p style="text-align:center; margin:4px 0;">Your score: <strong>${this.score}</strong></p>
-      <p style="text-align:center; margin:4px 0;">Your reward: <strong>${reward.message}</strong> (Code: <strong>${this.randomCode}</strong>)</p>
+      <h2 style="margin:0 0 16px 0; text-align:center;">${this.t("noPlaysTitle")}</h2>
+      <p style="text-align:center;">${this.t("noPlaysBody")}</p>
+    `;
+    this.showOverlay(html, "noPlays");
+  }
+
+  /** Show overlay before the campaign opens, counting down to its start. */
+  private showComingSoon(): void {
+    this.showCountdownScreen("comingSoon", "comingSoonTitle", "comingSoonBody", parseTime(this.config.campaignStart!));
+  }
+
+  /** Show overlay once the campaign has closed. */
+  private showEnded(): void {
+    const html = `
+      <h2 style="margin:0 0 16px 0; text-align:center;">${this.t("endedTitle")}</h2>
+      <p style="text-align:center;">${this.t("endedBody")}</p>
+    `;
+    this.showOverlay(html, "ended");
+  }
+
+  /**
+   * Show a title and a `{countdown}` to `target` that ticks every second. At
+   * zero the play state is reloaded and whichever entry screen now applies
+   * replaces this one.
+   */
+  private showCountdownScreen(screen: Screen, title: keyof GameText, body: keyof GameText, target: number): void {
+    const countdown = () => this.t(body, { countdown: this.timeLeft(target - Date.now()) });
+    const html = `
+      <h2 style="margin:0 0 16px 0; text-align:center;">${this.t(title)}</h2>
+      <p style="text-align:center;" id="entryCountdown">${countdown()}</p>
+    `;
+    this.showOverlay(html, screen);
+    this.entryTimer = setInterval(() => {
+      if (Date.now() < target) {
+        const paragraph = this.overlay.find("#entryCountdown");
+        if (paragraph) paragraph.innerHTML = countdown();
+        return;
+      }
+      this.stopEntryTimer();
+      this.loadState().then(() => {
+        if (!this.destroyed && this.screen === screen) this.showEntryScreen();
+      });
+    }, 1000);
+  }
+
+  private stopEntryTimer(): void {
+    if (this.entryTimer !== undefined) clearInterval(this.entryTimer);
+    this.entryTimer = undefined;
+  }
+
+  /** A duration as days and a clock, e.g. "2 days 3:04:05". */
+  private timeLeft(ms: number): string {
+    const seconds = Math.max(Math.ceil(ms / 1000), 0);
+    const days = Math.floor((seconds * 1000) / DAY_MS);
+    const time = formatClock(seconds * 1000 - days * DAY_MS, this.locale.tag);
+    return this.plain("timeLeft", { days, time });
+  }
+
+  /** Build the leaderboard section of the game over screen. */
+  private leaderboardHtml(): string {
+    const page = this.leaderboardPage;
+    if (!page) {
+      return `<p style="text-align:center; margin:4px 0;">${this.t("leaderboardUnavailable")}</p>`;
+    }
+    const prizes = this.prizes;
+    const rows = page.entries.slice();
+    // Keep the player's own row visible even when they are outside the top entries
+    if (page.player && !rows.some((e) => e.isCurrentPlayer)) {
+      rows.push(page.player);
+    }
+    const tableRows = rows
+      .map((entry) => {
+        const prize = prizes[entry.rank - 1] !== undefined ? this.prizeHtml(prizes[entry.rank - 1]) : "";
+        const current = entry.isCurrentPlayer ? ` class="current" aria-current="true"` : "";
+        const name = escapeHtml(entry.displayName);
+        return `<tr${current}><td>${this.number(entry.rank)}</td><td>${name}</td><td>${this.number(
+          entry.score
+        )}</td><td>${prize}</td></tr>`;
+      })
+      .join("");
+    const rank = page.player
+      ? `<p style="margin:4px 0;">${this.t("playerRank", { rank: page.player.rank, total: page.total })}</p>`
+      : "";
+    return `
       <div class="scoreboard">
-        <h3 style="margin:8px 0;">Top Scores</h3>
+        <h3 style="margin:8px 0 0 0;">${this.t("topScores")}</h3>
+        <p style="margin:0 0 8px 0; opacity:0.8;">${this.t(WINDOW_TEXT[page.window])}</p>
         <table>
-          <thead><tr><th>#</th><th>Score</th><th>Prize</th></tr></thead>
+          <thead><tr><th>${this.t("rankHeader")}</th><th>${this.t("nameHeader")}</th><th>${this.t(
+            "scoreHeader"
+          )}</th><th>${this.t("prizeHeader")}</th></tr></thead>
           <tbody>${tableRows}</tbody>
         </table>
+        ${rank}
       </div>
+    `;
+  }
+
+  /** Display the game over UI with leaderboard, rewards and actions. */
+  private showGameOverUI(reward: Reward): void {
+    const rewardHtml = this.t("yourReward", { reward: this.rewardLabel(reward), code: this.describeCode() });
+    const html = `
+      <h2 style="margin:0 0 8px 0; text-align:center;">${this.t("gameOverTitle")}</h2>
+      <p style="text-align:center; margin:4px 0;">${this.t("yourScore", { score: this.score })}</p>
+      <p style="text-align:center; margin:4px 0;">${rewardHtml}</p>
+      ${this.leaderboardHtml()}
       <div style="margin-top:16px; display:flex; flex-direction:column; align-items:center;">
-        <button class="button" id="redeemBtn">Redeem Reward</button>
+        <button class="button" id="redeemBtn">${this.t("redeemButton")}</button>
+        <button class="button" id="shareBtn">${this.t("shareButton")}</button>
         <button class="button" id="playAgainBtn" ${
-          this.playCount >= this.maxPlays ? "disabled" : ""
-        }>Play Again</button>
+          this.playsRemaining <= 0 ? "disabled" : ""
+        }>${this.t("playAgainButton")}</button>
       </div>
     `;
-    this.showOverlay(html);
+    this.showOverlay(html, "gameOver");
     // attach actions
-    const redeemBtn = document.getElementById("redeemBtn");
-    if (redeemBtn) {
-      redeemBtn.addEventListener("click", () => {
-        this.handleAction("redeem");
+    this.overlay.onClick("redeemBtn", () => {
+      this.handleAction("redeem");
+    });
+    this.overlay.onClick("playAgainBtn", () => {
+      this.handleAction("playAgain");
+    });
+    this.overlay.onClick("shareBtn", () => {
+      this.shareResult(reward);
+    });
+  }
+
+  /**
+   * Share a card of the result, linking to the campaign's share URL with the
+   * player's referral token when one is configured.
+   */
+  private async shareResult(reward: Reward): Promise<void> {
+    if (this.sharing) return;
+    this.sharing = true;
+    try {
+      const token = await this.referralToken(this.storage);
+      const url = this.config.shareUrl ? referralUrl(this.config.shareUrl, token) : undefined;
+      const title = this.plain("startTitle");
+      const canvas = renderShareCard({
+        theme: this.theme,
+        images: this.images,
+        title,
+        score: this.number(this.score),
+        lines: [this.plain("shareCardReward", { reward: this.rewardLabel(reward) })],
+        footer: url ? new URL(url).host : undefined,
+        direction: this.locale.direction,
       });
+      const text = this.plain("shareText", { score: this.score });
+      const outcome = await shareCard(canvas, { title, text, url, filename: "flappy-shopper.png" });
+      if (outcome === "share" || outcome === "download") {
+        this.emitEvent("share", { method: outcome, token, score: this.score, rewardTier: reward.tier });
+      } else if (outcome === "unavailable") {
+        this.announcer.announce(this.text.shareUnavailable, true);
+      }
+    } catch (_) {
+      this.announcer.announce(this.text.shareUnavailable, true);
+    } finally {
+      this.sharing = false;
     }
-    const playAgainBtn = document.getElementById("playAgainBtn");
-    if (playAgainBtn) {
-      playAgainBtn.addEventListener("click", () => {
-        this.handleAction("playAgain");
-      });
+  }
+
+  /** The player's referral token, created and saved on first use. */
+  private async referralToken(storage: StorageAdapter): Promise<string> {
+    let token = await storage.get<string>("referralToken");
+    if (!token) {
+      token = createReferralToken();
+      await storage.set("referralToken", token);
     }
+    return token;
+  }
+
+  /**
+   * After a completed game, credit the player who referred this one, if any.
+   * A player is only ever credited for once, and never to themselves.
+   */
+  private creditReferral(): void {
+    const token = this.config.referredBy;
+    if (!token) return;
+    const storage = this.storage;
+    Promise.all([storage.get<string>("referralCredited"), storage.get<string>("referralToken")]).then(
+      ([credited, own]) => {
+        if (credited || own === token) return;
+        return storage.creditReferral(token).then((result) => {
+          if (!result.credited) return;
+          storage.set("referralCredited", token);
+          this.emitEvent("referral_credited", { token });
+        });
+      }
+    );
   }
 
   /** Handle user actions from the game over screen. */
@@ -487,17 +1700,23 @@ class FlappyShopperGame {
       if (action === "redeem") {
         // Show redeem confirmation
         const html = `
-          <h2 style="margin:0 0 16px 0; text-align:center;">Reward Redeemed!</h2>
-          <p style="text-align:center;">Thank you, <strong>${this.getDetail("name") || "shopper"}</strong>! Your discount code <strong>${this.randomCode}</strong> has been recorded. Enjoy your shopping!</p>
+          <h2 style="margin:0 0 16px 0; text-align:center;">${this.t("redeemedTitle")}</h2>
+          <p style="text-align:center;">${this.t("redeemedBody", {
+            name: this.getDetail("name") || this.text.defaultName,
+            code: this.describeCode(),
+          })}</p>
         `;
-        this.showOverlay(html);
-        this.emitEvent("redeem", { code: this.randomCode });
+        this.showOverlay(html, "redeemed");
+        this.emitEvent("redeem", {
+          code: this.issuedReward ? this.issuedReward.code : null,
+          expiresAt: this.issuedReward ? this.issuedReward.expiresAt : null,
+        });
       } else if (action === "playAgain") {
-        if (this.playCount < this.maxPlays) {
+        if (this.playsRemaining > 0) {
           this.emitEvent("play_again", {});
           this.startGame();
         } else {
-          this.showNoPlaysLeft();
+          this.showEntryScreen();
         }
       }
     } else {
@@ -506,119 +1725,151 @@ class FlappyShopperGame {
     }
   }
 
-  /** Render a details form to capture user information. */
+  /** Fields the lead form asks for. */
+  private get detailsFields(): DetailsField[] {
+    return this.config.detailsFields || DEFAULT_DETAILS_FIELDS;
+  }
+
+  /** Whether saved details cover every required field and came with consent. */
+  private hasRequiredDetails(): boolean {
+    const details = this.details;
+    if (!details || !this.consent || !this.consent.given) return false;
+    return this.detailsFields.every((field) => validateField(field, details[field.name] || "") === null);
+  }
+
+  /** Label of a form field: configured, else the built‑in `<name>Label` text. */
+  private fieldLabel(field: DetailsField): string {
+    if (field.label) return field.label;
+    const key = `${field.name}Label` as keyof GameText;
+    return key in this.text ? this.text[key] : field.name;
+  }
+
+  /** Message for a failed field check. */
+  private fieldMessage(field: DetailsField, error: FieldError): string {
+    const values = { field: this.fieldLabel(field) };
+    switch (error) {
+      case "required":
+        return this.plain("fieldRequired", values);
+      case "email":
+        return this.plain("invalidEmail", values);
+      case "phone":
+        return this.plain("invalidPhone", values);
+      default:
+        return this.plain("invalidField", values);
+    }
+  }
+
+  /**
+   * Render the lead form. Fields are validated inline on blur and on submit;
+   * the details are saved together with the player's consent.
+   */
   private showDetailsForm(actionToContinue: "redeem" | "playAgain"): void {
+    const fields = this.detailsFields;
+    const inputs = fields
+      .map((field) => fieldHtml(field, this.fieldLabel(field), this.getDetail(field.name)))
+      .join("");
     const html = `
-      <h2 style="margin:0 8px 8px 0; text-align:center;">Tell us about you</h2>
-      <p style="text-align:center; margin-bottom:8px;">We need your details to process the reward.</p>
-      <div class="input-group"><label for="nameInput">Name</label><input id="nameInput" type="text" required /></div>
-      <div class="input-group"><label for="emailInput">Email</label><input id="emailInput" type="email" required /></div>
-      <div class="input-group"><label for="phoneInput">Phone</label><input id="phoneInput" type="tel" required /></div>
-      <button class="button" id="submitDetailsBtn">Submit</button>
+      <h2 style="margin:0 8px 8px 0; text-align:center;">${this.t("detailsTitle")}</h2>
+      <p style="text-align:center; margin-bottom:8px;">${this.t("detailsBody")}</p>
+      <form id="detailsForm" novalidate style="display:flex; flex-direction:column; align-items:center; width:100%;">
+        ${inputs}
+        <div class="input-group consent">
+          <label><input id="consentInput" type="checkbox" required aria-required="true" aria-describedby="consentInput-error" />
+          ${this.t("consentLabel")}</label>
+          <span class="field-error" id="consentInput-error"></span>
+        </div>
+        <p class="field-error" id="formError" role="alert"></p>
+        <button class="button" type="submit" id="submitDetailsBtn">${this.t("submitButton")}</button>
+      </form>
     `;
-    this.showOverlay(html);
-    const submitBtn = document.getElementById("submitDetailsBtn");
-    if (submitBtn) {
-      submitBtn.addEventListener("click", () => {
-        const nameInput = (document.getElementById("nameInput") as HTMLInputElement).value.trim();
-        const emailInput = (document.getElementById("emailInput") as HTMLInputElement).value.trim();
-        const phoneInput = (document.getElementById("phoneInput") as HTMLInputElement).value.trim();
-        if (!nameInput || !emailInput || !phoneInput) {
-          alert("Please fill in all fields.");
-          return;
-        }
-        const details = { name: nameInput, email: emailInput, phone: phoneInput };
-        try {
-          localStorage.setItem(
-            "flappyShopperDetails",
-            JSON.stringify(details)
-          );
-        } catch (_) {
-          /* ignore */
-        }
-        this.detailsCaptured = true;
-        this.emitEvent("details_submitted", details);
-        // Continue the original action
-        this.handleAction(actionToContinue);
+    this.showOverlay(html, "details");
+    const form = this.overlay.find<HTMLFormElement>("#detailsForm");
+    const consentInput = this.overlay.find<HTMLInputElement>("#consentInput");
+    if (!form || !consentInput) return;
+    const inputFor = (field: DetailsField) => this.overlay.find<HTMLInputElement>(`#field-${field.name}`)!;
+    const check = (field: DetailsField): boolean => {
+      const input = inputFor(field);
+      const error = validateField(field, input.value.trim());
+      setFieldError(input, error && this.fieldMessage(field, error));
+      return !error;
+    };
+    const checkConsent = (): boolean => {
+      setFieldError(consentInput, consentInput.checked ? null : this.text.consentRequired);
+      return consentInput.checked;
+    };
+    fields.forEach((field) => inputFor(field).addEventListener("blur", () => check(field)));
+    consentInput.addEventListener("change", checkConsent);
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const invalid = fields.filter((field) => !check(field));
+      const consented = checkConsent();
+      const formError = this.overlay.find("#formError");
+      if (invalid.length || !consented) {
+        if (formError) formError.textContent = this.text.missingFields;
+        (invalid.length ? inputFor(invalid[0]) : consentInput).focus();
+        return;
+      }
+      const details: UserDetails = {};
+      fields.forEach((field) => {
+        const value = inputFor(field).value.trim();
+        if (value) details[field.name] = value;
       });
-    }
+      const consent: ConsentRecord = { given: true, text: this.text.consentLabel, at: Date.now() };
+      this.storage.set("details", details);
+      this.storage.set("consent", consent);
+      this.details = details;
+      this.consent = consent;
+      this.detailsCaptured = true;
+      // Personal data only reaches analytics if the parent opted in
+      this.emitEvent("details_submitted", {
+        fields: Object.keys(details),
+        consent,
+        details: this.config.sharePersonalData ? details : undefined,
+      });
+      // Continue the original action
+      this.handleAction(actionToContinue);
+    });
   }
 
   /** Retrieve a particular detail from saved user info. */
   private getDetail(key: string): string | undefined {
-    try {
-      const raw = localStorage.getItem("flappyShopperDetails");
-      if (raw) {
-        const obj = JSON.parse(raw);
-        return obj[key];
-      }
-    } catch (_) {
-      return undefined;
-    }
-    return undefined;
+    return this.details ? this.details[key] : undefined;
   }
 
-  /** Utility to display overlay content. */
-  private showOverlay(html: string): void {
-    this.overlay.innerHTML = html;
-    this.overlay.classList.add("visible");
+  /** Utility to display overlay content; see OverlayView for focus handling. */
+  private showOverlay(html: string, screen: Screen): void {
+    this.stopEntryTimer();
+    this.screen = screen;
+    this.overlay.show(html);
     this.sendHeight();
   }
 
   /** Hide the overlay. */
   private hideOverlay(): void {
-    this.overlay.innerHTML = "";
-    this.overlay.classList.remove("visible");
+    this.stopEntryTimer();
+    this.screen = "game";
+    this.overlay.hide();
     this.sendHeight();
   }
 
   /** Post a message to the parent with the game container height for iframe resizing. */
   private sendHeight(): void {
     const height = this.canvas.parentElement?.getBoundingClientRect().height || this.canvas.height;
-    try {
-      parent.postMessage({ type: "we:game:height", px: height }, this.parentOrigin);
-    } catch (_) {
-      // no-op
-    }
+    this.channel.post("we:game:height", { px: height });
   }
 
-  /** Emit an arbitrary event to the parent for analytics. */
-  private emitEvent(name: string, payload: any): void {
-    try {
-      parent.postMessage({ type: "we:game:event", payload: { name, ...payload } }, this.parentOrigin);
-    } catch (_) {
-      // no-op
-    }
+  /** Queue an analytics event for the parent; see GameEventMap for schemas. */
+  private emitEvent<K extends GameEventName>(name: K, payload: GameEventMap[K]): void {
+    this.analytics.track({ name, ...payload } as GameEvent);
   }
 }
 
-// Bootstrapping: wait for DOM to be ready and images to load before creating the game.
+// Bootstrapping: wait for DOM to be ready; the game preloads its theme's assets
+// and listens for `we:game:config` messages itself.
 window.addEventListener("DOMContentLoaded", () => {
   const canvas = document.getElementById("gameCanvas") as HTMLCanvasElement;
   const overlay = document.getElementById("overlay") as HTMLElement;
-  // Preload assets
-  const shopperImg = new Image();
-  shopperImg.src = "./assets/shopper.png";
-  const obstacleImg = new Image();
-  obstacleImg.src = "./assets/obstacle.png";
-  let loaded = 0;
-  const onAssetLoaded = () => {
-    loaded++;
-    if (loaded === 2) {
-      const game = new FlappyShopperGame(canvas, overlay, shopperImg, obstacleImg);
-      // Initialise immediately with default configuration
-      game.init();
-      // Listen for configuration messages from parent
-      window.addEventListener("message", (e) => {
-        const data = e.data;
-        if (data && data.type === "we:game:config") {
-          const config = data.payload || {};
-          // Reinitialise the game with new config. This call is idempotent.
-          game.init(config);
-        }
-      });
-    }
-  };
-  shopperImg.onload = onAssetLoaded;
-  obstacleImg.onload = onAssetLoaded;
+  const game = new FlappyShopperGame(canvas, overlay, resolveParentOrigins());
+  // Initialise immediately with default configuration
+  game.init();
 });
@@ -0,0 +1,169 @@
+/**
+ * Collision shapes.
+ *
+ * A Hitbox describes which part of a sprite is solid, in coordinates relative
+ * to the sprite's rectangle (0..1 across and down), so it scales with the
+ * sprite and suits any artwork. It is a list of shapes whose union is solid:
+ * inset boxes, circles, convex polygons and masks (a grid of solid cells,
+ * typically generated from an image's alpha channel). Concave outlines are
+ * written as several convex polygons.
+ *
+ * Like the simulation that uses it, this module has no DOM dependencies.
+ */
+
+/** A rectangle in world units. */
+export interface Rect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type HitShape =
+  /** The sprite rectangle shrunk by a fraction of its size on each side. */
+  | { type: "box"; top?: number; right?: number; bottom?: number; left?: number }
+  /** Centre as fractions of the sprite; radius as a fraction of its smaller side. */
+  | { type: "circle"; x?: number; y?: number; radius: number }
+  /** Convex polygon of [x, y] points. */
+  | { type: "polygon"; points: Array<[number, number]> }
+  /** Rows of "0" (empty) and "1" (solid) cells stretched over the sprite. */
+  | { type: "mask"; rows: string[] };
+
+export type Hitbox = HitShape[];
+
+/** The whole sprite rectangle. */
+export const FULL_HITBOX: Hitbox = [{ type: "box" }];
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+/** A convex piece of a hitbox in world units, as used by the collision test. */
+export type HitPart = { kind: "polygon"; points: Point[] } | { kind: "circle"; x: number; y: number; radius: number };
+
+/** Place a hitbox on a sprite rectangle, producing convex world‑space parts. */
+export function hitboxParts(hitbox: Hitbox, rect: Rect): HitPart[] {
+  const parts: HitPart[] = [];
+  const at = (fx: number, fy: number): Point => ({ x: rect.x + fx * rect.width, y: rect.y + fy * rect.height });
+  const box = (left: number, top: number, right: number, bottom: number): HitPart => ({
+    kind: "polygon",
+    points: [at(left, top), at(right, top), at(right, bottom), at(left, bottom)],
+  });
+  for (const shape of hitbox) {
+    switch (shape.type) {
+      case "box": {
+        const left = shape.left || 0;
+        const top = shape.top || 0;
+        const right = 1 - (shape.right || 0);
+        const bottom = 1 - (shape.bottom || 0);
+        if (right > left && bottom > top) parts.push(box(left, top, right, bottom));
+        break;
+      }
+      case "circle": {
+        const centre = at(shape.x !== undefined ? shape.x : 0.5, shape.y !== undefined ? shape.y : 0.5);
+        const radius = shape.radius * Math.min(rect.width, rect.height);
+        if (radius > 0) parts.push({ kind: "circle", x: centre.x, y: centre.y, radius });
+        break;
+      }
+      case "polygon":
+        if (shape.points.length >= 3) {
+          parts.push({ kind: "polygon", points: shape.points.map(([x, y]) => at(x, y)) });
+        }
+        break;
+      case "mask": {
+        // Each run of solid cells in a row becomes one box
+        const rows = shape.rows.length;
+        shape.rows.forEach((row, r) => {
+          let start = -1;
+          for (let c = 0; c <= row.length; c++) {
+            const solid = c < row.length && row[c] === "1";
+            if (solid && start < 0) start = c;
+            if (!solid && start >= 0) {
+              parts.push(box(start / row.length, r / rows, c / row.length, (r + 1) / rows));
+              start = -1;
+            }
+          }
+        });
+        break;
+      }
+    }
+  }
+  return parts;
+}
+
+/** Whether two sprites overlap, judged by their hitboxes. */
+export function hitboxesCollide(a: Hitbox, aRect: Rect, b: Hitbox, bRect: Rect): boolean {
+  const rectsOverlap =
+    aRect.x < bRect.x + bRect.width &&
+    aRect.x + aRect.width > bRect.x &&
+    aRect.y < bRect.y + bRect.height &&
+    aRect.y + aRect.height > bRect.y;
+  if (!rectsOverlap) return false;
+  const aParts = hitboxParts(a, aRect);
+  const bParts = hitboxParts(b, bRect);
+  return aParts.some((p) => bParts.some((q) => partsCollide(p, q)));
+}
+
+/** Separating axis test between two convex parts. Touching edges do not collide. */
+function partsCollide(a: HitPart, b: HitPart): boolean {
+  if (a.kind === "circle" && b.kind === "circle") {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const reach = a.radius + b.radius;
+    return dx * dx + dy * dy < reach * reach;
+  }
+  const axes: Point[] = [];
+  for (const part of [a, b]) {
+    if (part.kind === "polygon") axes.push(...edgeNormals(part.points));
+  }
+  // A circle against a polygon also needs the axis towards the nearest vertex
+  const circle = a.kind === "circle" ? a : b.kind === "circle" ? b : null;
+  const polygon = a.kind === "polygon" ? a : b.kind === "polygon" ? b : null;
+  if (circle && polygon) {
+    let nearest = polygon.points[0];
+    let best = Infinity;
+    for (const p of polygon.points) {
+      const dx = p.x - circle.x;
+      const dy = p.y - circle.y;
+      const d = dx * dx + dy * dy;
+      if (d < best) {
+        best = d;
+        nearest = p;
+      }
+    }
+    axes.push({ x: nearest.x - circle.x, y: nearest.y - circle.y });
+  }
+  for (const axis of axes) {
+    // Math.hypot is left to the engine; a square root is exact everywhere
+    const length = Math.sqrt(axis.x * axis.x + axis.y * axis.y);
+    if (length === 0) continue;
+    const unit = { x: axis.x / length, y: axis.y / length };
+    const [aMin, aMax] = project(a, unit);
+    const [bMin, bMax] = project(b, unit);
+    if (aMax <= bMin || bMax <= aMin) return false;
+  }
+  return true;
+}
+
+function edgeNormals(points: Point[]): Point[] {
+  return points.map((p, i) => {
+    const q = points[(i + 1) % points.length];
+    return { x: q.y - p.y, y: p.x - q.x };
+  });
+}
+
+function project(part: HitPart, axis: Point): [number, number] {
+  if (part.kind === "circle") {
+    const centre = part.x * axis.x + part.y * axis.y;
+    return [centre - part.radius, centre + part.radius];
+  }
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of part.points) {
+    const d = p.x * axis.x + p.y * axis.y;
+    if (d < min) min = d;
+    if (d > max) max = d;
+  }
+  return [min, max];
+}
@@ -0,0 +1,255 @@
+/**
+ * Locales.
+ *
+ * The game ships a catalog of its copy per language. The locale is the first
+ * of the config's `locale` and the browser's languages whose language has a
+ * catalog, else English. The full tag is kept for formatting, so "hi-IN"
+ * uses the Hindi catalog and Indian digit grouping, while the catalog only
+ * depends on the language. Right‑to‑left languages flip the overlay and HUD.
+ */
+
+import { DEFAULT_TEXT, GameText } from "./text.js";
+
+export type Language = "en" | "hi" | "ar" | "id";
+
+export const CATALOGS: Record<Language, GameText> = {
+  en: DEFAULT_TEXT,
+  hi: {
+    loading: "लोड हो रहा है… {percent, percent}",
+    startTitle: "फ़्लैपी शॉपर",
+    startBody:
+      "भीड़ के बीच से रास्ता बनाइए और अंक जुटाइए! आपके पास {plays, plural, one {# गेम बाकी है} other {# गेम बाकी हैं}}।",
+    startButton: "गेम शुरू करें",
+    noPlaysTitle: "कोई गेम बाकी नहीं",
+    pausedTitle: "रुका हुआ",
+    resumeButton: "फिर से शुरू करें",
+    noPlaysBody: "आप इस प्रमोशन के लिए अधिकतम गेम खेल चुके हैं। भाग लेने के लिए धन्यवाद!",
+    comingSoonTitle: "जल्द आ रहा है",
+    comingSoonBody: "गेम {countdown} में शुरू होगा।",
+    endedTitle: "यह प्रमोशन समाप्त हो गया है",
+    endedBody: "खेलने के लिए धन्यवाद! हमारे अगले गेम का इंतज़ार करें।",
+    nextPlayIn: "आपका अगला मुफ़्त गेम {countdown} में मिलेगा।",
+    timeLeft: "{days, plural, =0 {{time}} other {# दिन {time}}}",
+    streakBody: "आप लगातार {days} दिन से खेल रहे हैं। ऐसे ही जारी रखें!",
+    streakMultiplier: "स्ट्रीक बोनस: आज इनाम ×{multiplier}!",
+    gameOverTitle: "गेम ओवर",
+    preparingReward: "आपका इनाम तैयार हो रहा है…",
+    yourScore: "आपका स्कोर: {score}",
+    yourReward: "आपका इनाम: {reward} (कोड: {code})",
+    percentOff: "{discount, percent} की छूट",
+    codeWithExpiry: "{code}, {expiry} तक मान्य",
+    codeUnavailable: "उपलब्ध नहीं",
+    topScores: "शीर्ष स्कोर",
+    leaderboardDaily: "आज",
+    leaderboardWeekly: "इस सप्ताह",
+    leaderboardAllTime: "अब तक",
+    leaderboardUnavailable: "लीडरबोर्ड अभी उपलब्ध नहीं है।",
+    playerRank: "{total} में से आपका स्थान #{rank} है",
+    rankHeader: "#",
+    nameHeader: "नाम",
+    scoreHeader: "स्कोर",
+    prizeHeader: "इनाम",
+    prizeWorth: "{amount, currency} की शॉपिंग",
+    redeemButton: "इनाम पाएँ",
+    playAgainButton: "फिर से खेलें",
+    shareButton: "मेरा स्कोर शेयर करें",
+    shareText: "मैंने फ़्लैपी शॉपर में {score} अंक बनाए! क्या आप मुझे हरा सकते हैं?",
+    shareCardReward: "मैंने {reward} जीता!",
+    shareUnavailable: "इस डिवाइस पर शेयर करना उपलब्ध नहीं है।",
+    redeemedTitle: "इनाम मिल गया!",
+    redeemedBody: "धन्यवाद, {name}! आपका डिस्काउंट कोड {code} दर्ज कर लिया गया है। खरीदारी का आनंद लें!",
+    defaultName: "शॉपर",
+    detailsTitle: "अपने बारे में बताइए",
+    detailsBody: "इनाम देने के लिए हमें आपकी जानकारी चाहिए।",
+    nameLabel: "नाम",
+    emailLabel: "ईमेल",
+    phoneLabel: "फ़ोन",
+    submitButton: "जमा करें",
+    missingFields: "कृपया चिह्नित फ़ील्ड ठीक करें।",
+    fieldRequired: "{field} आवश्यक है।",
+    invalidEmail: "मान्य ईमेल पता दर्ज करें।",
+    invalidPhone: "मान्य फ़ोन नंबर दर्ज करें।",
+    invalidField: "{field} मान्य नहीं है।",
+    consentLabel:
+      "मैं सहमत हूँ कि मेरी जानकारी संग्रहीत की जाए और मेरे इनाम की प्रक्रिया तथा इस प्रमोशन के बारे में मुझसे संपर्क के लिए उपयोग की जाए।",
+    consentRequired: "जारी रखने के लिए कृपया सहमति दें।",
+    canvasLabel: "फ़्लैपी शॉपर। कूदने के लिए स्पेस दबाएँ या टैप करें, रोकने के लिए P, आवाज़ बंद करने के लिए M।",
+    muteButton: "आवाज़ बंद करें",
+    hudScore: "स्कोर: {score}",
+    hudLives: "जीवन: {lives}",
+    countdownReady: "तैयार हो जाइए",
+    countdownGo: "चलो!",
+  },
+  ar: {
+    loading: "جارٍ التحميل… {percent, percent}",
+    startTitle: "فلابي شوبر",
+    startBody:
+      "شُق طريقك بين الزحام واجمع النقاط! {plays, plural, zero {لم تتبقَّ لديك أي محاولة} one {تتبقى لديك محاولة واحدة} " +
+      "two {تتبقى لديك محاولتان} few {تتبقى لديك # محاولات} other {تتبقى لديك # محاولة}}.",
+    startButton: "ابدأ اللعب",
+    noPlaysTitle: "لا مزيد من المحاولات",
+    pausedTitle: "متوقفة مؤقتًا",
+    resumeButton: "استئناف",
+    noPlaysBody: "لقد استنفدت الحد الأقصى من المحاولات في هذا العرض. شكرًا لمشاركتك!",
+    comingSoonTitle: "قريبًا",
+    comingSoonBody: "تبدأ اللعبة بعد {countdown}.",
+    endedTitle: "انتهى هذا العرض",
+    endedBody: "شكرًا للعب! ترقّب لعبتنا القادمة.",
+    nextPlayIn: "محاولتك المجانية التالية بعد {countdown}.",
+    timeLeft:
+      "{days, plural, =0 {{time}} one {يوم و{time}} two {يومين و{time}} few {# أيام و{time}} other {# يومًا و{time}}}",
+    streakBody:
+      "{days, plural, two {لعبت يومين متتاليين} few {لعبت # أيام متتالية} other {لعبت # يومًا متتاليًا}}. واصل!",
+    streakMultiplier: "مكافأة الأيام المتتالية: المكافآت ×{multiplier} اليوم!",
+    gameOverTitle: "انتهت اللعبة",
+    preparingReward: "جارٍ تجهيز مكافأتك…",
+    yourScore: "نتيجتك: {score}",
+    yourReward: "مكافأتك: {reward} (الرمز: {code})",
+    percentOff: "خصم {discount, percent}",
+    codeWithExpiry: "{code}، صالح حتى {expiry}",
+    codeUnavailable: "غير متاح",
+    topScores: "أعلى النتائج",
+    leaderboardDaily: "اليوم",
+    leaderboardWeekly: "هذا الأسبوع",
+    leaderboardAllTime: "كل الأوقات",
+    leaderboardUnavailable: "لوحة الصدارة غير متاحة حاليًا.",
+    playerRank: "ترتيبك {rank} من {total}",
+    rankHeader: "#",
+    nameHeader: "الاسم",
+    scoreHeader: "النتيجة",
+    prizeHeader: "الجائزة",
+    prizeWorth: "تسوّق بقيمة {amount, currency}",
+    redeemButton: "استبدل المكافأة",
+    playAgainButton: "العب مرة أخرى",
+    shareButton: "شارك نتيجتي",
+    shareText: "حققت {score} نقطة في فلابي شوبر! هل تستطيع التغلب عليّ؟",
+    shareCardReward: "ربحت {reward}!",
+    shareUnavailable: "المشاركة غير متاحة على هذا الجهاز.",
+    redeemedTitle: "تم استبدال المكافأة!",
+    redeemedBody: "شكرًا يا {name}! تم تسجيل رمز الخصم {code}. تسوّقًا ممتعًا!",
+    defaultName: "متسوّق",
+    detailsTitle: "أخبرنا عنك",
+    detailsBody: "نحتاج إلى بياناتك لمعالجة المكافأة.",
+    nameLabel: "الاسم",
+    emailLabel: "البريد الإلكتروني",
+    phoneLabel: "الهاتف",
+    submitButton: "إرسال",
+    missingFields: "يُرجى تصحيح الحقول المميزة.",
+    fieldRequired: "{field} مطلوب.",
+    invalidEmail: "أدخل بريدًا إلكترونيًا صالحًا.",
+    invalidPhone: "أدخل رقم هاتف صالحًا.",
+    invalidField: "{field} غير صالح.",
+    consentLabel: "أوافق على تخزين بياناتي واستخدامها لمعالجة مكافأتي وللتواصل معي بشأن هذا العرض.",
+    consentRequired: "يُرجى الموافقة للمتابعة.",
+    canvasLabel: "فلابي شوبر. اضغط المسافة أو المس الشاشة للقفز، وP للإيقاف المؤقت، وM لكتم الصوت.",
+    muteButton: "كتم الصوت",
+    hudScore: "النتيجة: {score}",
+    hudLives: "الأرواح: {lives}",
+    countdownReady: "استعد",
+    countdownGo: "انطلق!",
+  },
+  id: {
+    loading: "Memuat… {percent, percent}",
+    startTitle: "Flappy Shopper",
+    startBody: "Terobos keramaian dan kumpulkan poin! Kamu masih punya {plays} kesempatan bermain.",
+    startButton: "Mulai Main",
+    noPlaysTitle: "Kesempatan habis",
+    pausedTitle: "Dijeda",
+    resumeButton: "Lanjutkan",
+    noPlaysBody: "Kamu sudah mencapai batas bermain untuk promo ini. Terima kasih sudah berpartisipasi!",
+    comingSoonTitle: "Segera hadir",
+    comingSoonBody: "Permainan dibuka dalam {countdown}.",
+    endedTitle: "Promo ini telah berakhir",
+    endedBody: "Terima kasih sudah bermain! Nantikan permainan kami berikutnya.",
+    nextPlayIn: "Kesempatan bermain gratis berikutnya dalam {countdown}.",
+    timeLeft: "{days, plural, =0 {{time}} other {# hari {time}}}",
+    streakBody: "{days} hari berturut-turut. Pertahankan!",
+    streakMultiplier: "Bonus beruntun: hadiah ×{multiplier} hari ini!",
+    gameOverTitle: "Permainan Selesai",
+    preparingReward: "Menyiapkan hadiahmu…",
+    yourScore: "Skor kamu: {score}",
+    yourReward: "Hadiahmu: {reward} (Kode: {code})",
+    percentOff: "Diskon {discount, percent}",
+    codeWithExpiry: "{code}, berlaku hingga {expiry}",
+    codeUnavailable: "tidak tersedia",
+    topScores: "Skor Tertinggi",
+    leaderboardDaily: "Hari ini",
+    leaderboardWeekly: "Minggu ini",
+    leaderboardAllTime: "Sepanjang masa",
+    leaderboardUnavailable: "Papan peringkat sedang tidak tersedia.",
+    playerRank: "Kamu peringkat #{rank} dari {total}",
+    rankHeader: "#",
+    nameHeader: "Nama",
+    scoreHeader: "Skor",
+    prizeHeader: "Hadiah",
+    prizeWorth: "Belanja senilai {amount, currency}",
+    redeemButton: "Tukarkan Hadiah",
+    playAgainButton: "Main Lagi",
+    shareButton: "Bagikan skorku",
+    shareText: "Aku dapat skor {score} di Flappy Shopper! Bisa kalahkan aku?",
+    shareCardReward: "Aku dapat {reward}!",
+    shareUnavailable: "Berbagi tidak tersedia di perangkat ini.",
+    redeemedTitle: "Hadiah Ditukarkan!",
+    redeemedBody: "Terima kasih, {name}! Kode diskonmu {code} sudah dicatat. Selamat berbelanja!",
+    defaultName: "pembeli",
+    detailsTitle: "Ceritakan tentang dirimu",
+    detailsBody: "Kami memerlukan datamu untuk memproses hadiah.",
+    nameLabel: "Nama",
+    emailLabel: "Email",
+    phoneLabel: "Telepon",
+    submitButton: "Kirim",
+    missingFields: "Perbaiki kolom yang ditandai.",
+    fieldRequired: "{field} wajib diisi.",
+    invalidEmail: "Masukkan alamat email yang valid.",
+    invalidPhone: "Masukkan nomor telepon yang valid.",
+    invalidField: "{field} tidak valid.",
+    consentLabel:
+      "Saya setuju data saya disimpan dan digunakan untuk memproses hadiah saya serta untuk menghubungi saya tentang promo ini.",
+    consentRequired: "Harap setujui untuk melanjutkan.",
+    canvasLabel: "Flappy Shopper. Tekan Spasi atau ketuk untuk melompat, P untuk jeda, M untuk membisukan suara.",
+    muteButton: "Bisukan suara",
+    hudScore: "Skor: {score}",
+    hudLives: "Nyawa: {lives}",
+    countdownReady: "Bersiap",
+    countdownGo: "Ayo!",
+  },
+};
+
+/** Languages written right to left. */
+const RTL_LANGUAGES = ["ar", "fa", "he", "ur"];
+
+/** A well‑formed BCP 47 tag, loosely: a language subtag and optional subtags. */
+export const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+
+export interface Locale {
+  /** Tag used for formatting, e.g. "hi-IN". */
+  tag: string;
+  /** Language whose catalog is used. */
+  language: Language;
+  direction: "ltr" | "rtl";
+}
+
+export const DEFAULT_LOCALE: Locale = { tag: "en", language: "en", direction: "ltr" };
+
+/** The first candidate tag whose language has a catalog, else English. */
+export function resolveLocale(candidates: ReadonlyArray<string | undefined>): Locale {
+  for (const tag of candidates) {
+    if (!tag || !LOCALE_PATTERN.test(tag)) continue;
+    const language = tag.split("-")[0].toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(CATALOGS, language)) {
+      return {
+        tag,
+        language: language as Language,
+        direction: RTL_LANGUAGES.indexOf(language) !== -1 ? "rtl" : "ltr",
+      };
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** The browser's preferred languages, most preferred first. */
+export function browserLocales(): string[] {
+  if (typeof navigator === "undefined") return [];
+  const languages = navigator.languages ? navigator.languages.slice() : [];
+  return navigator.language ? languages.concat(navigator.language) : languages;
+}
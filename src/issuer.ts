@@ -0,0 +1,238 @@
+/**
+ * Reward issuers.
+ *
+ * A RewardIssuer turns an earned reward into a discount code. The local issuer
+ * signs codes with HMAC‑SHA256 so they encode campaign, tier, discount and
+ * expiry and can be checked with validateRewardCode(). Any secret shipped to
+ * the browser can be extracted, so campaigns that need unforgeable codes should
+ * use the remote issuer, which asks the parent page (and through it a backend)
+ * for the code.
+ * There is no built‑in secret: without the campaign's own, no code is issued.
+ */
+
+import { ParentChannel } from "./protocol.js";
+import { Replay } from "./replay.js";
+import { Reward } from "./rewards.js";
+
+export interface RewardRequest {
+  score: number;
+  /**
+   * Reward as the game computed it, streak multiplier included. A backend
+   * should derive its own from the verified score and the streaks it records.
+   */
+  reward: Reward;
+  campaignId?: string;
+  userId?: string;
+  /** Replay of the session so a backend can verify the score first. */
+  replay?: Replay;
+}
+
+export interface IssuedReward {
+  code: string;
+  /** Expiry as milliseconds since the epoch. */
+  expiresAt: number;
+}
+
+export interface RewardIssuer {
+  issue(request: RewardRequest): Promise<IssuedReward>;
+}
+
+export interface RewardCodeValidation {
+  valid: boolean;
+  campaignId?: string;
+  tier?: number;
+  /**
+   * Percentage discount the code grants, streak multiplier included; null
+   * for non‑percentage rewards, undefined for codes signed before it was
+   * recorded.
+   */
+  discount?: number | null;
+  expiresAt?: number;
+  /** Why the code was rejected, when `valid` is false. */
+  reason?: string;
+}
+
+/** Default lifetime of an issued code: seven days. */
+export const DEFAULT_REWARD_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/** Bytes of the HMAC kept in the code; enough to make guessing impractical. */
+const SIGNATURE_BYTES = 12;
+
+/** Fields carried inside a signed code. */
+interface CodePayload {
+  /** Campaign identifier ("" when none). */
+  c: string;
+  /** Reward tier index. */
+  t: number;
+  /**
+   * Percentage discount granted, streak multiplier included; null for other
+   * rewards.
+   */
+  d: number | null;
+  /** Expiry in seconds since the epoch. */
+  e: number;
+  /** Random nonce so two codes for the same tier differ. */
+  n: string;
+}
+
+function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(text: string): Uint8Array {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/** Compare two strings without leaking the position of the first difference. */
+function constantTimeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+async function sign(secret: string, data: string): Promise<Uint8Array> {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(data));
+  return new Uint8Array(signature).slice(0, SIGNATURE_BYTES);
+}
+
+export interface LocalRewardIssuerOptions {
+  /** HMAC key shared with whoever validates the codes. */
+  secret: string;
+  /** Code lifetime in milliseconds. */
+  ttl?: number;
+  /** Clock, injectable for tests. */
+  now?: () => number;
+}
+
+/** Issues HMAC‑signed codes without any network round trip. */
+export class LocalRewardIssuer implements RewardIssuer {
+  private secret: string;
+  private ttl: number;
+  private now: () => number;
+
+  constructor(options: LocalRewardIssuerOptions) {
+    this.secret = options.secret;
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_REWARD_TTL;
+    this.now = options.now || Date.now;
+  }
+
+  async issue(request: RewardRequest): Promise<IssuedReward> {
+    const expiresAt = Math.floor((this.now() + this.ttl) / 1000) * 1000;
+    const payload: CodePayload = {
+      c: request.campaignId || "",
+      t: request.reward.tier,
+      d: request.reward.discount,
+      e: expiresAt / 1000,
+      n: base64UrlEncode(crypto.getRandomValues(new Uint8Array(4))),
+    };
+    const body = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payload)));
+    const signature = base64UrlEncode(await sign(this.secret, body));
+    return { code: `${body}.${signature}`, expiresAt };
+  }
+}
+
+/**
+ * Check a code produced by LocalRewardIssuer: signature, expiry and, when
+ * given, the campaign it was issued for. A valid result carries the discount
+ * to apply.
+ */
+export async function validateRewardCode(
+  code: string,
+  secret: string,
+  options: { campaignId?: string; now?: number } = {}
+): Promise<RewardCodeValidation> {
+  const parts = typeof code === "string" ? code.split(".") : [];
+  if (parts.length !== 2) {
+    return { valid: false, reason: "malformed code" };
+  }
+  const [body, signature] = parts;
+  const expected = base64UrlEncode(await sign(secret, body));
+  if (!constantTimeEqual(expected, signature)) {
+    return { valid: false, reason: "bad signature" };
+  }
+  let payload: CodePayload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+  } catch (_) {
+    return { valid: false, reason: "malformed code" };
+  }
+  const result = {
+    campaignId: payload.c || undefined,
+    tier: payload.t,
+    discount: payload.d,
+    expiresAt: payload.e * 1000,
+  };
+  if (options.campaignId !== undefined && payload.c !== options.campaignId) {
+    return { valid: false, ...result, reason: "wrong campaign" };
+  }
+  const now = options.now !== undefined ? options.now : Date.now();
+  if (result.expiresAt <= now) {
+    return { valid: false, ...result, reason: "expired" };
+  }
+  return { valid: true, ...result };
+}
+
+/**
+ * Stands in for the local issuer when the campaign configured no secret; it
+ * issues nothing.
+ */
+export class UnconfiguredRewardIssuer implements RewardIssuer {
+  issue(_request: RewardRequest): Promise<IssuedReward> {
+    return Promise.reject(new Error("No rewardSecret configured for local codes"));
+  }
+}
+
+export interface RemoteRewardIssuerOptions {
+  /** Channel to the parent page. */
+  channel: ParentChannel;
+  /** Milliseconds to wait for an answer before falling back. */
+  timeout?: number;
+  /** Issuer used when the parent does not answer in time. */
+  fallback: RewardIssuer;
+}
+
+/**
+ * Requests codes from the parent over postMessage. The parent receives
+ * `we:game:reward:request` and must reply with `we:game:reward:response`
+ * whose `replyTo` is the request's `id` and whose payload is
+ * `{ code, expiresAt }` (or `{ error }` to refuse). Only a parent that does
+ * not answer in time leaves the code to the fallback; a refusal, such as a
+ * failed replay check, means no code.
+ */
+export class RemoteRewardIssuer implements RewardIssuer {
+  private options: RemoteRewardIssuerOptions;
+
+  constructor(options: RemoteRewardIssuerOptions) {
+    this.options = options;
+  }
+
+  issue(request: RewardRequest): Promise<IssuedReward> {
+    const { channel, fallback } = this.options;
+    const timeout = this.options.timeout !== undefined ? this.options.timeout : 5000;
+    return channel.request("we:game:reward:request", { payload: request }, timeout).then(
+      (reply) => {
+        const payload = reply.payload || {};
+        if (typeof payload.code === "string" && typeof payload.expiresAt === "number") {
+          return { code: payload.code, expiresAt: payload.expiresAt };
+        }
+        const reason = typeof payload.error === "string" ? payload.error : "malformed reply";
+        throw new Error(`Parent refused the reward: ${reason}`);
+      },
+      () => fallback.issue(request)
+    );
+  }
+}
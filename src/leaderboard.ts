@@ -0,0 +1,195 @@
+/**
+ * Leaderboards.
+ *
+ * A LeaderboardProvider records scores and returns ranked entries for a time
+ * window. The parent provider asks the host page (and through it a backend)
+ * so all players of a campaign compete on one board; the local provider keeps
+ * entries in a StorageAdapter and serves as a mock for tests and previews.
+ */
+
+import { ParentChannel } from "./protocol.js";
+import { Replay } from "./replay.js";
+import { StorageAdapter } from "./storage.js";
+
+export type LeaderboardWindow = "daily" | "weekly" | "all-time";
+
+export const LEADERBOARD_WINDOWS: LeaderboardWindow[] = ["daily", "weekly", "all-time"];
+
+export interface LeaderboardEntry {
+  /** 1‑based position on the board. */
+  rank: number;
+  displayName: string;
+  score: number;
+  /** True for the entry belonging to the player viewing the board. */
+  isCurrentPlayer?: boolean;
+}
+
+export interface LeaderboardQuery {
+  window: LeaderboardWindow;
+  /** Number of top entries to return. */
+  size: number;
+  userId?: string;
+  campaignId?: string;
+}
+
+export interface LeaderboardSubmission {
+  score: number;
+  displayName: string;
+  userId?: string;
+  campaignId?: string;
+  /** Replay of the session so a backend can verify the score before ranking it. */
+  replay?: Replay;
+  /** Id of the play grant the session ran under, when the host granted it. */
+  grantId?: string;
+}
+
+export interface LeaderboardPage {
+  window: LeaderboardWindow;
+  /** The top entries, best first. */
+  entries: LeaderboardEntry[];
+  /** The current player's entry, even when outside the top entries. */
+  player?: LeaderboardEntry;
+  /** Number of ranked entries in the window. */
+  total: number;
+}
+
+export interface LeaderboardProvider {
+  submit(submission: LeaderboardSubmission): Promise<void>;
+  fetch(query: LeaderboardQuery): Promise<LeaderboardPage>;
+}
+
+/** Start of the window containing `now` (local time; weeks start on Monday). */
+export function windowStart(window: LeaderboardWindow, now: number): number {
+  if (window === "all-time") return 0;
+  const date = new Date(now);
+  date.setHours(0, 0, 0, 0);
+  if (window === "weekly") {
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  }
+  return date.getTime();
+}
+
+interface StoredEntry {
+  displayName: string;
+  score: number;
+  userId?: string;
+  /** Submission time in milliseconds since the epoch. */
+  at: number;
+}
+
+/** Most entries the local provider keeps before dropping the lowest scores. */
+const LOCAL_ENTRY_LIMIT = 200;
+
+/**
+ * Keeps every submitted score in a storage adapter (one entry per game). The
+ * most recent submission counts as the current player's entry.
+ */
+export class LocalLeaderboard implements LeaderboardProvider {
+  private storage: StorageAdapter;
+  private now: () => number;
+  private lastSubmitted: StoredEntry | null = null;
+
+  constructor(storage: StorageAdapter, now: () => number = Date.now) {
+    this.storage = storage;
+    this.now = now;
+  }
+
+  async submit(submission: LeaderboardSubmission): Promise<void> {
+    const entry: StoredEntry = {
+      displayName: submission.displayName,
+      score: submission.score,
+      userId: submission.userId,
+      at: this.now(),
+    };
+    const entries = (await this.storage.get<StoredEntry[]>("leaderboard")) || [];
+    entries.push(entry);
+    entries.sort((a, b) => b.score - a.score || a.at - b.at);
+    await this.storage.set("leaderboard", entries.slice(0, LOCAL_ENTRY_LIMIT));
+    this.lastSubmitted = entry;
+  }
+
+  async fetch(query: LeaderboardQuery): Promise<LeaderboardPage> {
+    const since = windowStart(query.window, this.now());
+    const stored = (await this.storage.get<StoredEntry[]>("leaderboard")) || [];
+    const ranked = stored
+      .filter((e) => e.at >= since)
+      .sort((a, b) => b.score - a.score || a.at - b.at)
+      .map((e, i) => ({
+        rank: i + 1,
+        displayName: e.displayName,
+        score: e.score,
+        isCurrentPlayer:
+          !!this.lastSubmitted && e.at === this.lastSubmitted.at && e.score === this.lastSubmitted.score,
+      }));
+    return {
+      window: query.window,
+      entries: ranked.slice(0, query.size),
+      player: ranked.find((e) => e.isCurrentPlayer),
+      total: ranked.length,
+    };
+  }
+}
+
+/**
+ * Delegates to the host page. The host answers `we:game:leaderboard:submit`
+ * and `we:game:leaderboard:fetch` with `we:game:leaderboard:result`; for a
+ * fetch its payload is a LeaderboardPage, and `{ error }` reports a failure.
+ * Entries without a string name and a finite score are dropped.
+ */
+export class ParentLeaderboard implements LeaderboardProvider {
+  private channel: ParentChannel;
+  private timeout: number;
+
+  constructor(channel: ParentChannel, timeout: number = 5000) {
+    this.channel = channel;
+    this.timeout = timeout;
+  }
+
+  submit(submission: LeaderboardSubmission): Promise<void> {
+    return this.channel
+      .request("we:game:leaderboard:submit", { payload: submission }, this.timeout)
+      .then((reply) => {
+        checkReply(reply.payload);
+      });
+  }
+
+  fetch(query: LeaderboardQuery): Promise<LeaderboardPage> {
+    return this.channel.request("we:game:leaderboard:fetch", { payload: query }, this.timeout).then((reply) => {
+      const page = reply.payload;
+      checkReply(page);
+      if (!page || !Array.isArray(page.entries)) {
+        throw new Error("Malformed leaderboard page");
+      }
+      const entries: LeaderboardEntry[] = [];
+      for (const raw of page.entries) {
+        const entry = toEntry(raw, entries.length + 1);
+        if (entry) entries.push(entry);
+      }
+      return {
+        window: query.window,
+        entries: entries.slice(0, query.size),
+        player: toEntry(page.player, entries.length + 1) || undefined,
+        total: typeof page.total === "number" ? page.total : entries.length,
+      };
+    });
+  }
+}
+
+/** A host's entry if it has a name and score to show; `rank` stands in for a missing rank. */
+function toEntry(raw: any, rank: number): LeaderboardEntry | null {
+  if (!raw || typeof raw.displayName !== "string" || typeof raw.score !== "number" || !isFinite(raw.score)) {
+    return null;
+  }
+  return {
+    rank: typeof raw.rank === "number" && isFinite(raw.rank) ? raw.rank : rank,
+    displayName: raw.displayName,
+    score: raw.score,
+    isCurrentPlayer: raw.isCurrentPlayer === true,
+  };
+}
+
+function checkReply(payload: any): void {
+  if (payload && typeof payload.error === "string") {
+    throw new Error(payload.error);
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * Obstacle types, wave patterns and the difficulty curve.
+ *
+ * Obstacles arrive in waves: authored patterns of spawns. Spawns sharing a
+ * time form a column, and every column leaves an opening at least as tall as
+ * the difficulty curve's `opening`, placed within climbing reach of the
+ * previous column's opening, so any layout can be passed. The curve, keyed by
+ * score, sets the crowd speed, the pause between waves, the opening size and
+ * which waves may be picked. All of it is plain data carried in the
+ * simulation config, so campaigns can author their own levels and replays
+ * still verify.
+ *
+ * Like the simulation, this module has no DOM dependencies.
+ */
+
+import { Rng } from "./random.js";
+
+export type ObstacleKind = "crowd" | "mover" | "cart" | "gap";
+
+export interface ObstacleType {
+  /**
+   * "crowd" stands in the column, "mover" bobs up and down, "cart" rushes in
+   * faster than the crowd and "gap" is a top and bottom pair framing the
+   * opening.
+   */
+  kind: ObstacleKind;
+  /** Theme sprite drawn for it; "obstacle" when omitted. */
+  sprite?: string;
+  /** Width as a fraction of the world's smaller side. */
+  width: number;
+  /** Height as a fraction of the world's smaller side; ignored for gaps, which fill to the opening. */
+  height: number;
+  /** Movers: vertical travel as a fraction of the world height. */
+  amplitude?: number;
+  /** Movers: milliseconds per full up‑and‑down cycle. */
+  period?: number;
+  /** Carts: speed as a multiple of the crowd speed. */
+  speed?: number;
+}
+
+export interface WaveSpawn {
+  /** Name of an obstacle type. */
+  type: string;
+  /** Milliseconds after the wave starts. Spawns with the same time form one column. */
+  at: number;
+  /** Which side of the column's opening to place it; random when omitted. */
+  side?: "above" | "below";
+}
+
+export interface Wave {
+  spawns: WaveSpawn[];
+  /** Milliseconds from the wave's start until the pause before the next wave begins. */
+  duration: number;
+  /** Relative chance of this wave being picked; 1 when omitted. */
+  weight?: number;
+}
+
+export interface DifficultyStep {
+  /** Score from which this step applies. */
+  score: number;
+  /** Crowd speed as a fraction of the world's smaller side per second. */
+  speed: number;
+  /** Milliseconds between one wave ending and the next starting. */
+  waveGap: number;
+  /** Minimum opening in each column as a fraction of the world height. */
+  opening: number;
+  /** Waves that may be picked from this score on. */
+  waves: string[];
+}
+
+/** Difficulty at a particular score; see difficultyAt(). */
+export interface Difficulty {
+  speed: number;
+  waveGap: number;
+  opening: number;
+  waves: string[];
+}
+
+export const DEFAULT_OBSTACLE_TYPES: Record<string, ObstacleType> = {
+  crowd: { kind: "crowd", sprite: "obstacle", width: 0.12, height: 0.18 },
+  bigCrowd: { kind: "crowd", sprite: "obstacle", width: 0.16, height: 0.3 },
+  shopper: { kind: "mover", sprite: "mover", width: 0.1, height: 0.15, amplitude: 0.25, period: 2400 },
+  cart: { kind: "cart", sprite: "cart", width: 0.1, height: 0.08, speed: 1.8 },
+  aisle: { kind: "gap", sprite: "obstacle", width: 0.14, height: 0 },
+};
+
+export const DEFAULT_WAVES: Record<string, Wave> = {
+  single: { spawns: [{ type: "crowd", at: 0 }], duration: 0 },
+  pair: {
+    spawns: [
+      { type: "crowd", at: 0 },
+      { type: "crowd", at: 600 },
+    ],
+    duration: 600,
+  },
+  squeeze: {
+    spawns: [
+      { type: "crowd", at: 0, side: "above" },
+      { type: "bigCrowd", at: 0, side: "below" },
+    ],
+    duration: 0,
+  },
+  bobbers: {
+    spawns: [
+      { type: "shopper", at: 0 },
+      { type: "shopper", at: 700 },
+    ],
+    duration: 700,
+  },
+  aisles: {
+    spawns: [
+      { type: "aisle", at: 0 },
+      { type: "aisle", at: 900 },
+    ],
+    duration: 900,
+  },
+  cartRush: {
+    spawns: [
+      { type: "cart", at: 0 },
+      { type: "cart", at: 450 },
+      { type: "cart", at: 900 },
+    ],
+    duration: 900,
+    weight: 0.5,
+  },
+};
+
+export const DEFAULT_DIFFICULTY: DifficultyStep[] = [
+  { score: 0, speed: 0.3, waveGap: 1800, opening: 0.4, waves: ["single"] },
+  { score: 5, speed: 0.35, waveGap: 1500, opening: 0.36, waves: ["single", "pair", "squeeze"] },
+  { score: 10, speed: 0.4, waveGap: 1300, opening: 0.33, waves: ["single", "pair", "squeeze", "bobbers", "aisles"] },
+  {
+    score: 20,
+    speed: 0.5,
+    waveGap: 1100,
+    opening: 0.3,
+    waves: ["pair", "squeeze", "bobbers", "aisles", "cartRush"],
+  },
+  {
+    score: 40,
+    speed: 0.6,
+    waveGap: 900,
+    opening: 0.27,
+    waves: ["pair", "squeeze", "bobbers", "aisles", "cartRush"],
+  },
+];
+
+/**
+ * Difficulty at a score: speed, wave gap and opening are interpolated
+ * between the surrounding steps (and held past the last); the wave list is
+ * the latest step's.
+ */
+export function difficultyAt(curve: DifficultyStep[], score: number): Difficulty {
+  let i = 0;
+  while (i + 1 < curve.length && curve[i + 1].score <= score) i++;
+  const step = curve[i];
+  const next = curve[i + 1];
+  if (!next || score <= step.score) {
+    return { speed: step.speed, waveGap: step.waveGap, opening: step.opening, waves: step.waves };
+  }
+  const t = (score - step.score) / (next.score - step.score);
+  const lerp = (a: number, b: number) => a + (b - a) * t;
+  return {
+    speed: lerp(step.speed, next.speed),
+    waveGap: lerp(step.waveGap, next.waveGap),
+    opening: lerp(step.opening, next.opening),
+    waves: step.waves,
+  };
+}
+
+export interface Obstacle {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  passed: boolean;
+  /** Name of its obstacle type. */
+  type: string;
+  /** Theme sprite to draw. */
+  sprite: string;
+  /** Whether passing it scores; one obstacle per column does. */
+  scoring: boolean;
+  /** Multiple of the crowd speed it moves at. */
+  speed: number;
+  /** Movers: centre of travel, half the travel in world units, cycle length and time alive. */
+  baseY?: number;
+  swing?: number;
+  period?: number;
+  age?: number;
+}
+
+/** Layout settings the director needs from the simulation config. */
+export interface WaveDirectorOptions {
+  width: number;
+  height: number;
+  /** Height of the player, so openings always fit it. */
+  playerHeight: number;
+  /** How far the player can reliably climb, in world units per second. */
+  climbRate: number;
+  obstacleTypes: Record<string, ObstacleType>;
+  waves: Record<string, Wave>;
+  difficulty: DifficultyStep[];
+}
+
+/** A column laid out by the director. */
+export interface Column {
+  obstacles: Obstacle[];
+  /** Centre of the column's opening. */
+  centre: number;
+  /** Width of the widest obstacle in it. */
+  width: number;
+}
+
+interface ActiveWave {
+  spawns: WaveSpawn[];
+  duration: number;
+  elapsed: number;
+  /** Index of the next spawn to place. */
+  next: number;
+}
+
+/** Picks waves as the score rises and lays their columns out. */
+export class WaveDirector {
+  private options: WaveDirectorOptions;
+  private rng: Rng;
+  private wave: ActiveWave | null = null;
+  /** Milliseconds until the next wave starts. */
+  private wait: number = 0;
+  /** Centre of the previous column's opening, and how long ago it spawned. */
+  private lastOpening: number;
+  private sinceLastColumn: number = 0;
+
+  constructor(options: WaveDirectorOptions, rng: Rng) {
+    this.options = options;
+    this.rng = rng;
+    this.lastOpening = options.height / 2;
+  }
+
+  /** Switch to another difficulty curve from the next update on; see Simulation.tune(). */
+  setDifficulty(difficulty: DifficultyStep[]): void {
+    this.options = { ...this.options, difficulty };
+  }
+
+  /** Advance by `ms` and return any columns that spawn. */
+  update(ms: number, score: number): Column[] {
+    const spawned: Column[] = [];
+    const difficulty = difficultyAt(this.options.difficulty, score);
+    this.sinceLastColumn += ms;
+    if (!this.wave) {
+      this.wait -= ms;
+      if (this.wait > 0) return spawned;
+      this.wave = this.pickWave(difficulty);
+      if (!this.wave) {
+        this.wait = difficulty.waveGap;
+        return spawned;
+      }
+    } else {
+      this.wave.elapsed += ms;
+    }
+    const wave = this.wave;
+    while (wave.next < wave.spawns.length && wave.spawns[wave.next].at <= wave.elapsed) {
+      const at = wave.spawns[wave.next].at;
+      const column: WaveSpawn[] = [];
+      while (wave.next < wave.spawns.length && wave.spawns[wave.next].at === at) {
+        column.push(wave.spawns[wave.next++]);
+      }
+      spawned.push(this.layOut(column, difficulty));
+    }
+    if (wave.next >= wave.spawns.length && wave.elapsed >= wave.duration) {
+      this.wave = null;
+      this.wait = difficulty.waveGap;
+    }
+    return spawned;
+  }
+
+  /** Weighted random choice among the waves allowed at this difficulty. */
+  private pickWave(difficulty: Difficulty): ActiveWave | null {
+    const candidates = difficulty.waves.filter((name) => this.options.waves[name]);
+    const total = candidates.reduce((sum, name) => sum + waveWeight(this.options.waves[name]), 0);
+    if (total <= 0) return null;
+    let roll = this.rng() * total;
+    let chosen = candidates[candidates.length - 1];
+    for (const name of candidates) {
+      roll -= waveWeight(this.options.waves[name]);
+      if (roll < 0) {
+        chosen = name;
+        break;
+      }
+    }
+    const wave = this.options.waves[chosen];
+    return {
+      spawns: wave.spawns.slice().sort((a, b) => a.at - b.at),
+      duration: wave.duration,
+      elapsed: 0,
+      next: 0,
+    };
+  }
+
+  /**
+   * Place one column: choose its opening within reach of the last one, then
+   * put each obstacle above or below it. Anything that cannot fit without
+   * narrowing the opening is left out.
+   */
+  private layOut(column: WaveSpawn[], difficulty: Difficulty): Column {
+    const { width, height, playerHeight, climbRate } = this.options;
+    // Sizes scale with the smaller side, so a landscape world shows more of the aisle, not bigger crowds
+    const unit = Math.min(width, height);
+    const opening = Math.min(Math.max(difficulty.opening * height, playerHeight * 1.5), height);
+    const reach = Math.max(climbRate * (this.sinceLastColumn / 1000), playerHeight);
+    const low = Math.max(opening / 2, this.lastOpening - reach);
+    const high = Math.min(height - opening / 2, this.lastOpening + reach);
+    const centre =
+      low <= high ? low + this.rng() * (high - low) : clamp(this.lastOpening, opening / 2, height - opening / 2);
+    this.lastOpening = centre;
+    this.sinceLastColumn = 0;
+    const top = centre - opening / 2;
+    const bottom = centre + opening / 2;
+    const obstacles: Obstacle[] = [];
+    for (const spawn of column) {
+      const type = this.options.obstacleTypes[spawn.type];
+      if (!type) continue;
+      const base = {
+        x: width,
+        width: type.width * unit,
+        passed: false,
+        type: spawn.type,
+        sprite: type.sprite || "obstacle",
+        scoring: false,
+        speed: type.kind === "cart" ? type.speed || 1 : 1,
+      };
+      if (type.kind === "gap") {
+        if (top > 0) obstacles.push({ ...base, y: 0, height: top });
+        if (bottom < height) obstacles.push({ ...base, y: bottom, height: height - bottom });
+        continue;
+      }
+      const h = type.height * unit;
+      const swing = type.kind === "mover" ? ((type.amplitude || 0) * height) / 2 : 0;
+      // Vertical room needed, including a mover's travel
+      const span = h + swing * 2;
+      const above = top - span;
+      const below = height - bottom - span;
+      let side = spawn.side || (this.rng() < 0.5 ? "above" : "below");
+      if ((side === "above" ? above : below) < 0) side = side === "above" ? "below" : "above";
+      const room = side === "above" ? above : below;
+      if (room < 0) continue;
+      const spanTop = (side === "above" ? 0 : bottom) + this.rng() * room;
+      const y = spanTop + swing;
+      obstacles.push(
+        type.kind === "mover"
+          ? { ...base, y, height: h, baseY: y, swing, period: type.period || 2000, age: 0 }
+          : { ...base, y, height: h }
+      );
+    }
+    if (obstacles.length) obstacles[0].scoring = true;
+    const columnWidth = obstacles.reduce((max, obs) => Math.max(max, obs.width), 0);
+    return { obstacles, centre, width: columnWidth };
+  }
+}
+
+function waveWeight(wave: Wave): number {
+  return wave.weight !== undefined ? wave.weight : 1;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,367 @@
+/**
+ * postMessage protocol between the game iframe and its host page.
+ *
+ * Every message is an envelope `{ type, version, id, replyTo?, ... }`:
+ * `version` is PROTOCOL_VERSION, `id` is unique per message and `replyTo`
+ * correlates a response with the request it answers. The session starts with
+ * a handshake:
+ *
+ *   game → parent   we:game:ready   { payload: { version, page } }
+ *   parent → game   we:game:config  { id, payload: GameConfig }
+ *   game → parent   we:game:ack     { replyTo, payload: { ok, errors? } }
+ *
+ * The game repeats `ready` until the first config arrives, so a host that
+ * starts listening late still completes the handshake; `page` is the same in
+ * each repeat and changes when the game reloads.
+ *
+ * Analytics events then flow in acknowledged batches (see analytics.ts):
+ *
+ *   game → parent   we:game:events      { id, payload: { events: AnalyticsRecord[] } }
+ *   parent → game   we:game:events:ack  { replyTo, payload: { ok: true } }
+ *
+ * Incoming messages are only accepted from the parent window and from an
+ * allow‑listed origin, and outgoing messages are addressed to allowed origins,
+ * never "*". With no allowed origin the game neither sends nor accepts
+ * anything. The host side of this protocol is wrapped by sdk.ts.
+ */
+
+import { AnalyticsRecord } from "./analytics.js";
+import { LeaderboardQuery, LeaderboardSubmission } from "./leaderboard.js";
+import { Replay } from "./replay.js";
+import { ShareMethod } from "./share.js";
+
+/** Bumped on breaking changes to message shapes. */
+export const PROTOCOL_VERSION = 2;
+
+/** Personal details captured by the lead form, keyed by field name (see DetailsField). */
+export type UserDetails = Record<string, string>;
+
+/** The player's opt‑in to having their details processed, stored with them. */
+export interface ConsentRecord {
+  given: boolean;
+  /** The consent statement as shown to the player. */
+  text: string;
+  /** When consent was given, in milliseconds since the epoch. */
+  at: number;
+}
+
+/**
+ * Payload of each analytics event, keyed by event name. Events marked as
+ * funnel steps make up FUNNEL_EVENTS.
+ */
+export interface GameEventMap {
+  /** Funnel step 1: the game was shown, once per page load. */
+  impression: { playsRemaining: number };
+  /** Funnel step 2: a play began. `play` counts plays used, including this one. */
+  started: {
+    userId?: string;
+    play: number;
+    seed: number;
+    grantId?: string;
+    /** Plays left after this one, in the current period if plays refill. */
+    remaining: number;
+    /** Refill period the play counted towards, when plays refill. */
+    period?: string;
+    /** Consecutive days played, including today. */
+    streak: number;
+  };
+  /** Funnel step 3: the player first jumped in a play, `afterMs` into it. */
+  first_jump: { play: number; afterMs: number };
+  /** Coalesced to at most one per second; see EVENT_RULES. */
+  score: { score: number };
+  collision: { remainingLives: number };
+  /** An item was picked up; `effect` is points, shield, slow or life. */
+  collect: { item: string; effect: string; score: number; lives: number };
+  /** A shield absorbed a collision instead of a life. */
+  shield_used: { item: string };
+  /** A timed power‑up ran out. */
+  power_up_ended: { item: string };
+  /** Funnel step 4: a play ended. */
+  game_over: {
+    score: number;
+    /** Percentage discount, or null for non‑percentage rewards. */
+    reward: number | null;
+    rewardTier: number;
+    rewardType: string;
+    /** Streak multiplier already applied to `reward`; 1 without one. */
+    rewardMultiplier: number;
+    streak: number;
+    replay: Replay;
+  };
+  play_again: {};
+  /** The result card went out, shared or downloaded, carrying the player's referral `token`. */
+  share: { method: ShareMethod; token: string; score: number; rewardTier: number };
+  /** The host credited the referrer named by `token` for this player's completed game. */
+  referral_credited: { token: string };
+  /**
+   * Funnel step 5: the lead form was completed. `details` is only present
+   * when the parent opted in to personal data.
+   */
+  details_submitted: { fields: string[]; consent: ConsentRecord; details?: UserDetails };
+  /** Funnel step 6: the reward was redeemed. */
+  redeem: { code: string | null; expiresAt: number | null };
+  paused: { reason: string };
+  resumed: {};
+  asset_error: { key: string; url: string };
+}
+
+export type GameEventName = keyof GameEventMap;
+
+/** The conversion funnel, in order; a session may stop at any step. */
+export const FUNNEL_EVENTS: GameEventName[] = [
+  "impression",
+  "started",
+  "first_jump",
+  "game_over",
+  "details_submitted",
+  "redeem",
+];
+
+/** An analytics event as carried in an AnalyticsRecord. */
+export type GameEvent = { [K in GameEventName]: { name: K } & GameEventMap[K] }[GameEventName];
+
+export interface Envelope {
+  type: string;
+  version: number;
+  id: string;
+  replyTo?: string;
+}
+
+/** Messages the game sends, keyed by type, excluding envelope fields. */
+export interface GameMessageMap {
+  "we:game:ready": { payload: { version: number; page: string } };
+  "we:game:ack": { payload: { ok: boolean; errors?: string[] } };
+  "we:game:error": { payload: { code: string; message: string; errors?: string[] } };
+  "we:game:height": { px: number };
+  "we:game:events": { payload: { events: AnalyticsRecord[] } };
+  "we:game:reward:request": { payload: unknown };
+  "we:game:play:status": { payload: PlayRequest };
+  "we:game:play:request": { payload: PlayRequest };
+  "we:game:leaderboard:submit": { payload: LeaderboardSubmission };
+  "we:game:leaderboard:fetch": { payload: LeaderboardQuery };
+  "we:game:referral:credit": { payload: ReferralRequest };
+}
+
+/** Payload of play‑limit messages answered by a parent‑authoritative host. */
+export interface PlayRequest {
+  userId?: string;
+  campaignId?: string;
+  /**
+   * The game's own view of the plays allowed, in each period when `period`
+   * is set, without streak bonus plays: those are the host's to grant from
+   * the plays it has recorded. Advisory only: the player can change it, so
+   * hosts apply their own limit (FlappyShopperHost replaces it with
+   * `playLimits.maxPlays`).
+   */
+  maxPlays: number;
+  /** Refill period the play counts towards, e.g. "2026-10-18"; absent for lifetime limits. */
+  period?: string;
+}
+
+/**
+ * Payload of `we:game:referral:credit`: the player referred by `token`
+ * completed a game. The host answers `we:game:referral:result` with
+ * `{ credited, reason? }`, and gives the referrer an extra play if it credits.
+ */
+export interface ReferralRequest {
+  userId?: string;
+  campaignId?: string;
+  token: string;
+}
+
+export type GameMessageType = keyof GameMessageMap;
+
+/** Messages the parent sends. `version` and `id` are optional for older hosts. */
+export interface ParentMessage {
+  type: string;
+  version?: number;
+  id?: string;
+  replyTo?: string;
+  payload?: any;
+}
+
+/** Messages the game accepts from the parent. */
+export const PARENT_MESSAGE_TYPES = [
+  "we:game:config",
+  "we:game:reward:response",
+  "we:game:play:state",
+  "we:game:leaderboard:result",
+  "we:game:events:ack",
+  "we:game:referral:result",
+];
+
+let messageCounter = 0;
+const messagePrefix = Math.floor(Math.random() * 0x100000000).toString(36);
+
+/** A message id unique within this page. */
+export function createMessageId(): string {
+  return `${messagePrefix}-${++messageCounter}`;
+}
+
+/**
+ * Work out which origins may talk to the game: an explicit comma‑separated
+ * `parentOrigin` query parameter on the iframe URL wins, otherwise the
+ * embedding page's origin as reported by the browser. Empty when neither is
+ * known, which shuts the channel; FlappyShopperHost.gameUrl() adds the
+ * parameter.
+ */
+export function resolveParentOrigins(): string[] {
+  const param = new URLSearchParams(location.search).get("parentOrigin");
+  if (param) {
+    return param
+      .split(",")
+      .map((o) => o.trim())
+      .filter(Boolean);
+  }
+  const ancestors = location.ancestorOrigins;
+  if (ancestors && ancestors.length > 0) {
+    return [ancestors[0]];
+  }
+  try {
+    if (document.referrer) return [new URL(document.referrer).origin];
+  } catch (_) {
+    // fall through
+  }
+  return [];
+}
+
+export interface ParentChannelOptions {
+  /** Window to talk to, normally `parent`. */
+  target: Window;
+  /**
+   * Origins allowed to talk to the game. When empty the channel fails closed:
+   * it sends nothing and accepts nothing.
+   */
+  origins: string[];
+  /** Receives every accepted message that is not a response to request(). */
+  onMessage: (message: ParentMessage, origin: string) => void;
+}
+
+/** A message crossing the channel, as reported to its monitor. */
+export interface ChannelTraffic {
+  direction: "in" | "out";
+  message: unknown;
+  /** Origin it came from, or the origins it was addressed to. */
+  origin: string;
+  /**
+   * Whether the message went through: an incoming one passed the type and
+   * origin checks, an outgoing one had an allowed origin to go to.
+   */
+  accepted: boolean;
+  /** When it crossed, as from Date.now(). */
+  at: number;
+}
+
+interface PendingRequest {
+  resolve: (message: ParentMessage) => void;
+  reject: (error: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+/** The game's end of the protocol: origin checks, envelopes and correlation. */
+export class ParentChannel {
+  private target: Window;
+  private origins: string[];
+  /** Origin of the parent once known: the only allowed one, or the first allowed one to write. */
+  private activeOrigin: string | null;
+  private onMessage: ParentChannelOptions["onMessage"];
+  private pending: Map<string, PendingRequest> = new Map();
+  private open: boolean = false;
+  /** Sees every message posted and every message from the target window, for the debug log. */
+  monitor: ((traffic: ChannelTraffic) => void) | null = null;
+
+  constructor(options: ParentChannelOptions) {
+    this.target = options.target;
+    this.origins = options.origins.slice();
+    this.activeOrigin = this.origins.length === 1 ? this.origins[0] : null;
+    this.onMessage = options.onMessage;
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  /**
+   * Origins outgoing messages are addressed to: the parent's once known,
+   * until then each allowed one (the browser delivers to the one that matches).
+   */
+  private get targetOrigins(): string[] {
+    return this.activeOrigin ? [this.activeOrigin] : this.origins;
+  }
+
+  /** Start listening for parent messages. */
+  connect(): void {
+    if (this.open) return;
+    this.open = true;
+    window.addEventListener("message", this.handleMessage);
+  }
+
+  /** Stop listening and fail any request still awaiting a response. */
+  close(): void {
+    if (!this.open) return;
+    this.open = false;
+    window.removeEventListener("message", this.handleMessage);
+    this.pending.forEach((request) => {
+      clearTimeout(request.timer);
+      request.reject(new Error("Channel closed"));
+    });
+    this.pending.clear();
+  }
+
+  /** Post a message to the parent; returns its id. */
+  post<T extends GameMessageType>(type: T, body: GameMessageMap[T], replyTo?: string): string {
+    const id = createMessageId();
+    const envelope: Envelope = { type, version: PROTOCOL_VERSION, id };
+    if (replyTo !== undefined) envelope.replyTo = replyTo;
+    const message = { ...envelope, ...body };
+    const origins = this.targetOrigins;
+    this.report("out", message, origins.join(", "), origins.length > 0);
+    for (const origin of origins) {
+      try {
+        this.target.postMessage(message, origin);
+      } catch (_) {
+        // no-op
+      }
+    }
+    return id;
+  }
+
+  /**
+   * Post a message and wait for the parent's reply (a message whose `replyTo`
+   * is this message's id). Rejects after `timeout` milliseconds.
+   */
+  request<T extends GameMessageType>(type: T, body: GameMessageMap[T], timeout: number): Promise<ParentMessage> {
+    return new Promise((resolve, reject) => {
+      const id = this.post(type, body);
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`No reply to ${type} within ${timeout}ms`));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+    });
+  }
+
+  private handleMessage(e: MessageEvent): void {
+    if (e.source !== this.target) return;
+    const data = e.data as ParentMessage;
+    if (!data || typeof data.type !== "string" || PARENT_MESSAGE_TYPES.indexOf(data.type) === -1) {
+      this.report("in", data, e.origin, false);
+      return;
+    }
+    if (this.origins.indexOf(e.origin) === -1) {
+      this.report("in", data, e.origin, false);
+      return;
+    }
+    this.report("in", data, e.origin, true);
+    this.activeOrigin = e.origin;
+    if (data.replyTo !== undefined && this.pending.has(data.replyTo)) {
+      const request = this.pending.get(data.replyTo)!;
+      this.pending.delete(data.replyTo);
+      clearTimeout(request.timer);
+      request.resolve(data);
+      return;
+    }
+    this.onMessage(data, e.origin);
+  }
+
+  private report(direction: ChannelTraffic["direction"], message: unknown, origin: string, accepted: boolean): void {
+    if (this.monitor) this.monitor({ direction, message, origin, accepted, at: Date.now() });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Replay recording and verification.
+ *
+ * A replay is everything needed to re‑run a session: the seed, the simulation
+ * config and the ticks at which the player jumped. Because the Simulation is
+ * deterministic, a backend can import this module under Node (it has no DOM
+ * dependencies), re‑simulate the replay and confirm the claimed score and
+ * reward tier before honouring a discount code. It verifies against the
+ * config simulationConfigFor() builds from the campaign's, the same builder
+ * the game starts every session with.
+ */
+
+import { resolveHitbox } from "./assets.js";
+import { CollectibleType, DEFAULT_COLLECTIBLES } from "./collectibles.js";
+import { GameConfig } from "./config.js";
+import { Hitbox } from "./hitbox.js";
+import { DEFAULT_DIFFICULTY, DEFAULT_OBSTACLE_TYPES, DEFAULT_WAVES } from "./obstacles.js";
+import { computeReward, Reward, RewardThreshold, REWARD_THRESHOLDS } from "./rewards.js";
+import { DEFAULT_SIMULATION_CONFIG, Simulation, SimulationConfig, WORLD_LAYOUTS } from "./simulation.js";
+import { resolveTheme, Theme } from "./theme.js";
+
+/** Format version; bump whenever simulation rules change in a way that alters outcomes. */
+export const REPLAY_VERSION = 4;
+
+export interface Replay {
+  version: number;
+  seed: number;
+  config: SimulationConfig;
+  /**
+   * Jump inputs, delta‑encoded: each entry is the number of ticks since the
+   * previous jump (the first is relative to tick 0). Multiply a tick by
+   * `config.timestep` for its timestamp in milliseconds.
+   */
+  inputs: number[];
+  /** Number of ticks the session lasted. */
+  ticks: number;
+  /** Score reported by the client. */
+  score: number;
+}
+
+export interface VerifyOptions {
+  /** Seed the backend issued for this session; the replay must use it. */
+  seed?: number;
+  /**
+   * The campaign's simulation config, over DEFAULT_SIMULATION_CONFIG; build
+   * it with simulationConfigFor() from the config sent to the game. The
+   * replay's must match it in every key, and it is what the replay is
+   * re‑simulated with, so a replay can't ease the game for itself.
+   */
+  config?: Partial<SimulationConfig>;
+  /** Reward tiers to evaluate the verified score against. */
+  thresholds?: RewardThreshold[];
+  /**
+   * Streak multiplier the backend accepts for this player (see the
+   * `game_over` event); defaults to 1.
+   */
+  rewardMultiplier?: number;
+  /** Upper bound on ticks to simulate, guarding against oversized replays. */
+  maxTicks?: number;
+}
+
+export interface ReplayVerification {
+  valid: boolean;
+  /** Score produced by re‑simulation (0 if the replay could not be run). */
+  score: number;
+  /** Reward earned by the re‑simulated score. */
+  reward: Reward;
+  /** Why the replay was rejected, when `valid` is false. */
+  reason?: string;
+}
+
+/** Default cap of one hour of play at 60 ticks per second. */
+const DEFAULT_MAX_TICKS = 60 * 60 * 60;
+
+/**
+ * The simulation config a session of a campaign runs under: its layout,
+ * obstacle types, waves, difficulty, collectibles and invulnerability over
+ * the defaults, and its theme's hitboxes.
+ * @param theme Defaults to the one `config.theme` names.
+ * @param hitboxes Resolved hitboxes; defaults to the theme's, with "alpha"
+ *   entries as the full sprite (see HitShapeSpec).
+ */
+export function simulationConfigFor(
+  config: Partial<GameConfig>,
+  theme: Theme = resolveTheme(config.theme),
+  hitboxes: Record<string, Hitbox> = themeHitboxes(theme)
+): SimulationConfig {
+  const collectibles: Record<string, CollectibleType> = { ...DEFAULT_COLLECTIBLES };
+  const overrides = config.collectibles || {};
+  for (const name of Object.keys(overrides)) {
+    collectibles[name] = { ...collectibles[name], ...overrides[name] } as CollectibleType;
+  }
+  return {
+    ...DEFAULT_SIMULATION_CONFIG,
+    ...WORLD_LAYOUTS[config.layout || "portrait"],
+    obstacleTypes: { ...DEFAULT_OBSTACLE_TYPES, ...config.obstacleTypes },
+    waves: { ...DEFAULT_WAVES, ...config.waves },
+    difficulty: config.difficulty || DEFAULT_DIFFICULTY,
+    collectibles,
+    hitboxes,
+    invulnerability:
+      config.invulnerability !== undefined ? config.invulnerability : DEFAULT_SIMULATION_CONFIG.invulnerability,
+  };
+}
+
+/** A theme's hitboxes by sprite, resolved without images. */
+function themeHitboxes(theme: Theme): Record<string, Hitbox> {
+  const hitboxes: Record<string, Hitbox> = {};
+  for (const sprite of Object.keys(theme.hitboxes)) {
+    hitboxes[sprite] = resolveHitbox(theme.hitboxes[sprite], null);
+  }
+  return hitboxes;
+}
+
+/** Whether two values are alike once serialised, whatever the order of their objects' keys. */
+function sameValue(a: unknown, b: unknown): boolean {
+  return equalPlain(toPlain(a), toPlain(b));
+}
+
+/** A value as it comes back from JSON, like the replay's config: Infinity turns to null, say. */
+function toPlain(value: unknown): unknown {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function equalPlain(a: any, b: any): boolean {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && equalPlain(a[key], b[key]));
+}
+
+/** Capture a replay of a finished (or in‑progress) simulation. */
+export function createReplay(simulation: Simulation): Replay {
+  return {
+    version: REPLAY_VERSION,
+    seed: simulation.seed,
+    config: { ...simulation.config },
+    inputs: encodeTicks(simulation.jumpTicks),
+    ticks: simulation.state.tick,
+    score: simulation.state.score,
+  };
+}
+
+/** Delta‑encode ascending ticks. */
+export function encodeTicks(ticks: ReadonlyArray<number>): number[] {
+  let previous = 0;
+  return ticks.map((tick) => {
+    const delta = tick - previous;
+    previous = tick;
+    return delta;
+  });
+}
+
+/** Reverse encodeTicks(). */
+export function decodeTicks(deltas: ReadonlyArray<number>): number[] {
+  let tick = 0;
+  return deltas.map((delta) => (tick += delta));
+}
+
+/**
+ * Re‑simulate a replay under the expected config and check that it ends
+ * exactly where it claims to, with the claimed score.
+ */
+export function verifyReplay(replay: Replay, options: VerifyOptions = {}): ReplayVerification {
+  const thresholds = options.thresholds || REWARD_THRESHOLDS;
+  const multiplier = options.rewardMultiplier !== undefined ? options.rewardMultiplier : 1;
+  const reject = (reason: string, score: number = 0): ReplayVerification => ({
+    valid: false,
+    score,
+    reward: computeReward(score, thresholds, multiplier),
+    reason,
+  });
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    return reject("unsupported replay version");
+  }
+  if (options.seed !== undefined && replay.seed !== options.seed) {
+    return reject("seed mismatch");
+  }
+  const config: SimulationConfig = { ...DEFAULT_SIMULATION_CONFIG, ...options.config };
+  for (const key of Object.keys(config) as Array<keyof SimulationConfig>) {
+    if (!replay.config || !sameValue(replay.config[key], config[key])) {
+      return reject(`config mismatch: ${key}`);
+    }
+  }
+  const maxTicks = options.maxTicks !== undefined ? options.maxTicks : DEFAULT_MAX_TICKS;
+  if (!Number.isInteger(replay.ticks) || replay.ticks < 0 || replay.ticks > maxTicks) {
+    return reject("invalid tick count");
+  }
+  if (!Array.isArray(replay.inputs) || !replay.inputs.every((d) => Number.isInteger(d) && d >= 0)) {
+    return reject("malformed inputs");
+  }
+  const jumpTicks = decodeTicks(replay.inputs);
+  if (jumpTicks.length > 0 && jumpTicks[jumpTicks.length - 1] >= replay.ticks) {
+    return reject("input after end of session");
+  }
+  const simulation = new Simulation(replay.seed, config);
+  simulation.run(jumpTicks, replay.ticks);
+  const state = simulation.state;
+  if (!state.over || state.tick !== replay.ticks) {
+    return reject("session did not end where claimed", state.score);
+  }
+  if (state.score !== replay.score) {
+    return reject("score mismatch", state.score);
+  }
+  return { valid: true, score: state.score, reward: computeReward(state.score, thresholds, multiplier) };
+}
@@ -0,0 +1,66 @@
+/**
+ * Reward tiers.
+ *
+ * Shared by the game and the replay verifier so both derive the same reward
+ * from a score. Campaigns may replace the default table through
+ * `GameConfig.rewardTiers`, including with non‑percentage rewards such as free
+ * shipping.
+ */
+
+export interface RewardThreshold {
+  min: number;
+  max: number;
+  /** Percentage discount; omitted for non‑percentage rewards. */
+  discount?: number;
+  /** Display text, e.g. "Free shipping". Defaults to "<discount>% off". */
+  label?: string;
+  /** Machine‑readable reward kind for the backend. Defaults to "percent". */
+  type?: string;
+}
+
+export interface Reward {
+  /** Index of the matching tier in the threshold table. */
+  tier: number;
+  type: string;
+  /** Percentage discount, or null for non‑percentage rewards. */
+  discount: number | null;
+  message: string;
+}
+
+/** Mapping from score ranges to reward discounts (percent). */
+export const REWARD_THRESHOLDS: RewardThreshold[] = [
+  { min: 0, max: 9, discount: 5 },
+  { min: 10, max: 19, discount: 10 },
+  { min: 20, max: 29, discount: 15 },
+  { min: 30, max: Infinity, discount: 20 },
+];
+
+function toReward(threshold: RewardThreshold, tier: number, multiplier: number): Reward {
+  const discount =
+    threshold.discount !== undefined ? Math.min(Math.round(threshold.discount * multiplier), 100) : null;
+  return {
+    tier,
+    type: threshold.type || "percent",
+    discount,
+    message: threshold.label || `${discount}% off`,
+  };
+}
+
+/**
+ * Determine the reward for a final score. Scores outside every range earn the
+ * first tier. A `multiplier` (a streak bonus, say) scales percentage
+ * discounts, up to 100% off.
+ */
+export function computeReward(
+  score: number,
+  thresholds: RewardThreshold[] = REWARD_THRESHOLDS,
+  multiplier: number = 1
+): Reward {
+  for (let tier = 0; tier < thresholds.length; tier++) {
+    const r = thresholds[tier];
+    if (score >= r.min && score <= r.max) {
+      return toReward(r, tier, multiplier);
+    }
+  }
+  return toReward(thresholds[0], 0, multiplier);
+}
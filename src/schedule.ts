@@ -0,0 +1,91 @@
+/**
+ * Play rules over time.
+ *
+ * A campaign may open and close at set times, refill its plays every day or
+ * hour instead of granting them once, and reward players who come back on
+ * consecutive days. Periods follow the player's local clock: a day starts at
+ * local midnight. The functions take the current time rather than reading the
+ * clock, so the game can re‑evaluate them whenever a countdown runs out.
+ */
+
+export type RefillPeriod = "day" | "hour";
+
+export const REFILL_PERIODS: RefillPeriod[] = ["day", "hour"];
+
+export type CampaignStatus = "upcoming" | "open" | "ended";
+
+export interface StreakReward {
+  /** Consecutive days of play that earn the reward, counting today. */
+  days: number;
+  /** Plays added to each day's allowance while the streak holds. */
+  bonusPlays?: number;
+  /** Factor applied to percentage discounts, e.g. 1.5; capped at 100% off. */
+  rewardMultiplier?: number;
+}
+
+/** A player's streak, as stored. */
+export interface StreakState {
+  /** Local day of the last play, e.g. "2026-10-18". */
+  lastDay: string;
+  /** Consecutive days played, up to and including `lastDay`. */
+  days: number;
+}
+
+/** A campaign time in milliseconds: a timestamp as given, or an ISO 8601 string parsed. NaN if invalid. */
+export function parseTime(value: number | string): number {
+  return typeof value === "number" ? value : Date.parse(value);
+}
+
+export function campaignStatus(now: number, start?: number | string, end?: number | string): CampaignStatus {
+  if (start !== undefined && now < parseTime(start)) return "upcoming";
+  if (end !== undefined && now >= parseTime(end)) return "ended";
+  return "open";
+}
+
+function pad(n: number): string {
+  return n < 10 ? `0${n}` : String(n);
+}
+
+/** Identifier of the period containing `now`, e.g. "2026-10-18" or "2026-10-18T14". */
+export function periodId(now: number, period: RefillPeriod): string {
+  const d = new Date(now);
+  const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  return period === "day" ? day : `${day}T${pad(d.getHours())}`;
+}
+
+/** When the period after the one containing `now` begins. */
+export function nextPeriodStart(now: number, period: RefillPeriod): number {
+  const d = new Date(now);
+  d.setMinutes(0, 0, 0);
+  if (period === "day") {
+    d.setHours(0);
+    d.setDate(d.getDate() + 1);
+  } else {
+    d.setHours(d.getHours() + 1);
+  }
+  return d.getTime();
+}
+
+/** The streak as it stands if the player plays today: kept from yesterday, else begun afresh. */
+export function currentStreak(saved: StreakState | undefined, now: number): number {
+  if (!saved) return 1;
+  if (saved.lastDay === periodId(now, "day")) return saved.days;
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+  const yesterday = periodId(midnight.getTime() - 1, "day");
+  return saved.lastDay === yesterday ? saved.days + 1 : 1;
+}
+
+/** The streak after a play at `now`. */
+export function recordPlay(saved: StreakState | undefined, now: number): StreakState {
+  return { lastDay: periodId(now, "day"), days: currentStreak(saved, now) };
+}
+
+/** The reward for the longest streak length reached, if any. */
+export function streakReward(streak: number, rewards: StreakReward[]): StreakReward | null {
+  let best: StreakReward | null = null;
+  for (const reward of rewards) {
+    if (reward.days <= streak && (!best || reward.days > best.days)) best = reward;
+  }
+  return best;
+}
@@ -0,0 +1,413 @@
+/**
+ * Headless Flappy Shopper simulation.
+ *
+ * Owns everything that decides the outcome of a run: player physics, obstacle
+ * waves (see obstacles.ts), collectibles and power‑ups (see collectibles.ts),
+ * scoring, collisions, lives and the grace period after a hit. It advances in
+ * fixed timesteps, draws all randomness from a seeded generator and has no
+ * DOM dependencies, so the same seed and jump inputs always produce the same
+ * run, whether in a browser or under Node. For that it avoids Math functions
+ * whose results the language leaves to the engine, such as Math.sin.
+ */
+
+import {
+  Collectible,
+  CollectibleEffect,
+  CollectibleType,
+  DEFAULT_COLLECTIBLES,
+  PowerUp,
+  rollCollectible,
+} from "./collectibles.js";
+import { FULL_HITBOX, Hitbox, hitboxesCollide } from "./hitbox.js";
+import {
+  DEFAULT_DIFFICULTY,
+  DEFAULT_OBSTACLE_TYPES,
+  DEFAULT_WAVES,
+  DifficultyStep,
+  difficultyAt,
+  Obstacle,
+  ObstacleType,
+  Wave,
+  WaveDirector,
+} from "./obstacles.js";
+import { createRng, Rng } from "./random.js";
+
+/**
+ * Logical world sizes by layout, in world units. The world never changes
+ * size with the screen; the renderer scales it to fit.
+ */
+export const WORLD_LAYOUTS = {
+  /** Full‑screen on phones. */
+  portrait: { width: 360, height: 640 },
+  /** Landscape screens and embedded banners. */
+  landscape: { width: 640, height: 360 },
+};
+
+export type Layout = keyof typeof WORLD_LAYOUTS;
+
+export interface SimulationConfig {
+  /** World width in world units; see WORLD_LAYOUTS. */
+  width: number;
+  /** World height in world units. */
+  height: number;
+  /** Length of one simulation step in milliseconds. */
+  timestep: number;
+  /** Lives at the start of a run. */
+  lives: number;
+  /** Gravitational acceleration as a fraction of the world height per second². */
+  gravity: number;
+  /** Upward velocity applied by a jump, as a fraction of the world height per second. */
+  jumpVelocity: number;
+  /** Milliseconds after a hit during which obstacles pass through the player. */
+  invulnerability: number;
+  /** Obstacle types by name. */
+  obstacleTypes: Record<string, ObstacleType>;
+  /** Wave patterns by name. */
+  waves: Record<string, Wave>;
+  /** Difficulty steps in ascending score order. */
+  difficulty: DifficultyStep[];
+  /** Collectible types by name. */
+  collectibles: Record<string, CollectibleType>;
+  /**
+   * Solid parts of each sprite, keyed by sprite name ("player" for the
+   * player); see hitbox.ts. Sprites without one use their full rectangle.
+   */
+  hitboxes: Record<string, Hitbox>;
+}
+
+export const DEFAULT_SIMULATION_CONFIG: SimulationConfig = {
+  ...WORLD_LAYOUTS.portrait,
+  timestep: 1000 / 60,
+  lives: 3,
+  gravity: 1.2,
+  jumpVelocity: 0.35,
+  invulnerability: 1500,
+  obstacleTypes: DEFAULT_OBSTACLE_TYPES,
+  waves: DEFAULT_WAVES,
+  difficulty: DEFAULT_DIFFICULTY,
+  collectibles: DEFAULT_COLLECTIBLES,
+  hitboxes: {},
+};
+
+/**
+ * sin(2π × turns) from basic arithmetic alone, so every engine computes the
+ * same value; accurate to within 1e‑9.
+ */
+export function sineOfTurns(turns: number): number {
+  // Fold into a quarter turn either side of zero, where the series converges
+  let t = turns - Math.floor(turns);
+  if (t > 0.75) t -= 1;
+  else if (t > 0.25) t = 0.5 - t;
+  const x = 2 * Math.PI * t;
+  const x2 = x * x;
+  return x * (1 - (x2 / 6) * (1 - (x2 / 20) * (1 - (x2 / 42) * (1 - (x2 / 72) * (1 - (x2 / 110) * (1 - x2 / 156))))));
+}
+
+export interface Player {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  vy: number;
+}
+
+/** Something that happened during a step, for the host to react to. */
+export type SimulationEvent =
+  | { type: "score"; score: number }
+  | { type: "collision"; remainingLives: number }
+  | { type: "collect"; item: string; effect: CollectibleEffect }
+  /** A shield absorbed a collision; no life was lost. */
+  | { type: "shield_used"; item: string }
+  | { type: "power_up_ended"; item: string }
+  | { type: "game_over"; score: number };
+
+/** Read‑only view of the simulation used for rendering. */
+export interface SimulationState {
+  readonly tick: number;
+  /** Horizontal distance the crowd has travelled, for scrolling backgrounds. */
+  readonly distance: number;
+  readonly score: number;
+  readonly lives: number;
+  /** Milliseconds of invulnerability left after a hit; 0 when the player can be hit. */
+  readonly invulnerable: number;
+  readonly over: boolean;
+  readonly player: Readonly<Player>;
+  readonly obstacles: ReadonlyArray<Readonly<Obstacle>>;
+  readonly collectibles: ReadonlyArray<Readonly<Collectible>>;
+  /** Timed effects in progress. */
+  readonly powerUps: ReadonlyArray<Readonly<PowerUp>>;
+}
+
+export class Simulation {
+  readonly seed: number;
+  readonly config: SimulationConfig;
+  private rng: Rng;
+  private director: WaveDirector;
+  private tick: number = 0;
+  private accumulator: number = 0;
+  private distance: number = 0;
+  private score: number = 0;
+  private lives: number;
+  private invulnerable: number = 0;
+  private over: boolean = false;
+  /** Debug: obstacles pass through the player. */
+  private godMode: boolean = false;
+  private jumpQueued: boolean = false;
+  private jumps: number[] = [];
+  private player: Player;
+  private obstacles: Obstacle[] = [];
+  private collectibles: Collectible[] = [];
+  private powerUps: PowerUp[] = [];
+
+  constructor(seed: number, config?: Partial<SimulationConfig>) {
+    this.seed = seed >>> 0;
+    this.config = { ...DEFAULT_SIMULATION_CONFIG, ...config };
+    this.rng = createRng(this.seed);
+    this.lives = this.config.lives;
+    const { width, height } = this.config;
+    const size = Math.min(width, height) * 0.1;
+    this.player = {
+      x: width * 0.2,
+      y: height * 0.5,
+      width: size,
+      height: size,
+      vy: 0,
+    };
+    this.director = new WaveDirector(
+      {
+        width,
+        height,
+        playerHeight: this.player.height,
+        // Half of a jump's initial speed, sustained by repeated jumps
+        climbRate: 0.5 * this.config.jumpVelocity * height,
+        obstacleTypes: this.config.obstacleTypes,
+        waves: this.config.waves,
+        difficulty: this.config.difficulty,
+      },
+      this.rng
+    );
+  }
+
+  /** Current state for rendering. The returned objects must not be mutated. */
+  get state(): SimulationState {
+    return {
+      tick: this.tick,
+      distance: this.distance,
+      score: this.score,
+      lives: this.lives,
+      invulnerable: this.invulnerable,
+      over: this.over,
+      player: this.player,
+      obstacles: this.obstacles,
+      collectibles: this.collectibles,
+      powerUps: this.powerUps,
+    };
+  }
+
+  /**
+   * Ticks at which a jump was applied, in the form accepted by run(): the
+   * number of steps completed before the jump took effect.
+   */
+  get jumpTicks(): ReadonlyArray<number> {
+    return this.jumps;
+  }
+
+  /** Request a jump; it is applied at the start of the next step. */
+  jump(): void {
+    if (!this.over) {
+      this.jumpQueued = true;
+    }
+  }
+
+  /**
+   * Debug hooks for the QA panel (see debug.ts): change physics or the
+   * difficulty curve mid‑run. A run changed by any of these hooks no longer
+   * follows from its jumps, so its replay won't verify.
+   */
+  tune(changes: Partial<Pick<SimulationConfig, "gravity" | "jumpVelocity" | "difficulty">>): void {
+    Object.assign(this.config, changes);
+    if (changes.difficulty) this.director.setDifficulty(changes.difficulty);
+  }
+
+  setGodMode(on: boolean): void {
+    this.godMode = on;
+  }
+
+  setScore(score: number): void {
+    if (!this.over) this.score = score;
+  }
+
+  setLives(lives: number): void {
+    if (!this.over) this.lives = lives;
+  }
+
+  /**
+   * Advance by an arbitrary amount of wall‑clock time, running as many fixed
+   * steps as fit. Leftover time carries over to the next call.
+   */
+  advance(ms: number): SimulationEvent[] {
+    const events: SimulationEvent[] = [];
+    this.accumulator += ms;
+    while (!this.over && this.accumulator >= this.config.timestep) {
+      this.accumulator -= this.config.timestep;
+      events.push(...this.step());
+    }
+    return events;
+  }
+
+  /**
+   * Run headlessly until the game ends or `maxTicks` is reached, jumping at
+   * each tick listed in `jumpTicks` (ascending).
+   */
+  run(jumpTicks: Iterable<number>, maxTicks: number = Infinity): SimulationEvent[] {
+    const events: SimulationEvent[] = [];
+    const iterator = jumpTicks[Symbol.iterator]();
+    let next = iterator.next();
+    while (!this.over && this.tick < maxTicks) {
+      while (!next.done && next.value <= this.tick) {
+        if (next.value === this.tick) this.jump();
+        next = iterator.next();
+      }
+      events.push(...this.step());
+    }
+    return events;
+  }
+
+  /** Advance exactly one fixed timestep. */
+  step(): SimulationEvent[] {
+    const events: SimulationEvent[] = [];
+    if (this.over) return events;
+    const { width, height, timestep } = this.config;
+    const dtSeconds = timestep / 1000;
+    this.tick++;
+    if (this.jumpQueued) {
+      this.jumpQueued = false;
+      this.jumps.push(this.tick - 1);
+      this.player.vy = -this.config.jumpVelocity * height;
+    }
+    // Apply gravity to player
+    this.player.vy += this.config.gravity * height * dtSeconds;
+    this.player.y += this.player.vy * dtSeconds;
+    // Prevent player from leaving the top or bottom
+    if (this.player.y < 0) {
+      this.player.y = 0;
+      this.player.vy = 0;
+    }
+    if (this.player.y + this.player.height > height) {
+      this.player.y = height - this.player.height;
+      this.player.vy = 0;
+    }
+    // Count down timed power‑ups
+    for (const powerUp of this.powerUps) {
+      powerUp.remaining -= timestep;
+      if (powerUp.remaining <= 0) events.push({ type: "power_up_ended", item: powerUp.type });
+    }
+    this.powerUps = this.powerUps.filter((p) => p.remaining > 0);
+    this.invulnerable = Math.max(this.invulnerable - timestep, 0);
+    // Update obstacles; the crowd speeds up along the difficulty curve and
+    // slows while a coupon is active
+    const unit = Math.min(width, height);
+    const speed = unit * difficultyAt(this.config.difficulty, this.score).speed * this.speedFactor();
+    this.distance += speed * dtSeconds;
+    for (const obs of this.obstacles) {
+      obs.x -= speed * obs.speed * dtSeconds;
+      if (obs.swing !== undefined) {
+        obs.age! += timestep;
+        obs.y = obs.baseY! + obs.swing * sineOfTurns(obs.age! / obs.period!);
+      }
+      // Mark score when passed; only one obstacle per column counts
+      if (!obs.passed && obs.x + obs.width < this.player.x) {
+        obs.passed = true;
+        if (obs.scoring) {
+          this.score++;
+          events.push({ type: "score", score: this.score });
+        }
+      }
+    }
+    for (const item of this.collectibles) {
+      item.x -= speed * dtSeconds;
+    }
+    // Remove off‑screen obstacles and items
+    this.obstacles = this.obstacles.filter((obs) => obs.x + obs.width > 0);
+    this.collectibles = this.collectibles.filter((item) => item.x + item.width > 0);
+    // Spawn the next columns of the current wave, each maybe with an item in its opening
+    for (const column of this.director.update(timestep, this.score)) {
+      this.obstacles.push(...column.obstacles);
+      const item = rollCollectible(this.config.collectibles, this.rng, unit, width + column.width / 2, column.centre);
+      if (item) this.collectibles.push(item);
+    }
+    // Pick up items
+    const hitboxes = this.config.hitboxes;
+    this.collectibles = this.collectibles.filter((item) => {
+      if (!hitboxesCollide(hitboxes.player || FULL_HITBOX, this.player, hitboxes[item.sprite] || FULL_HITBOX, item)) {
+        return true;
+      }
+      events.push(...this.collect(item));
+      return false;
+    });
+    // Collision detection; after a hit the player passes through obstacles for a while
+    // instead of being moved, so one crowd can't cost several lives
+    const safe = this.invulnerable > 0 || this.godMode;
+    const obstacle = safe ? undefined : this.obstacles.find((obs) => this.checkCollision(obs));
+    if (obstacle) {
+      this.invulnerable = this.config.invulnerability;
+      const shield = this.powerUps.find((p) => p.effect === "shield");
+      if (shield) {
+        // The shield takes the hit
+        this.powerUps.splice(this.powerUps.indexOf(shield), 1);
+        events.push({ type: "shield_used", item: shield.type });
+      } else {
+        this.lives--;
+        events.push({ type: "collision", remainingLives: this.lives });
+        if (this.lives <= 0) {
+          this.over = true;
+          events.push({ type: "game_over", score: this.score });
+        }
+      }
+    }
+    return events;
+  }
+
+  /** Apply a collected item's effect. */
+  private collect(item: Collectible): SimulationEvent[] {
+    const type = this.config.collectibles[item.type];
+    const events: SimulationEvent[] = [{ type: "collect", item: item.type, effect: type.effect }];
+    switch (type.effect) {
+      case "points":
+        this.score += type.value !== undefined ? type.value : 1;
+        events.push({ type: "score", score: this.score });
+        break;
+      case "life":
+        this.lives = Math.min(this.lives + 1, type.cap !== undefined ? type.cap : this.config.lives);
+        break;
+      case "shield":
+      case "slow": {
+        // Collecting an effect already active restarts its timer
+        const duration = type.duration !== undefined ? type.duration : 5000;
+        this.powerUps = this.powerUps.filter((p) => p.effect !== type.effect);
+        this.powerUps.push({ type: item.type, effect: type.effect, remaining: duration, duration });
+        break;
+      }
+    }
+    return events;
+  }
+
+  /** Crowd speed multiplier from an active slow‑down. */
+  private speedFactor(): number {
+    const slow = this.powerUps.find((p) => p.effect === "slow");
+    if (!slow) return 1;
+    const value = this.config.collectibles[slow.type].value;
+    return value !== undefined ? value : 0.5;
+  }
+
+  /** Check whether the player's and an obstacle's hitboxes overlap. */
+  private checkCollision(obs: Obstacle): boolean {
+    const hitboxes = this.config.hitboxes;
+    return hitboxesCollide(
+      hitboxes.player || FULL_HITBOX,
+      this.player,
+      hitboxes[obs.sprite] || FULL_HITBOX,
+      obs
+    );
+  }
+}
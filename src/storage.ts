@@ -0,0 +1,257 @@
+/**
+ * Persistence and play‑limit enforcement.
+ *
+ * The game keeps its state (leaderboard, play count, user details) behind a
+ * StorageAdapter scoped to one user and campaign, so two campaigns on the same
+ * device never share counts. Adapters also decide whether a play may start:
+ * the local and in‑memory adapters count plays themselves, while the
+ * parent‑authoritative adapter asks the host page, which can enforce limits
+ * server‑side where clearing storage or going incognito does not help.
+ *
+ * Referral credit goes through the adapter too, since only an authoritative
+ * store can reach the referrer; the counting adapters decline it.
+ *
+ * Plays are counted for the campaign's lifetime, or, when a refill `period`
+ * is given (an id such as "2026-10-18"; see schedule.ts), afresh in each
+ * period.
+ */
+
+import { ParentChannel } from "./protocol.js";
+
+export interface PlayState {
+  /** Plays used so far, over the campaign's lifetime. */
+  playCount: number;
+  /** Plays still available, in the current period if plays refill. */
+  remaining: number;
+}
+
+export interface PlayGrant extends PlayState {
+  granted: boolean;
+  /** Identifier of the granted play, issued by authoritative stores. */
+  grantId?: string;
+  /** Why the play was refused, when `granted` is false. */
+  reason?: string;
+}
+
+export interface ReferralResult {
+  credited: boolean;
+  /** Why the credit was refused, when `credited` is false. */
+  reason?: string;
+}
+
+export interface StorageAdapter {
+  get<T>(key: string): Promise<T | undefined>;
+  set<T>(key: string, value: T): Promise<void>;
+  remove(key: string): Promise<void>;
+  /** Current play usage, without consuming a play. */
+  playState(maxPlays: number, period?: string): Promise<PlayState>;
+  /** Consume a play if one is available. */
+  requestPlay(maxPlays: number, period?: string): Promise<PlayGrant>;
+  /** Credit the referrer named by `token` with an extra play. */
+  creditReferral(token: string): Promise<ReferralResult>;
+}
+
+/** Who the stored state belongs to. */
+export interface StorageScope {
+  userId?: string;
+  campaignId?: string;
+}
+
+/**
+ * Namespace for a user and campaign, e.g.
+ * `flappyShopper:summer-sale:user-42`. Missing parts become "default" and
+ * "anonymous".
+ */
+export function storageNamespace(scope: StorageScope): string {
+  const campaign = encodeURIComponent(scope.campaignId || "default");
+  const user = encodeURIComponent(scope.userId || "anonymous");
+  return `flappyShopper:${campaign}:${user}`;
+}
+
+/** Keys used before storage was namespaced, read once for the default scope. */
+const LEGACY_KEYS: Record<string, string> = {
+  playCount: "flappyShopperPlayCount",
+  details: "flappyShopperDetails",
+};
+
+/** Plays used in one refill period. */
+interface PeriodCount {
+  period: string;
+  count: number;
+}
+
+/** Play counting shared by adapters that keep the count themselves. */
+abstract class CountingStorage implements StorageAdapter {
+  abstract get<T>(key: string): Promise<T | undefined>;
+  abstract set<T>(key: string, value: T): Promise<void>;
+  abstract remove(key: string): Promise<void>;
+
+  async playState(maxPlays: number, period?: string): Promise<PlayState> {
+    const playCount = (await this.get<number>("playCount")) || 0;
+    const used = period === undefined ? playCount : await this.periodCount(period);
+    return { playCount, remaining: Math.max(maxPlays - used, 0) };
+  }
+
+  async requestPlay(maxPlays: number, period?: string): Promise<PlayGrant> {
+    const state = await this.playState(maxPlays, period);
+    if (state.remaining <= 0) {
+      return { ...state, granted: false, reason: "limit_reached" };
+    }
+    const playCount = state.playCount + 1;
+    await this.set("playCount", playCount);
+    if (period !== undefined) {
+      await this.set<PeriodCount>("periodPlays", { period, count: (await this.periodCount(period)) + 1 });
+    }
+    return { granted: true, playCount, remaining: state.remaining - 1 };
+  }
+
+  /** A referrer's plays live on their own device, out of reach. */
+  async creditReferral(_token: string): Promise<ReferralResult> {
+    return { credited: false, reason: "unsupported" };
+  }
+
+  /** Plays used in a refill period; a count saved for an earlier period no longer applies. */
+  private async periodCount(period: string): Promise<number> {
+    const saved = await this.get<PeriodCount>("periodPlays");
+    return saved && saved.period === period ? saved.count : 0;
+  }
+}
+
+/** Stores JSON values in localStorage under a namespace. Storage errors are ignored. */
+export class LocalStorageAdapter extends CountingStorage {
+  private namespace: string;
+  private legacy: boolean;
+
+  constructor(scope: StorageScope) {
+    super();
+    this.namespace = storageNamespace(scope);
+    this.legacy = !scope.userId && !scope.campaignId;
+  }
+
+  async get<T>(key: string): Promise<T | undefined> {
+    try {
+      let raw = localStorage.getItem(`${this.namespace}:${key}`);
+      if (raw === null && this.legacy && LEGACY_KEYS[key]) {
+        raw = localStorage.getItem(LEGACY_KEYS[key]);
+      }
+      return raw === null ? undefined : (JSON.parse(raw) as T);
+    } catch (_) {
+      return undefined;
+    }
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    try {
+      localStorage.setItem(`${this.namespace}:${key}`, JSON.stringify(value));
+    } catch (_) {
+      /* ignore */
+    }
+  }
+
+  async remove(key: string): Promise<void> {
+    try {
+      localStorage.removeItem(`${this.namespace}:${key}`);
+      if (this.legacy && LEGACY_KEYS[key]) localStorage.removeItem(LEGACY_KEYS[key]);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
+
+/** Keeps state for the lifetime of the page only; for tests and previews. */
+export class MemoryStorageAdapter extends CountingStorage {
+  private values: Map<string, string> = new Map();
+
+  async get<T>(key: string): Promise<T | undefined> {
+    const raw = this.values.get(key);
+    return raw === undefined ? undefined : (JSON.parse(raw) as T);
+  }
+
+  async set<T>(key: string, value: T): Promise<void> {
+    this.values.set(key, JSON.stringify(value));
+  }
+
+  async remove(key: string): Promise<void> {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * Play counts and grants come from the host page; other values are cached in
+ * `cache`. The host answers `we:game:play:status` and `we:game:play:request`
+ * with `we:game:play:state` carrying `{ playCount, remaining }` (plus
+ * `granted`, `grantId` and `reason` for requests). Requests name the refill
+ * `period` when plays refill, for the host to count per period. The host
+ * applies its own limit; the `maxPlays` sent along is only the game's view.
+ * Referral credit is asked for with `we:game:referral:credit` (see
+ * ReferralRequest). A host that does not answer in time is treated as
+ * refusing.
+ */
+export class ParentStorageAdapter implements StorageAdapter {
+  private channel: ParentChannel;
+  private scope: StorageScope;
+  private cache: StorageAdapter;
+  private timeout: number;
+
+  constructor(channel: ParentChannel, scope: StorageScope, cache: StorageAdapter, timeout: number = 5000) {
+    this.channel = channel;
+    this.scope = scope;
+    this.cache = cache;
+    this.timeout = timeout;
+  }
+
+  get<T>(key: string): Promise<T | undefined> {
+    return this.cache.get<T>(key);
+  }
+
+  set<T>(key: string, value: T): Promise<void> {
+    return this.cache.set(key, value);
+  }
+
+  remove(key: string): Promise<void> {
+    return this.cache.remove(key);
+  }
+
+  playState(maxPlays: number, period?: string): Promise<PlayState> {
+    const payload = { ...this.scope, maxPlays, period };
+    return this.channel.request("we:game:play:status", { payload }, this.timeout).then(
+      (reply) => toPlayState(reply.payload, maxPlays),
+      // Without an answer, show the configured allowance; requestPlay() still decides
+      () => ({ playCount: 0, remaining: maxPlays })
+    );
+  }
+
+  requestPlay(maxPlays: number, period?: string): Promise<PlayGrant> {
+    const payload = { ...this.scope, maxPlays, period };
+    return this.channel.request("we:game:play:request", { payload }, this.timeout).then(
+      (reply) => {
+        const data = reply.payload || {};
+        return {
+          ...toPlayState(data, maxPlays),
+          granted: data.granted === true,
+          grantId: typeof data.grantId === "string" ? data.grantId : undefined,
+          reason: typeof data.reason === "string" ? data.reason : undefined,
+        };
+      },
+      () => ({ playCount: 0, remaining: 0, granted: false, reason: "unavailable" })
+    );
+  }
+
+  creditReferral(token: string): Promise<ReferralResult> {
+    const payload = { ...this.scope, token };
+    return this.channel.request("we:game:referral:credit", { payload }, this.timeout).then(
+      (reply) => {
+        const data = reply.payload || {};
+        return { credited: data.credited === true, reason: typeof data.reason === "string" ? data.reason : undefined };
+      },
+      () => ({ credited: false, reason: "unavailable" })
+    );
+  }
+}
+
+function toPlayState(data: any, maxPlays: number): PlayState {
+  const playCount = data && typeof data.playCount === "number" ? data.playCount : 0;
+  const remaining =
+    data && typeof data.remaining === "number" ? data.remaining : Math.max(maxPlays - playCount, 0);
+  return { playCount, remaining };
+}
@@ -0,0 +1,379 @@
+/**
+ * Theme packs.
+ *
+ * A theme decides everything seen and heard: the asset manifest (every file to
+ * preload), which assets are used as sprites and sounds, the background
+ * layers, colours, fonts and extra CSS for the overlay. The parent picks a
+ * pack by name or sends a custom theme inline, which extends a pack.
+ */
+
+import { SoundCue } from "./audio.js";
+import { HitShape } from "./hitbox.js";
+
+export interface BackgroundLayer {
+  /** Fill colour of the band. */
+  color?: string;
+  /** Asset key of an image tiled horizontally across the band. */
+  image?: string;
+  /** Top of the band as a fraction of the world height. */
+  top: number;
+  /** Height of the band as a fraction of the world height. */
+  height: number;
+  /**
+   * How fast the band scrolls relative to the obstacles: 0 is static, 1 moves
+   * with the crowd. Only image bands visibly scroll.
+   */
+  parallax?: number;
+}
+
+/**
+ * A hitbox shape, or an "alpha" entry that is replaced by a mask generated from
+ * the loaded sprite: cells of a `resolution`‑wide grid whose average opacity
+ * reaches `threshold` (0..1) are solid. Generated masks depend on the image
+ * loading and on the browser drawing it, so a server can't rebuild them to
+ * verify a replay; campaigns that verify replays should ship the `mask` rows
+ * alphaMask() produces instead, as the built‑in packs do.
+ */
+export type HitShapeSpec = HitShape | { type: "alpha"; resolution?: number; threshold?: number };
+
+export interface ThemeColors {
+  /** HUD text on the canvas. */
+  hud: string;
+  /** Drawn instead of the player sprite if it fails to load. */
+  player: string;
+  /** Drawn instead of the obstacle sprite if it fails to load. */
+  obstacle: string;
+  /** Drawn for collectibles without artwork, and for HUD timers. */
+  collectible: string;
+  /** Bars around the world when the canvas shape doesn't match it. */
+  letterbox: string;
+  overlayBackground: string;
+  overlayText: string;
+  button: string;
+  buttonText: string;
+}
+
+export interface Theme {
+  name: string;
+  /** Asset manifest: key → URL. Everything listed is preloaded. */
+  assets: Record<string, string>;
+  /**
+   * Asset key of each sprite by name. Obstacle types name the sprite they use
+   * (see obstacles.ts); unknown sprites draw as the obstacle.
+   */
+  sprites: { player: string; obstacle: string; [sprite: string]: string };
+  /** Collision shapes by sprite name; update them with the artwork. */
+  hitboxes: Record<string, HitShapeSpec[]>;
+  /** Asset key of each sound cue; cues without one play a synthesised tone. */
+  sounds: Partial<Record<SoundCue, string>>;
+  /** Bands drawn back to front. */
+  background: BackgroundLayer[];
+  colors: ThemeColors;
+  /** CSS font families for the canvas HUD and the overlay. */
+  fonts: { hud: string; overlay: string };
+  /** Extra CSS applied to the page, for styling the overlay. */
+  overlayCss?: string;
+}
+
+/** An inline theme sent by the parent; omitted parts come from `extends`. */
+export interface CustomTheme {
+  /** Pack to start from; "default" when omitted. */
+  extends?: string;
+  name?: string;
+  assets?: Record<string, string>;
+  sprites?: Record<string, string>;
+  hitboxes?: Record<string, HitShapeSpec[]>;
+  sounds?: Partial<Record<SoundCue, string>>;
+  background?: BackgroundLayer[];
+  colors?: Partial<ThemeColors>;
+  fonts?: Partial<Theme["fonts"]>;
+  overlayCss?: string;
+}
+
+const SYSTEM_FONT =
+  "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif";
+
+/**
+ * Masks of the collectible artwork in assets/, as alphaMask() draws them (16
+ * cells across, solid from half opacity). They are shipped rather than
+ * generated so the shapes don't depend on an image loading or on how a
+ * browser renders it, and a replay verifier under Node sees the same ones.
+ */
+const ARTWORK_MASKS: Record<"bag" | "vip" | "coupon" | "heart", HitShape[]> = {
+  bag: [
+    {
+      type: "mask",
+      rows: [
+        "0000000000000000",
+        "0000000110000000",
+        "0000001001000000",
+        "0000010000100000",
+        "0000010000100000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111111000",
+        "0001111111110000",
+        "0000111111110000",
+        "0000000000000000",
+      ],
+    },
+  ],
+  vip: [
+    {
+      type: "mask",
+      rows: [
+        "0000000000000000",
+        "0000001111000000",
+        "0001111111111000",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0011111111111100",
+        "0001111111111000",
+        "0000111111110000",
+        "0000011111100000",
+        "0000001111000000",
+        "0000000000000000",
+      ],
+    },
+  ],
+  coupon: [
+    {
+      type: "mask",
+      rows: [
+        "0000000000000000",
+        "0000000000000000",
+        "0000000000000000",
+        "0000000000000000",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0000000000000000",
+        "0000000000000000",
+        "0000000000000000",
+        "0000000000000000",
+      ],
+    },
+  ],
+  heart: [
+    {
+      type: "mask",
+      rows: [
+        "0000000000000000",
+        "0000110000110000",
+        "0011111001111100",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0111111111111110",
+        "0011111111111100",
+        "0011111111111100",
+        "0001111111111000",
+        "0001111111111000",
+        "0000011111100000",
+        "0000011111100000",
+        "0000000110000000",
+        "0000000000000000",
+        "0000000000000000",
+      ],
+    },
+  ],
+};
+
+/** Built‑in theme packs by name. */
+export const THEMES: Record<string, Theme> = {
+  default: {
+    name: "default",
+    assets: {
+      shopper: "./assets/shopper.png",
+      obstacle: "./assets/obstacle.png",
+      bag: "./assets/bag.svg",
+      vip: "./assets/vip.svg",
+      coupon: "./assets/coupon.svg",
+      heart: "./assets/heart.svg",
+      jump: "./assets/jump.wav",
+      score: "./assets/score.wav",
+      hit: "./assets/hit.wav",
+      powerUp: "./assets/powerup.wav",
+      gameOver: "./assets/gameover.wav",
+      music: "./assets/music.wav",
+    },
+    // Stand‑ins until the pack has dedicated mover and cart artwork
+    sprites: {
+      player: "shopper",
+      obstacle: "obstacle",
+      mover: "shopper",
+      cart: "obstacle",
+      bag: "bag",
+      vip: "vip",
+      coupon: "coupon",
+      heart: "heart",
+    },
+    // Trimmed to the figures so empty sprite corners don't count as hits
+    hitboxes: {
+      player: [{ type: "circle", radius: 0.4 }],
+      obstacle: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+      mover: [{ type: "circle", radius: 0.4 }],
+      cart: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+      bag: ARTWORK_MASKS.bag,
+      vip: ARTWORK_MASKS.vip,
+      coupon: ARTWORK_MASKS.coupon,
+      heart: ARTWORK_MASKS.heart,
+    },
+    sounds: {
+      jump: "jump",
+      score: "score",
+      hit: "hit",
+      powerUp: "powerUp",
+      gameOver: "gameOver",
+      music: "music",
+    },
+    // Simple coloured rectangles to evoke a busy mall
+    background: [
+      { color: "#ffe08a", top: 0, height: 1 },
+      { color: "#ffd36b", top: 0.7, height: 0.3 },
+    ],
+    colors: {
+      hud: "#000",
+      player: "#ff6a00",
+      obstacle: "#8a5a00",
+      collectible: "#1fa35c",
+      letterbox: "#f2c75c",
+      overlayBackground: "rgba(0, 0, 0, 0.8)",
+      overlayText: "#ffffff",
+      button: "#ff6a00",
+      buttonText: "#ffffff",
+    },
+    fonts: { hud: "sans-serif", overlay: SYSTEM_FONT },
+  },
+  midnight: {
+    name: "midnight",
+    assets: {
+      shopper: "./assets/shopper.png",
+      obstacle: "./assets/obstacle.png",
+      bag: "./assets/bag.svg",
+      vip: "./assets/vip.svg",
+      coupon: "./assets/coupon.svg",
+      heart: "./assets/heart.svg",
+      jump: "./assets/jump.wav",
+      score: "./assets/score.wav",
+      hit: "./assets/hit.wav",
+      powerUp: "./assets/powerup.wav",
+      gameOver: "./assets/gameover.wav",
+      music: "./assets/music.wav",
+    },
+    sprites: {
+      player: "shopper",
+      obstacle: "obstacle",
+      mover: "shopper",
+      cart: "obstacle",
+      bag: "bag",
+      vip: "vip",
+      coupon: "coupon",
+      heart: "heart",
+    },
+    // Same artwork as the default pack, so the same shapes
+    hitboxes: {
+      player: [{ type: "circle", radius: 0.4 }],
+      obstacle: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+      mover: [{ type: "circle", radius: 0.4 }],
+      cart: [{ type: "box", top: 0.05, right: 0.15, bottom: 0.02, left: 0.15 }],
+      bag: ARTWORK_MASKS.bag,
+      vip: ARTWORK_MASKS.vip,
+      coupon: ARTWORK_MASKS.coupon,
+      heart: ARTWORK_MASKS.heart,
+    },
+    sounds: {
+      jump: "jump",
+      score: "score",
+      hit: "hit",
+      powerUp: "powerUp",
+      gameOver: "gameOver",
+      music: "music",
+    },
+    background: [
+      { color: "#1b1d3a", top: 0, height: 1 },
+      { color: "#2c2f5c", top: 0.55, height: 0.45 },
+      { color: "#3b3f7a", top: 0.8, height: 0.2 },
+    ],
+    colors: {
+      hud: "#ffffff",
+      player: "#f7c548",
+      obstacle: "#9fa4ff",
+      collectible: "#5ff2c0",
+      letterbox: "#0e0f24",
+      overlayBackground: "rgba(12, 13, 32, 0.9)",
+      overlayText: "#f0f0ff",
+      button: "#7b61ff",
+      buttonText: "#ffffff",
+    },
+    fonts: { hud: "sans-serif", overlay: SYSTEM_FONT },
+  },
+};
+
+/**
+ * Resolve a theme name or inline theme to a complete Theme. Unknown names fall
+ * back to the default pack.
+ */
+export function resolveTheme(theme: string | CustomTheme | undefined): Theme {
+  if (typeof theme !== "object" || theme === null) {
+    return THEMES[theme || "default"] || THEMES.default;
+  }
+  const base = THEMES[theme.extends || "default"] || THEMES.default;
+  return {
+    name: theme.name || `${base.name}+custom`,
+    assets: { ...base.assets, ...theme.assets },
+    sprites: { ...base.sprites, ...theme.sprites },
+    hitboxes: { ...base.hitboxes, ...theme.hitboxes },
+    sounds: { ...base.sounds, ...theme.sounds },
+    background: theme.background || base.background,
+    colors: { ...base.colors, ...theme.colors },
+    fonts: { ...base.fonts, ...theme.fonts },
+    overlayCss: theme.overlayCss !== undefined ? theme.overlayCss : base.overlayCss,
+  };
+}
+
+/**
+ * Fallback URLs for a theme's assets: the same key in the default pack, so a
+ * broken custom sprite degrades to the stock artwork before a plain shape.
+ */
+export function assetFallbacks(theme: Theme): Record<string, string> {
+  const fallbacks: Record<string, string> = {};
+  for (const key of Object.keys(theme.assets)) {
+    const stock = THEMES.default.assets[key];
+    if (stock && stock !== theme.assets[key]) fallbacks[key] = stock;
+  }
+  return fallbacks;
+}
+
+/** URLs that point at audio rather than images. */
+const AUDIO_URL = /^data:audio\/|\.(mp3|ogg|oga|opus|wav|m4a|aac)([?#]|$)/i;
+
+/**
+ * Split a theme's manifest into images and sounds: the assets its cues name,
+ * plus any other audio files (left over from a pack a custom theme extends).
+ */
+export function splitAssets(theme: Theme): { images: Record<string, string>; sounds: Record<string, string> } {
+  const soundKeys = Object.keys(theme.sounds).map((cue) => theme.sounds[cue as SoundCue]);
+  const images: Record<string, string> = {};
+  const sounds: Record<string, string> = {};
+  for (const key of Object.keys(theme.assets)) {
+    const url = theme.assets[key];
+    (soundKeys.indexOf(key) !== -1 || AUDIO_URL.test(url) ? sounds : images)[key] = url;
+  }
+  return { images, sounds };
+}
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { AnalyticsQueue } from "../public/analytics.js";
+import { MemoryStorageAdapter } from "../public/storage.js";
+
+/** A parent that never answers, so queued events stay queued. */
+const SILENT = { request: () => new Promise(() => {}) };
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+function queue(storage, now = () => 1000) {
+  return new AnalyticsQueue({ channel: SILENT, storage, now });
+}
+
+test("tabs sharing storage keep their own saved queues", async () => {
+  const storage = new MemoryStorageAdapter();
+  const first = queue(storage);
+  const second = queue(storage);
+  first.track({ name: "impression" });
+  second.track({ name: "started" });
+  await settle();
+  const firstSaved = await storage.get(`analyticsQueue:${first.sessionId}`);
+  const secondSaved = await storage.get(`analyticsQueue:${second.sessionId}`);
+  assert.deepEqual(
+    firstSaved.map((record) => record.event.name),
+    ["impression"]
+  );
+  assert.deepEqual(
+    secondSaved.map((record) => record.event.name),
+    ["started"]
+  );
+});
+
+test("a new page takes over the queue of one that closed, but not of one still open", async () => {
+  const storage = new MemoryStorageAdapter();
+  const open = queue(storage);
+  const closed = queue(storage);
+  open.track({ name: "impression" });
+  closed.track({ name: "started" });
+  closed.close();
+  await settle();
+  const next = queue(storage);
+  await settle();
+  assert.equal(next.pending, 1);
+  assert.equal(await storage.get(`analyticsQueue:${closed.sessionId}`), undefined);
+  assert.equal((await storage.get(`analyticsQueue:${open.sessionId}`)).length, 1);
+  // Once the other pages have been quiet long enough they count as gone too
+  const later = queue(storage, () => 1000 + 60000);
+  await settle();
+  assert.equal(later.pending, 2);
+  assert.equal(await storage.get(`analyticsQueue:${open.sessionId}`), undefined);
+});
+
+test("moving to scoped storage takes the queue along", async () => {
+  const before = new MemoryStorageAdapter();
+  const after = new MemoryStorageAdapter();
+  const analytics = queue(before);
+  analytics.track({ name: "impression" });
+  analytics.useStorage(after);
+  await settle();
+  assert.equal(await before.get(`analyticsQueue:${analytics.sessionId}`), undefined);
+  assert.equal((await after.get(`analyticsQueue:${analytics.sessionId}`)).length, 1);
+});
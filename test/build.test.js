@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+/** The .js files directly in a directory. */
+function scripts(dir) {
+  return readdirSync(dir)
+    .filter((name) => name.endsWith(".js"))
+    .sort();
+}
+
+test("the committed public/*.js match a fresh build of src/", () => {
+  const out = mkdtempSync(join(tmpdir(), "flappy-build-"));
+  try {
+    execFileSync(join(root, "node_modules", ".bin", "tsc"), ["-p", root, "--outDir", out], { stdio: "pipe" });
+    const built = scripts(out);
+    assert.ok(built.indexOf("debug.js") === -1, "the QA panel must stay out of the production build");
+    assert.deepEqual(scripts(join(root, "public")), built, "public/ has missing or leftover scripts");
+    for (const name of built) {
+      const fresh = readFileSync(join(out, name), "utf8");
+      const committed = readFileSync(join(root, "public", name), "utf8");
+      assert.ok(committed === fresh, `public/${name} is stale; run npm run build`);
+    }
+  } finally {
+    rmSync(out, { recursive: true, force: true });
+  }
+});
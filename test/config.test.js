@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { validateConfig } from "../public/config.js";
+
+test("a valid config is returned normalised", () => {
+  const result = validateConfig({ maxSpins: 5, theme: "default", campaignStart: "2026-01-01T00:00:00Z" });
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.config.maxSpins, 5);
+  assert.equal(result.config.campaignStart, Date.parse("2026-01-01T00:00:00Z"));
+});
+
+test("unknown keys and wrong types are errors", () => {
+  const result = validateConfig({ maxSpin: 5, forceMute: "yes", countdown: 1.5 });
+  assert.equal(result.config, undefined);
+  assert.deepEqual(result.errors.sort(), [
+    "countdown must be a non-negative integer",
+    "forceMute must be a boolean",
+    "maxSpin is not a known config option",
+  ]);
+});
+
+test("the payload must be an object", () => {
+  assert.deepEqual(validateConfig([]).errors, ["config payload must be an object"]);
+  assert.deepEqual(validateConfig(null).errors, ["config payload must be an object"]);
+});
+
+test("reward tiers must be ordered ranges", () => {
+  const result = validateConfig({
+    rewardTiers: [
+      { min: 10, max: 19, discount: 10 },
+      { min: 0, max: 9, discount: 5 },
+    ],
+  });
+  assert.ok(result.errors.length > 0);
+});
+
+test("campaign end must come after its start", () => {
+  const result = validateConfig({ campaignStart: "2026-02-01T00:00:00Z", campaignEnd: "2026-01-01T00:00:00Z" });
+  assert.ok(result.errors.some((error) => /campaignEnd/.test(error)));
+});
+
+test("prizes take labels or money with a currency code", () => {
+  assert.deepEqual(validateConfig({ prizes: ["Gift card", { amount: 500, currency: "INR" }] }).errors, []);
+  assert.ok(validateConfig({ prizes: [{ amount: 500, currency: "rupees" }] }).errors.length > 0);
+});
@@ -0,0 +1,191 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { validateRewardCode } from "../public/issuer.js";
+import { simulationConfigFor, verifyReplay } from "../public/replay.js";
+import { HOST_ORIGIN, loadGame, until } from "./support/game.js";
+
+/** Where the game keeps state for the default campaign and an anonymous player. */
+const NAMESPACE = "flappyShopper:default:anonymous";
+
+const DETAILS = {
+  [`${NAMESPACE}:details`]: { name: "Asha Rao", email: "asha@example.com", phone: "+91 98765 43210" },
+  [`${NAMESPACE}:consent`]: { given: true, text: "I agree", at: 1 },
+};
+
+/** Config for quick, repeatable sessions. */
+const CONFIG = { countdown: 0, seed: 1, rewardSecret: "test-secret" };
+
+/** Names of the delivered events; asset errors are left out, as no image loads under jsdom. */
+function eventNames(game) {
+  return game
+    .events()
+    .map((event) => event.name)
+    .filter((name) => name !== "asset_error");
+}
+
+function hasEvent(game, name) {
+  return () => game.events().some((event) => event.name === name);
+}
+
+test("the host receives the handshake and then the session's events in order", async () => {
+  const game = await loadGame();
+  game.configure(CONFIG, "config-1");
+  await game.click("startBtn");
+  await game.playToGameOver();
+  await until(hasEvent(game, "game_over"), 5000, "game_over");
+  assert.ok(game.sent.every((entry) => entry.targetOrigin === HOST_ORIGIN));
+  const protocol = game.types().filter((type) => type !== "we:game:height" && type !== "we:game:events");
+  assert.deepEqual(protocol, ["we:game:ready", "we:game:ack"]);
+  const ack = game.sent.find((entry) => entry.message.type === "we:game:ack").message;
+  assert.equal(ack.replyTo, "config-1");
+  assert.deepEqual(ack.payload, { ok: true });
+  assert.deepEqual(eventNames(game), [
+    "impression",
+    "started",
+    "collision",
+    "score",
+    "collision",
+    "collision",
+    "game_over",
+  ]);
+  // Records are numbered in the order they were queued, across batches
+  const records = game.sent
+    .filter((entry) => entry.message.type === "we:game:events")
+    .flatMap((entry) => entry.message.payload.events);
+  assert.deepEqual(
+    records.map((record) => record.seq),
+    records.map((_, i) => i + 1)
+  );
+  const gameOver = game.events().find((event) => event.name === "game_over");
+  assert.match(game.text(), new RegExp(`Your score: ${gameOver.score}\\b`));
+});
+
+test("ready repeats for a host that starts listening late and stops once configured", async () => {
+  const game = await loadGame();
+  const readies = () => game.sent.filter((entry) => entry.message.type === "we:game:ready");
+  await until(() => readies().length >= 2, 5000, "a repeated ready");
+  const pages = new Set(readies().map((entry) => entry.message.payload.page));
+  assert.equal(pages.size, 1);
+  game.configure(CONFIG);
+  const count = readies().length;
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  assert.equal(readies().length, count);
+});
+
+test("the session's replay verifies against the campaign's config under Node", async () => {
+  const game = await loadGame();
+  game.configure(CONFIG);
+  await game.click("startBtn");
+  await game.playToGameOver();
+  await until(hasEvent(game, "game_over"), 5000, "game_over");
+  const gameOver = game.events().find((event) => event.name === "game_over");
+  const result = verifyReplay(gameOver.replay, { seed: CONFIG.seed, config: simulationConfigFor(CONFIG) });
+  assert.equal(result.valid, true, result.reason);
+  assert.equal(result.score, gameOver.score);
+});
+
+test("the reward code is signed with the campaign's secret", async () => {
+  const game = await loadGame();
+  game.configure({ ...CONFIG, campaignId: "summer" });
+  await game.click("startBtn");
+  await game.playToGameOver();
+  const code = game.text().match(/Code: (\S+),/)[1];
+  const validation = await validateRewardCode(code, "test-secret", { campaignId: "summer" });
+  assert.equal(validation.valid, true);
+});
+
+test("without a secret no code is issued and the host is told", async () => {
+  const game = await loadGame();
+  game.configure({ countdown: 0, seed: 1 });
+  await game.click("startBtn");
+  await game.playToGameOver();
+  assert.match(game.text(), /Code: unavailable/);
+  const error = game.sent.find((entry) => entry.message.type === "we:game:error");
+  assert.equal(error.message.payload.code, "reward_unavailable");
+});
+
+test("plays run out after maxSpins and stay used after a reload", async () => {
+  const game = await loadGame({ storage: DETAILS });
+  game.configure({ ...CONFIG, maxSpins: 2 });
+  await game.button("startBtn");
+  assert.match(game.text(), /2 plays/);
+  await game.click("startBtn");
+  await game.playToGameOver();
+  await game.click("playAgainBtn");
+  await until(hasEvent(game, "play_again"), 5000, "play_again");
+  const playAgain = await game.playToGameOver();
+  assert.ok(playAgain.parentElement.querySelector("#playAgainBtn").disabled);
+  assert.equal(game.saved()[`${NAMESPACE}:playCount`], 2);
+
+  const reloaded = await loadGame({ storage: game.saved() });
+  reloaded.configure({ ...CONFIG, maxSpins: 2 });
+  await until(() => /No more plays/.test(reloaded.text()), 5000, "the out of plays screen");
+  assert.equal(reloaded.window.document.getElementById("startBtn"), null);
+  // A bigger allowance gives the player their extra play
+  reloaded.configure({ maxSpins: 3 });
+  await reloaded.button("startBtn");
+  assert.match(reloaded.text(), /1 play\b/);
+});
+
+test("with memory storage unsent events stay out of localStorage", async () => {
+  const game = await loadGame({ autoAck: false });
+  game.configure({ ...CONFIG, storage: "memory" });
+  await game.click("startBtn");
+  await game.playToGameOver();
+  await until(hasEvent(game, "game_over"), 5000, "game_over");
+  assert.deepEqual(Object.keys(game.saved()), []);
+});
+
+test("scores are kept on the local leaderboard across page loads", async () => {
+  const earlier = { displayName: "Ravi", score: 99, at: Date.now() - 1000 };
+  const game = await loadGame({ storage: { ...DETAILS, [`${NAMESPACE}:leaderboard`]: [earlier] } });
+  game.configure(CONFIG);
+  await game.click("startBtn");
+  await game.playToGameOver();
+  const rows = [...game.overlay.querySelectorAll(".scoreboard tbody tr")].map((row) => row.cells[1].textContent);
+  assert.deepEqual(rows, ["Ravi", "Asha"]);
+  assert.match(game.text(), /You are #2 of 2/);
+  assert.equal(game.saved()[`${NAMESPACE}:leaderboard`].length, 2);
+
+  const reloaded = await loadGame({ storage: game.saved() });
+  reloaded.configure(CONFIG);
+  await reloaded.click("startBtn");
+  await reloaded.playToGameOver();
+  assert.match(reloaded.text(), /of 3/);
+  assert.equal(reloaded.saved()[`${NAMESPACE}:leaderboard`].length, 3);
+});
+
+test("redeeming waits for valid details and consent", async () => {
+  const game = await loadGame();
+  game.configure(CONFIG);
+  await game.click("startBtn");
+  await game.playToGameOver();
+  await game.click("redeemBtn");
+  await game.click("submitDetailsBtn");
+  assert.match(game.text(), /Please correct the highlighted fields/);
+  await game.fill("field-name", "Asha Rao");
+  await game.fill("field-email", "not an email");
+  await game.fill("field-phone", "+91 98765 43210");
+  await game.click("submitDetailsBtn");
+  assert.ok(game.window.document.getElementById("detailsForm"), "invalid email is refused");
+  await game.fill("field-email", "asha@example.com");
+  await game.click("submitDetailsBtn");
+  assert.ok(game.window.document.getElementById("detailsForm"), "consent is required");
+  assert.equal(game.saved()[`${NAMESPACE}:details`], undefined);
+
+  (await game.button("consentInput")).click();
+  await game.click("submitDetailsBtn");
+  await until(() => /Reward Redeemed!/.test(game.text()), 5000, "the redeemed screen");
+  assert.deepEqual(game.saved()[`${NAMESPACE}:details`], {
+    name: "Asha Rao",
+    email: "asha@example.com",
+    phone: "+91 98765 43210",
+  });
+  await until(hasEvent(game, "redeem"), 5000, "redeem");
+  const submitted = game.events().find((event) => event.name === "details_submitted");
+  assert.deepEqual(submitted.fields, ["name", "email", "phone"]);
+  // Personal data stays in the game unless the host opts in
+  assert.equal(submitted.details, undefined);
+  assert.deepEqual(eventNames(game).slice(-3), ["game_over", "details_submitted", "redeem"]);
+});
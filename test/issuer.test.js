@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  LocalRewardIssuer,
+  RemoteRewardIssuer,
+  UnconfiguredRewardIssuer,
+  validateRewardCode,
+} from "../public/issuer.js";
+import { computeReward } from "../public/rewards.js";
+
+const NOW = Date.UTC(2026, 9, 18);
+
+function issue(secret = "secret", campaignId = "summer", multiplier = 1) {
+  const issuer = new LocalRewardIssuer({ secret, ttl: 60000, now: () => NOW });
+  return issuer.issue({ score: 31, reward: computeReward(31, undefined, multiplier), campaignId });
+}
+
+test("a signed code validates with its campaign, tier and expiry", async () => {
+  const { code, expiresAt } = await issue();
+  const result = await validateRewardCode(code, "secret", { campaignId: "summer", now: NOW });
+  assert.deepEqual(result, { valid: true, campaignId: "summer", tier: 3, discount: 20, expiresAt });
+});
+
+test("a code records the discount a streak multiplier raised", async () => {
+  const { code } = await issue("secret", "summer", 2);
+  const result = await validateRewardCode(code, "secret", { campaignId: "summer", now: NOW });
+  assert.equal(result.valid, true);
+  assert.equal(result.discount, 40);
+});
+
+test("codes are refused with the wrong secret, campaign or after expiry", async () => {
+  const { code, expiresAt } = await issue();
+  assert.equal((await validateRewardCode(code, "other", { now: NOW })).reason, "bad signature");
+  assert.equal((await validateRewardCode(code, "secret", { campaignId: "winter", now: NOW })).reason, "wrong campaign");
+  assert.equal((await validateRewardCode(code, "secret", { now: expiresAt })).reason, "expired");
+  assert.equal((await validateRewardCode("nonsense", "secret")).reason, "malformed code");
+});
+
+test("a tampered body breaks the signature", async () => {
+  const { code } = await issue();
+  const [body, signature] = code.split(".");
+  const forged = `${body.slice(0, -2)}AA.${signature}`;
+  assert.equal((await validateRewardCode(forged, "secret", { now: NOW })).valid, false);
+});
+
+test("without a secret nothing is issued", async () => {
+  await assert.rejects(new UnconfiguredRewardIssuer().issue({ score: 31, reward: computeReward(31) }));
+});
+
+test("a parent's refusal issues no code, and only silence falls back to local signing", async () => {
+  const local = { issue: async () => ({ code: "local", expiresAt: NOW }) };
+  const refusing = { request: async () => ({ payload: { error: "replay rejected" } }) };
+  const silent = { request: () => Promise.reject(new Error("No reply")) };
+  const request = { score: 31, reward: computeReward(31) };
+  await assert.rejects(
+    new RemoteRewardIssuer({ channel: refusing, fallback: local }).issue(request),
+    /replay rejected/
+  );
+  const issued = await new RemoteRewardIssuer({ channel: silent, fallback: local }).issue(request);
+  assert.equal(issued.code, "local");
+});
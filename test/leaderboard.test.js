@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ParentLeaderboard } from "../public/leaderboard.js";
+
+/** A channel whose parent answers every request with `payload`. */
+function answering(payload) {
+  const requests = [];
+  return {
+    requests,
+    request: async (type, body) => (requests.push({ type, payload: body.payload }), { payload }),
+  };
+}
+
+test("host entries without a name or a finite score are dropped", async () => {
+  const channel = answering({
+    entries: [
+      { rank: 1, displayName: "Ravi", score: 99 },
+      { rank: 2, displayName: null, score: 50 },
+      { rank: 3, displayName: "Mira", score: "40" },
+      { displayName: "Asha", score: 30 },
+    ],
+    player: { displayName: 7, score: 1 },
+  });
+  const page = await new ParentLeaderboard(channel).fetch({ window: "daily", size: 10 });
+  assert.deepEqual(
+    page.entries.map((entry) => [entry.rank, entry.displayName, entry.score]),
+    [
+      [1, "Ravi", 99],
+      [2, "Asha", 30],
+    ]
+  );
+  assert.equal(page.player, undefined);
+  assert.equal(page.total, 2);
+});
+
+test("submissions reach the host with their replay and grant", async () => {
+  const channel = answering({ ok: true });
+  const replay = { version: 3, seed: 1, config: {}, inputs: [], ticks: 10, score: 0 };
+  await new ParentLeaderboard(channel).submit({ score: 0, displayName: "Asha", replay, grantId: "g-1" });
+  assert.equal(channel.requests[0].type, "we:game:leaderboard:submit");
+  assert.deepEqual(channel.requests[0].payload.replay, replay);
+  assert.equal(channel.requests[0].payload.grantId, "g-1");
+});
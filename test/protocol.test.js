@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ParentChannel } from "../public/protocol.js";
+
+/** A stand-in parent window that records what is posted to it. */
+function fakeParent() {
+  const posted = [];
+  return { posted, postMessage: (message, targetOrigin) => posted.push({ message, targetOrigin }) };
+}
+
+function channel(origins, received = []) {
+  const target = fakeParent();
+  const parent = new ParentChannel({ target, origins, onMessage: (message) => received.push(message) });
+  const deliver = (origin, data) => parent.handleMessage({ source: target, origin, data });
+  return { target, parent, received, deliver };
+}
+
+const CONFIG = { type: "we:game:config", version: 2, id: "config-1", payload: {} };
+
+test("with no allowed origin nothing is sent or accepted", () => {
+  const { target, parent, received, deliver } = channel([]);
+  parent.post("we:game:ready", { payload: { version: 2, page: "p" } });
+  deliver("https://anyone.test", CONFIG);
+  assert.deepEqual(target.posted, []);
+  assert.deepEqual(received, []);
+});
+
+test("messages go to each allowed origin until the parent writes, then only to it", () => {
+  const { target, parent, received, deliver } = channel(["https://a.test", "https://b.test"]);
+  parent.post("we:game:ready", { payload: { version: 2, page: "p" } });
+  assert.deepEqual(
+    target.posted.map((entry) => entry.targetOrigin),
+    ["https://a.test", "https://b.test"]
+  );
+  assert.ok(target.posted.every((entry) => entry.targetOrigin !== "*"));
+  deliver("https://evil.test", CONFIG);
+  assert.deepEqual(received, []);
+  deliver("https://b.test", CONFIG);
+  assert.equal(received.length, 1);
+  target.posted.length = 0;
+  parent.post("we:game:height", { px: 10 });
+  assert.deepEqual(
+    target.posted.map((entry) => entry.targetOrigin),
+    ["https://b.test"]
+  );
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { createReplay, decodeTicks, encodeTicks, simulationConfigFor, verifyReplay } from "../public/replay.js";
+import { Simulation } from "../public/simulation.js";
+
+/** A finished run with a jump every 20 ticks. */
+function finishedRun(seed = 11) {
+  const simulation = new Simulation(seed);
+  simulation.run(Array.from({ length: 1000 }, (_, i) => 5 + i * 20), 60000);
+  return simulation;
+}
+
+test("ticks survive delta encoding", () => {
+  const ticks = [3, 3, 10, 42, 100];
+  assert.deepEqual(encodeTicks(ticks), [3, 0, 7, 32, 58]);
+  assert.deepEqual(decodeTicks(encodeTicks(ticks)), ticks);
+});
+
+test("a genuine replay verifies with its score and reward", () => {
+  const simulation = finishedRun();
+  const result = verifyReplay(createReplay(simulation));
+  assert.equal(result.valid, true);
+  assert.equal(result.score, simulation.state.score);
+});
+
+test("an inflated score is rejected", () => {
+  const replay = createReplay(finishedRun());
+  const result = verifyReplay({ ...replay, score: replay.score + 30 });
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "score mismatch");
+  assert.equal(result.score, replay.score);
+});
+
+test("a replay must end where it claims to", () => {
+  const replay = createReplay(finishedRun());
+  assert.equal(verifyReplay({ ...replay, ticks: replay.ticks + 100 }).reason, "session did not end where claimed");
+});
+
+test("seed, config and version must match what the backend expects", () => {
+  const replay = createReplay(finishedRun(11));
+  assert.equal(verifyReplay(replay, { seed: 12 }).reason, "seed mismatch");
+  assert.equal(verifyReplay(replay, { config: { gravity: 2 } }).reason, "config mismatch: gravity");
+  assert.equal(verifyReplay({ ...replay, version: 0 }).reason, "unsupported replay version");
+});
+
+test("malformed inputs are rejected", () => {
+  const replay = createReplay(finishedRun());
+  assert.equal(verifyReplay({ ...replay, inputs: [-1] }).reason, "malformed inputs");
+  assert.equal(verifyReplay({ ...replay, inputs: [replay.ticks] }).reason, "input after end of session");
+});
+
+test("a replay can't verify under easier physics than the campaign's", () => {
+  const easy = new Simulation(11, { gravity: 0.1, lives: 50 });
+  easy.run(Array.from({ length: 1000 }, (_, i) => 5 + i * 60), 60000);
+  const replay = createReplay(easy);
+  assert.equal(verifyReplay(replay).reason, "config mismatch: lives");
+  // Re-simulated under the expected config even if the recorded one is doctored to match
+  const doctored = { ...replay, config: { ...replay.config, gravity: 1.2, lives: 3 } };
+  assert.equal(verifyReplay(doctored).valid, false);
+});
+
+test("a campaign's own config is checked in full", () => {
+  const campaign = { lives: 5, invulnerability: 500 };
+  const simulation = new Simulation(11, campaign);
+  simulation.run(Array.from({ length: 1000 }, (_, i) => 5 + i * 20), 60000);
+  const replay = createReplay(simulation);
+  assert.equal(verifyReplay(replay, { config: campaign }).valid, true);
+  assert.equal(verifyReplay(replay, { config: { lives: 5 } }).reason, "config mismatch: invulnerability");
+});
+
+/** A copy of a value with every object's keys in reverse order. */
+function reordered(value) {
+  if (Array.isArray(value)) return value.map(reordered);
+  if (typeof value !== "object" || value === null) return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .reverse()
+      .map((key) => [key, reordered(value[key])])
+  );
+}
+
+test("a campaign's replay verifies against the config built from its game config", () => {
+  const campaign = { layout: "landscape", theme: "midnight", collectibles: { heart: { chance: 0.3 } } };
+  const simulation = new Simulation(11, simulationConfigFor(campaign));
+  simulation.run(Array.from({ length: 1000 }, (_, i) => 5 + i * 20), 60000);
+  const replay = reordered(JSON.parse(JSON.stringify(createReplay(simulation))));
+  assert.equal(verifyReplay(replay, { config: simulationConfigFor(campaign) }).valid, true);
+  assert.equal(verifyReplay(replay, { config: simulationConfigFor({}) }).reason, "config mismatch: width");
+});
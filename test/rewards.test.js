@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { computeReward, REWARD_THRESHOLDS } from "../public/rewards.js";
+
+test("each default tier starts and ends at its boundaries", () => {
+  const cases = [
+    [0, 0, 5],
+    [9, 0, 5],
+    [10, 1, 10],
+    [19, 1, 10],
+    [20, 2, 15],
+    [29, 2, 15],
+    [30, 3, 20],
+    [1000, 3, 20],
+  ];
+  for (const [score, tier, discount] of cases) {
+    const reward = computeReward(score);
+    assert.equal(reward.tier, tier, `tier for ${score}`);
+    assert.equal(reward.discount, discount, `discount for ${score}`);
+    assert.equal(reward.type, "percent");
+    assert.equal(reward.message, `${discount}% off`);
+  }
+});
+
+test("scores outside every range earn the first tier", () => {
+  assert.equal(computeReward(-1).tier, 0);
+  const gapped = [
+    { min: 0, max: 4, discount: 5 },
+    { min: 10, max: 20, discount: 10 },
+  ];
+  assert.equal(computeReward(7, gapped).tier, 0);
+});
+
+test("custom tiers keep their label and type", () => {
+  const tiers = [
+    { min: 0, max: 9, discount: 5 },
+    { min: 10, max: Infinity, label: "Free shipping", type: "shipping" },
+  ];
+  const reward = computeReward(12, tiers);
+  assert.deepEqual(reward, { tier: 1, type: "shipping", discount: null, message: "Free shipping" });
+});
+
+test("a multiplier scales percentage discounts up to 100% off", () => {
+  assert.equal(computeReward(30, REWARD_THRESHOLDS, 1.5).discount, 30);
+  assert.equal(computeReward(30, REWARD_THRESHOLDS, 10).discount, 100);
+  assert.equal(computeReward(30, REWARD_THRESHOLDS, 1.5).tier, 3);
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { FlappyShopperHost } from "../public/sdk.js";
+
+const GAME_ORIGIN = "https://game.test";
+
+/** A host page with one game iframe, whose messages a test can play. */
+function embed(options) {
+  globalThis.window = new EventTarget();
+  const posted = [];
+  const iframe = { contentWindow: { postMessage: (message, targetOrigin) => posted.push({ message, targetOrigin }) } };
+  const host = new FlappyShopperHost(iframe, { gameOrigin: GAME_ORIGIN, ...options });
+  const receive = (data) =>
+    window.dispatchEvent(Object.assign(new Event("message"), { source: iframe.contentWindow, origin: GAME_ORIGIN, data }));
+  const reply = (replyTo) =>
+    new Promise((resolve) => {
+      const check = () => {
+        const found = posted.find((entry) => entry.message.replyTo === replyTo);
+        if (found) return resolve(found.message);
+        setTimeout(check, 1);
+      };
+      check();
+    });
+  return { host, posted, receive, reply };
+}
+
+test("play limits use the host's own maximum, not the game's", async () => {
+  const seen = [];
+  const { host, receive, reply } = embed({
+    playLimits: {
+      maxPlays: 2,
+      status: async (request) => (seen.push(request), { playCount: 0, remaining: request.maxPlays }),
+      request: async (request) => (seen.push(request), { playCount: 1, remaining: 1, granted: true }),
+    },
+  });
+  receive({ type: "we:game:play:status", id: "s", payload: { campaignId: "summer", maxPlays: 999 } });
+  receive({ type: "we:game:play:request", id: "r", payload: { campaignId: "summer", maxPlays: 999 } });
+  assert.deepEqual((await reply("s")).payload, { playCount: 0, remaining: 2 });
+  assert.equal((await reply("r")).payload.granted, true);
+  assert.deepEqual(
+    seen.map((request) => request.maxPlays),
+    [2, 2]
+  );
+  assert.equal(seen[0].campaignId, "summer");
+  host.destroy();
+});
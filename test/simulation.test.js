@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { Simulation, sineOfTurns } from "../public/simulation.js";
+
+/** Jump every `interval` ticks, from `first` on. */
+function jumpsEvery(interval, first = 10, count = 400) {
+  return Array.from({ length: count }, (_, i) => first + i * interval);
+}
+
+test("the same seed and jumps give the same run", () => {
+  const a = new Simulation(42);
+  const b = new Simulation(42);
+  const eventsA = a.run(jumpsEvery(22), 20000);
+  const eventsB = b.run(jumpsEvery(22), 20000);
+  assert.deepEqual(eventsA, eventsB);
+  assert.deepEqual(a.state.tick, b.state.tick);
+  assert.equal(a.state.score, b.state.score);
+});
+
+test("advance() in uneven frames matches stepping", () => {
+  const stepped = new Simulation(7);
+  const framed = new Simulation(7);
+  for (let i = 0; i < 600; i++) stepped.step();
+  let elapsed = 0;
+  const frames = [5, 16, 33, 17, 40];
+  for (let i = 0; elapsed < 600 * framed.config.timestep; i++) {
+    const ms = frames[i % frames.length];
+    framed.advance(ms);
+    elapsed += ms;
+  }
+  // Time left over in the accumulator may not have made a whole step yet
+  while (framed.state.tick < stepped.state.tick) framed.step();
+  assert.equal(framed.state.tick, stepped.state.tick);
+  assert.deepEqual(framed.state.player, stepped.state.player);
+});
+
+test("a run without jumps ends by losing every life", () => {
+  const simulation = new Simulation(3);
+  const events = simulation.run([], 20000);
+  assert.ok(simulation.state.over);
+  assert.equal(simulation.state.lives, 0);
+  assert.equal(events.filter((e) => e.type === "collision").length, simulation.config.lives);
+  assert.deepEqual(events[events.length - 1], { type: "game_over", score: simulation.state.score });
+});
+
+test("the player stays inside the world", () => {
+  const simulation = new Simulation(5);
+  const { height } = simulation.config;
+  for (let tick = 0; tick < 300 && !simulation.state.over; tick++) {
+    if (tick % 3 === 0) simulation.jump();
+    simulation.step();
+    const { y, height: size } = simulation.state.player;
+    assert.ok(y >= 0 && y + size <= height, `player at ${y} on tick ${tick}`);
+  }
+});
+
+test("movers swing on a sine that needs no engine maths", () => {
+  for (let i = -40; i <= 40; i++) {
+    const turns = i / 16 + 0.01;
+    assert.ok(Math.abs(sineOfTurns(turns) - Math.sin(2 * Math.PI * turns)) < 1e-9, `at ${turns} turns`);
+  }
+  assert.equal(sineOfTurns(0), 0);
+  assert.equal(sineOfTurns(0.25), sineOfTurns(1.25));
+});
@@ -0,0 +1,207 @@
+/**
+ * Runs the compiled game (public/game.js) in jsdom, embedded in a fake host
+ * page. The canvas draws nothing, images fail at once (so themes fall back to
+ * plain shapes) and animation frames only run when a test pumps them, each
+ * one a quarter of a second of game time.
+ */
+
+import { JSDOM } from "jsdom";
+import { PROTOCOL_VERSION } from "../../public/protocol.js";
+
+export const HOST_ORIGIN = "https://host.test";
+
+const PAGE = `<div id="game-container"><canvas id="gameCanvas"></canvas><div id="overlay"></div></div>`;
+
+/** Browser globals the game's modules use. */
+const GLOBALS = [
+  "window",
+  "document",
+  "location",
+  "localStorage",
+  "parent",
+  "navigator",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "Image",
+  "HTMLElement",
+  "HTMLInputElement",
+  "MessageEvent",
+  "Event",
+];
+
+/** Game time per pumped frame; the game never advances more than this per frame. */
+const FRAME_MS = 250;
+
+let instances = 0;
+
+/** A 2D context that accepts every call and draws nothing. */
+function fakeContext(canvas) {
+  const context = {
+    canvas,
+    measureText: (text) => ({ width: String(text).length * 6 }),
+    getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+    createLinearGradient: () => ({ addColorStop() {} }),
+  };
+  return new Proxy(context, {
+    get: (target, key) => (key in target ? target[key] : () => {}),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  });
+}
+
+/** An image that fails to load, as from an unreachable host. */
+class FailingImage {
+  constructor() {
+    this.naturalWidth = 0;
+    this.naturalHeight = 0;
+    this.onload = null;
+    this.onerror = null;
+  }
+
+  set src(url) {
+    this.url = url;
+    setTimeout(() => this.onerror && this.onerror());
+  }
+
+  get src() {
+    return this.url;
+  }
+}
+
+/** Resolve once `predicate` holds, polling; reject after `timeout` milliseconds. */
+export function until(predicate, timeout = 5000, what = "condition") {
+  const deadline = Date.now() + timeout;
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      const value = predicate();
+      if (value) return resolve(value);
+      if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(poll, 5);
+    };
+    poll();
+  });
+}
+
+/**
+ * Load a fresh game in a new page. `storage` seeds localStorage (values are
+ * JSON encoded); `query` is appended to the game's URL.
+ */
+export async function loadGame({ storage = {}, query = "", autoAck = true } = {}) {
+  const host = new JSDOM("", { url: `${HOST_ORIGIN}/` }).window;
+  /** Every message the game posted to the host, in order. */
+  const sent = [];
+  const dom = new JSDOM(PAGE, { url: `https://game.test/index.html?parentOrigin=${HOST_ORIGIN}${query}` });
+  const window = dom.window;
+  const send = (message) => {
+    window.dispatchEvent(new window.MessageEvent("message", { data: message, origin: HOST_ORIGIN, source: host }));
+  };
+  host.postMessage = (message, targetOrigin) => {
+    sent.push({ message, targetOrigin });
+    // Acknowledge event batches as a listening host does
+    if (autoAck && message.type === "we:game:events") {
+      setTimeout(() => send({ type: "we:game:events:ack", replyTo: message.id, payload: { ok: true } }));
+    }
+  };
+  Object.defineProperty(window, "parent", { value: host });
+  for (const key of Object.keys(storage)) {
+    window.localStorage.setItem(key, JSON.stringify(storage[key]));
+  }
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    if (!this.fakeContext) this.fakeContext = fakeContext(this);
+    return this.fakeContext;
+  };
+  window.Image = FailingImage;
+  let frames = new Map();
+  let nextFrame = 0;
+  window.requestAnimationFrame = (callback) => {
+    frames.set(++nextFrame, callback);
+    return nextFrame;
+  };
+  window.cancelAnimationFrame = (id) => frames.delete(id);
+  for (const name of GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+  // A fresh copy of the entry module per page; the modules it imports are shared
+  await import(`../../public/game.js?instance=${++instances}`);
+  window.dispatchEvent(new window.Event("DOMContentLoaded"));
+  const overlay = window.document.getElementById("overlay");
+  let time = performance.now();
+
+  const game = {
+    window,
+    host,
+    sent,
+    send,
+    overlay,
+
+    /** Post a config message from the host, as the SDK does after `we:game:ready`. */
+    configure(payload, id) {
+      send({ type: "we:game:config", version: PROTOCOL_VERSION, id, payload });
+    },
+
+    /** The element with `id` in the overlay, once it is shown. */
+    button(id) {
+      return until(() => window.document.getElementById(id), 5000, `#${id}`);
+    },
+
+    async click(id) {
+      (await game.button(id)).click();
+    },
+
+    /** Run animation frames until the loop stops asking for them or `max` have run. */
+    pump(max = 2000) {
+      let count = 0;
+      while (frames.size && count < max) {
+        const pending = frames;
+        frames = new Map();
+        time += FRAME_MS;
+        pending.forEach((callback) => callback(time));
+        count++;
+      }
+      return count;
+    },
+
+    /** Play a session without jumping until the game over screen shows its actions. */
+    async playToGameOver() {
+      await until(() => frames.size, 5000, "the session to start");
+      game.pump();
+      return game.button("redeemBtn");
+    },
+
+    /** Type into a field of the overlay. */
+    async fill(id, value) {
+      const input = await game.button(id);
+      input.value = value;
+    },
+
+    /** The page's localStorage, values parsed; pass it to loadGame() to reload the page. */
+    saved() {
+      const saved = {};
+      for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        saved[key] = JSON.parse(window.localStorage.getItem(key));
+      }
+      return saved;
+    },
+
+    /** The overlay's text with whitespace collapsed. */
+    text() {
+      return overlay.textContent.replace(/\s+/g, " ").trim();
+    },
+
+    /** Types of the messages posted so far. */
+    types() {
+      return sent.map((entry) => entry.message.type);
+    },
+
+    /** Analytics events delivered so far, by name, in delivery order. */
+    events() {
+      return sent
+        .filter((entry) => entry.message.type === "we:game:events")
+        .flatMap((entry) => entry.message.payload.events.map((record) => record.event));
+    },
+  };
+  return game;
+}
@@ -0,0 +1,23 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { THEMES } from "../public/theme.js";
+
+test("built-in packs ship hitboxes a server can rebuild without the images", () => {
+  for (const theme of Object.values(THEMES)) {
+    for (const [sprite, spec] of Object.entries(theme.hitboxes)) {
+      assert.ok(
+        spec.every((shape) => shape.type !== "alpha"),
+        `${theme.name} ${sprite} hitbox depends on its image`
+      );
+    }
+  }
+});
+
+test("shipped masks are rectangular grids of cells", () => {
+  for (const shape of Object.values(THEMES.default.hitboxes).flat()) {
+    if (shape.type !== "mask") continue;
+    assert.ok(shape.rows.length > 0);
+    assert.ok(shape.rows.every((row) => /^[01]+$/.test(row) && row.length === shape.rows[0].length));
+  }
+});